@@ -6,7 +6,11 @@
  * @module analytics
  * @generated-from: TASK-010 Performance Optimization and SEO Finalization
  * @modifies: none (new file)
- * @dependencies: none (standalone module)
+ * @dependencies: js/event-queue-store.js (optional, persists queued events),
+ *   js/measurement-protocol.js (optional, encodes unload beacons),
+ *   js/session-manager.js (optional, session and client ids),
+ *   js/experiments.js (optional, experiment variants attached to events),
+ *   js/tracking-bus.js (optional, registers the ga4 and first-party destinations)
  */
 
 (function() {
@@ -18,7 +22,88 @@
     dataLayerName: 'dataLayer',
     consentStorageKey: 'fittrack_analytics_consent',
     consentExpiryDays: 365,
-    debugMode: false,
+    consentRecordVersion: 2,
+    // Bump whenever the privacy policy changes; can be overridden per page with
+    // <meta name="privacy-policy-version" content="...">
+    consentPolicyVersion: '2024-01-01',
+    policyVersionMetaName: 'privacy-policy-version',
+    // Consent purposes and the Google Consent Mode v2 signals each one controls
+    consentPurposes: {
+      necessary: ['functionality_storage', 'security_storage'],
+      analytics: ['analytics_storage'],
+      marketing: ['ad_storage', 'ad_user_data'],
+      personalization: ['ad_personalization', 'personalization_storage']
+    },
+    // Browser opt-out signals that override stored consent
+    privacySignals: {
+      globalPrivacyControl: true,
+      doNotTrack: true
+    },
+    // Visitor region resolution for default consent
+    geo: {
+      metaName: 'visitor-region', // <meta name="visitor-region" content="DE"> injected by the server
+      endpoint: null, // Optional same-origin endpoint returning {"region": "DE"}
+      timeout: 1500,
+      overrideParam: 'fittrack_region' // ?fittrack_region=DE fakes the region for testing
+    },
+    // Default consent per region until the visitor decides; first matching rule wins
+    regionConsentRules: [
+      {
+        model: 'opt-in',
+        regions: ['EU', 'EEA', 'AT', 'BE', 'BG', 'HR', 'CY', 'CZ', 'DK', 'EE', 'FI', 'FR', 'DE', 'GR',
+          'HU', 'IE', 'IT', 'LV', 'LT', 'LU', 'MT', 'NL', 'PL', 'PT', 'RO', 'SK', 'SI', 'ES', 'SE',
+          'IS', 'LI', 'NO'],
+        defaults: { analytics: false, marketing: false, personalization: false }
+      },
+      {
+        model: 'opt-in',
+        regions: ['UK', 'GB', 'CH'],
+        defaults: { analytics: false, marketing: false, personalization: false }
+      },
+      {
+        model: 'opt-out',
+        regions: ['*'],
+        defaults: { analytics: true, marketing: true, personalization: true }
+      }
+    ],
+    // First-party collector used when gtag.js is blocked (see README for the payload schema)
+    collector: {
+      enabled: true,
+      endpoint: '/collect', // Must be same-origin
+      schemaVersion: 1,
+      maxBatchSize: 20
+    },
+    // Scroll depth milestones in percent, measured at the bottom of the viewport
+    scrollMilestones: [25, 50, 75, 90, 100],
+    // A section counts as viewed while at least this share of it is visible
+    sectionVisibleRatio: 0.5,
+    // Dwell time (ms) after which a viewed section counts as read
+    sectionReadThreshold: 10000,
+    // Engagement timer: the clock stops while the page is hidden or the visitor is idle
+    engagement: {
+      idleTimeout: 30000, // No input for this long (ms) stops the clock
+      heartbeatInterval: 15000, // Engaged time is sent at least this often (ms)
+      activityThrottle: 1000,
+      activityEvents: ['pointerdown', 'pointermove', 'keydown', 'scroll', 'touchstart', 'wheel']
+    },
+    // Conversion funnel; a step is reached by a published event matching its params,
+    // and steps must be reached in order. Progress is kept per session.
+    funnel: {
+      name: 'app_download',
+      storageKey: 'fittrack_funnel',
+      steps: [
+        { name: 'hero_view', event: 'section_view', params: { section_name: 'hero' } },
+        { name: 'features_view', event: 'section_view', params: { section_name: 'features' } },
+        { name: 'workout_plans_view', event: 'section_view', params: { section_name: 'workout-plans' } },
+        { name: 'download_view', event: 'section_view', params: { section_name: 'download' } },
+        { name: 'app_store_click', event: 'app_store_click' }
+      ]
+    },
+    // Parameter carrying the id used to de-duplicate replayed events
+    eventIdParam: 'event_id',
+    consentChangeEvent: 'fittrack:consent:change',
+    consentRepromptEvent: 'fittrack:consent:reprompt',
+    debugMode: false, // Also switched on by ?fittrack_debug=1 (js/debug-overlay.js)
     loadTimeout: 5000,
     retryAttempts: 3,
     retryDelay: 1000
@@ -27,10 +112,23 @@
   // Analytics state
   const state = {
     initialized: false,
-    consentGiven: false,
+    consentDecided: false,
+    consent: getDefaultPurposes(),
+    outdatedPolicyVersion: null,
+    privacySignal: null,
+    region: null,
+    consentModel: null,
+    regionResolver: null,
+    regionRequest: 0, // Incremented per resolution so a late answer cannot overwrite a newer one
     blocked: false,
     loadAttempts: 0,
-    eventQueue: []
+    transportReady: false,
+    fallbackClientId: null,
+    eventQueue: [],
+    sentEventIds: new Set(),
+    scrollMilestonesReached: new Set(),
+    sectionDwell: new Map(),
+    funnel: null
   };
 
   /**
@@ -43,22 +141,52 @@
       return;
     }
 
-    // Check for stored consent
-    const storedConsent = getStoredConsent();
-    if (storedConsent !== null) {
-      state.consentGiven = storedConsent;
+    // Browser opt-out signals take precedence over any stored choice
+    state.privacySignal = detectPrivacySignal();
+
+    // Check for stored consent given under the current privacy policy
+    const storedRecord = getStoredConsent();
+    if (storedRecord !== null) {
+      if (storedRecord.policyVersion === getPolicyVersion()) {
+        state.consent = storedRecord.purposes;
+        state.consentDecided = true;
+      } else {
+        state.outdatedPolicyVersion = storedRecord.policyVersion || 'unversioned';
+      }
     }
+    state.consent = applyPrivacySignal(state.consent);
+    syncStoragePersistence();
 
     // Initialize data layer
     initializeDataLayer();
 
-    // Load gtag.js if consent given or in EU-exempt region
-    if (state.consentGiven || shouldLoadByDefault()) {
+    // Ask visitors who consented under an older policy again
+    if (state.outdatedPolicyVersion !== null) {
+      requestReconsent();
+    }
+
+    // Load gtag.js if consent given, otherwise apply the visitor's regional defaults
+    if (state.consent.analytics) {
       loadGtagScript();
+    } else if (!state.consentDecided && state.privacySignal === null) {
+      applyRegionDefaults();
     } else {
       logDebug('Analytics not loaded - awaiting consent');
     }
 
+    // Replay events persisted by earlier page views, or drop them when opted out
+    if (state.privacySignal !== null) {
+      clearPersistedEvents();
+    } else {
+      restorePersistedEvents();
+    }
+
+    // Receive events published on the tracking bus
+    registerBusDestinations();
+
+    // Follow conversion funnel progress through published events
+    setupFunnelTracking();
+
     // Set up event listeners
     setupEventListeners();
 
@@ -73,13 +201,9 @@
     window[CONFIG.dataLayerName] = window[CONFIG.dataLayerName] || [];
     
     // Configure default consent state (denied until user consents)
-    gtag('consent', 'default', {
-      'analytics_storage': state.consentGiven ? 'granted' : 'denied',
-      'ad_storage': 'denied',
-      'ad_user_data': 'denied',
-      'ad_personalization': 'denied',
-      'wait_for_update': 500
-    });
+    const defaultSignals = buildConsentSignals(state.consent);
+    defaultSignals.wait_for_update = 500;
+    gtag('consent', 'default', defaultSignals);
 
     // Configure GA4
     gtag('js', new Date());
@@ -89,7 +213,7 @@
       'cookie_flags': 'SameSite=Strict;Secure',
       'cookie_expires': 63072000, // 2 years in seconds
       'allow_google_signals': false,
-      'allow_ad_personalization_signals': false
+      'allow_ad_personalization_signals': state.consent.personalization
     });
 
     logDebug('Data layer initialized');
@@ -102,7 +226,7 @@
     if (state.loadAttempts >= CONFIG.retryAttempts) {
       state.blocked = true;
       logError('Analytics script loading failed after maximum retries');
-      processQueuedEvents(); // Process queue even if blocked
+      processQueuedEvents(); // Falls back to the first-party collector
       return;
     }
 
@@ -116,6 +240,7 @@
     script.onload = function() {
       logDebug('Analytics script loaded successfully');
       state.blocked = false;
+      state.transportReady = true;
       processQueuedEvents();
     };
 
@@ -160,26 +285,26 @@
       const target = event.target.closest('[data-track-cta]');
       if (target) {
         const ctaName = target.getAttribute('data-track-cta') || target.textContent.trim();
-        trackEvent('cta_click', {
+        publishEvent('cta_click', {
           cta_name: ctaName,
           cta_location: getElementLocation(target)
-        });
+        }, { dedupeKey: ctaName });
       }
     });
 
-    // Track app store badge clicks
-    document.addEventListener('click', function(event) {
-      const target = event.target.closest('[data-track-app-store]');
-      if (target) {
-        const storeName = target.getAttribute('data-track-app-store');
-        trackEvent('app_store_click', {
-          store_name: storeName,
-          link_url: target.href
-        });
+    // App store badge clicks are published by link-tracking.js as app_store_click
+
+    // Flush events queued while the connection was down
+    window.addEventListener('online', function() {
+      if (state.consent.analytics) {
+        processQueuedEvents();
       }
     });
 
-    // Track section visibility with Intersection Observer
+    // Track scroll depth milestones
+    setupScrollTracking();
+
+    // Track section visibility and dwell time with Intersection Observer
     setupSectionTracking();
 
     // Track page engagement time
@@ -189,7 +314,56 @@
   }
 
   /**
-   * Set up section scroll tracking using Intersection Observer
+   * Get how far down the page the visitor has seen
+   * @returns {number} Percentage of the page above the bottom of the viewport (0-100)
+   */
+  function getScrollDepth() {
+    const scrollHeight = document.documentElement.scrollHeight;
+    if (!scrollHeight) {
+      return 100;
+    }
+
+    const viewportBottom = window.scrollY + window.innerHeight;
+    return Math.min(100, Math.round((viewportBottom / scrollHeight) * 100));
+  }
+
+  /**
+   * Set up scroll depth milestone tracking
+   * Each milestone is sent once per page view; short pages reach them all on load
+   */
+  function setupScrollTracking() {
+    let scheduled = false;
+
+    function checkMilestones() {
+      scheduled = false;
+      const depth = getScrollDepth();
+
+      CONFIG.scrollMilestones.forEach(function(milestone) {
+        if (depth >= milestone && !state.scrollMilestonesReached.has(milestone)) {
+          state.scrollMilestonesReached.add(milestone);
+          publishEvent('scroll_milestone', {
+            percent_scrolled: milestone
+          }, { dedupeKey: milestone });
+        }
+      });
+    }
+
+    window.addEventListener('scroll', function() {
+      if (!scheduled) {
+        scheduled = true;
+        window.requestAnimationFrame(checkMilestones);
+      }
+    }, { passive: true });
+
+    // The page may be short or restored at a scroll position
+    checkMilestones();
+  }
+
+  /**
+   * Set up section view and dwell time tracking using Intersection Observer
+   * Dwell time only counts while a section is at least half visible and the page
+   * is in the foreground. Sections are reported as read once dwell passes
+   * CONFIG.sectionReadThreshold, and all dwell times are sent when the page is hidden.
    */
   function setupSectionTracking() {
     if (!('IntersectionObserver' in window)) {
@@ -202,111 +376,313 @@
 
     const observer = new IntersectionObserver(function(entries) {
       entries.forEach(function(entry) {
-        if (entry.isIntersecting && entry.intersectionRatio >= 0.5) {
-          const sectionName = entry.target.getAttribute('data-track-section');
-          
-          if (!trackedSections.has(sectionName)) {
-            trackedSections.add(sectionName);
-            trackEvent('section_view', {
-              section_name: sectionName,
-              scroll_depth: Math.round((window.scrollY / document.documentElement.scrollHeight) * 100)
-            });
-          }
+        const sectionName = entry.target.getAttribute('data-track-section');
+        const record = getSectionDwellRecord(sectionName);
+
+        record.visible = entry.isIntersecting && entry.intersectionRatio >= CONFIG.sectionVisibleRatio;
+
+        if (!record.visible) {
+          pauseSectionDwell(sectionName);
+          return;
+        }
+
+        if (!trackedSections.has(sectionName)) {
+          trackedSections.add(sectionName);
+          publishEvent('section_view', {
+            section_name: sectionName,
+            scroll_depth: getScrollDepth()
+          });
         }
+        resumeSectionDwell(sectionName);
       });
     }, {
-      threshold: [0.5],
+      threshold: [0, CONFIG.sectionVisibleRatio],
       rootMargin: '0px'
     });
 
     sections.forEach(function(section) {
       observer.observe(section);
     });
+
+    // Time in a background tab is not attention
+    document.addEventListener('visibilitychange', function() {
+      state.sectionDwell.forEach(function(record, sectionName) {
+        if (document.hidden) {
+          pauseSectionDwell(sectionName);
+        } else if (record.visible) {
+          resumeSectionDwell(sectionName);
+        }
+      });
+    });
+
+    window.addEventListener('pagehide', flushSectionDwell);
+  }
+
+  /**
+   * Get the dwell record of a section, creating it on first use
+   * @param {string} sectionName - data-track-section value
+   * @returns {{visible: boolean, visibleSince: (number|null), dwell: number, read: boolean, readTimer: (number|null)}}
+   */
+  function getSectionDwellRecord(sectionName) {
+    if (!state.sectionDwell.has(sectionName)) {
+      state.sectionDwell.set(sectionName, {
+        visible: false,
+        visibleSince: null,
+        dwell: 0,
+        read: false,
+        readTimer: null
+      });
+    }
+    return state.sectionDwell.get(sectionName);
+  }
+
+  /**
+   * Start counting dwell time for a visible section
+   * @param {string} sectionName - data-track-section value
+   */
+  function resumeSectionDwell(sectionName) {
+    const record = getSectionDwellRecord(sectionName);
+    if (record.visibleSince !== null || document.hidden) {
+      return;
+    }
+
+    record.visibleSince = Date.now();
+
+    if (!record.read) {
+      record.readTimer = window.setTimeout(function() {
+        markSectionRead(sectionName);
+      }, Math.max(0, CONFIG.sectionReadThreshold - record.dwell));
+    }
+  }
+
+  /**
+   * Stop counting dwell time for a section
+   * @param {string} sectionName - data-track-section value
+   */
+  function pauseSectionDwell(sectionName) {
+    const record = getSectionDwellRecord(sectionName);
+
+    window.clearTimeout(record.readTimer);
+    record.readTimer = null;
+
+    if (record.visibleSince !== null) {
+      record.dwell += Date.now() - record.visibleSince;
+      record.visibleSince = null;
+    }
+  }
+
+  /**
+   * Get the dwell time of a section including the current visible stretch
+   * @param {Object} record - Section dwell record
+   * @returns {number} Dwell time in milliseconds
+   */
+  function getCurrentDwell(record) {
+    return record.dwell + (record.visibleSince !== null ? Date.now() - record.visibleSince : 0);
+  }
+
+  /**
+   * Report a section as read once its dwell time passes the threshold
+   * @param {string} sectionName - data-track-section value
+   */
+  function markSectionRead(sectionName) {
+    const record = getSectionDwellRecord(sectionName);
+    record.readTimer = null;
+
+    if (record.read) {
+      return;
+    }
+
+    record.read = true;
+    publishEvent('section_read', {
+      section_name: sectionName,
+      dwell_time_msec: getCurrentDwell(record)
+    });
+  }
+
+  /**
+   * Send the dwell time of every section seen since the last flush
+   * Runs on pagehide; counters restart in case the page is restored from the bfcache
+   */
+  function flushSectionDwell() {
+    state.sectionDwell.forEach(function(record, sectionName) {
+      pauseSectionDwell(sectionName);
+
+      if (record.dwell > 0) {
+        publishEvent('section_dwell', {
+          section_name: sectionName,
+          dwell_time_msec: record.dwell
+        }, { immediate: true });
+        record.dwell = 0;
+      }
+    });
   }
 
   /**
    * Set up engagement time tracking
+   * Engaged time counts while the page is visible and the visitor has interacted in
+   * the last CONFIG.engagement.idleTimeout. It is sent as incremental user_engagement
+   * events on a heartbeat, when the page is hidden and on pagehide; pagehide instead
+   * of beforeunload keeps the page eligible for the bfcache.
    */
   function setupEngagementTracking() {
-    let startTime = Date.now();
-    let isActive = true;
-    let totalEngagementTime = 0;
-
-    // Track when user becomes inactive
-    const inactivityEvents = ['blur', 'visibilitychange'];
-    inactivityEvents.forEach(function(eventName) {
-      document.addEventListener(eventName, function() {
-        if (document.hidden || !document.hasFocus()) {
-          if (isActive) {
-            totalEngagementTime += Date.now() - startTime;
-            isActive = false;
-          }
-        } else {
-          if (!isActive) {
-            startTime = Date.now();
-            isActive = true;
-          }
-        }
-      });
+    const settings = CONFIG.engagement;
+    let engagedSince = null; // Start of the running stretch, null while the clock is stopped
+    let pendingTime = 0; // Engaged time not sent yet
+    let idle = false;
+    let idleTimer = null;
+    let lastActivity = 0;
+
+    function startClock() {
+      if (engagedSince === null && !idle && !document.hidden) {
+        engagedSince = Date.now();
+      }
+    }
+
+    function stopClock() {
+      if (engagedSince !== null) {
+        pendingTime += Date.now() - engagedSince;
+        engagedSince = null;
+      }
+    }
+
+    function flush(immediate) {
+      if (engagedSince !== null) {
+        stopClock();
+        startClock();
+      }
+
+      if (pendingTime > 0) {
+        publishEvent('user_engagement', {
+          engagement_time_msec: pendingTime
+        }, { immediate: immediate });
+        pendingTime = 0;
+      }
+    }
+
+    function handleActivity() {
+      const now = Date.now();
+      if (!idle && now - lastActivity < settings.activityThrottle) {
+        return;
+      }
+      lastActivity = now;
+
+      window.clearTimeout(idleTimer);
+      idleTimer = window.setTimeout(function() {
+        stopClock();
+        idle = true;
+      }, settings.idleTimeout);
+
+      if (idle) {
+        idle = false;
+        startClock();
+      }
+    }
+
+    settings.activityEvents.forEach(function(eventName) {
+      document.addEventListener(eventName, handleActivity, { passive: true });
     });
 
-    // Send engagement time before page unload
-    window.addEventListener('beforeunload', function() {
-      if (isActive) {
-        totalEngagementTime += Date.now() - startTime;
+    // Mobile browsers may discard hidden pages without pagehide, so send on hide
+    document.addEventListener('visibilitychange', function() {
+      if (document.hidden) {
+        stopClock();
+        flush(true);
+      } else {
+        handleActivity();
+        startClock();
       }
-      
-      if (totalEngagementTime > 0) {
-        trackEvent('user_engagement', {
-          engagement_time_msec: totalEngagementTime
-        }, true);
+    });
+
+    window.addEventListener('pagehide', function() {
+      stopClock();
+      flush(true);
+    });
+
+    // Page restored from the bfcache
+    window.addEventListener('pageshow', function(event) {
+      if (event.persisted) {
+        handleActivity();
+        startClock();
       }
     });
+
+    window.setInterval(function() {
+      if (!document.hidden) {
+        flush(false);
+      }
+    }, settings.heartbeatInterval);
+
+    handleActivity();
+    startClock();
   }
 
   /**
    * Track custom event
    * @param {string} eventName - Name of the event
    * @param {Object} eventParams - Event parameters
-   * @param {boolean} immediate - Send immediately (for beforeunload)
+   * @param {boolean} immediate - Send immediately (page is being hidden or unloaded)
+   * @returns {string} Delivery status (FitTrackBus.DELIVERY values)
    */
   function trackEvent(eventName, eventParams, immediate) {
     if (!eventName || typeof eventName !== 'string') {
       logError('Invalid event name provided');
-      return;
+      return 'failed';
     }
 
     eventParams = eventParams || {};
 
-    // Add timestamp
-    eventParams.timestamp = new Date().toISOString();
+    // Add timestamp and id, keeping the originals when replaying a queued event
+    eventParams.timestamp = eventParams.timestamp || new Date().toISOString();
+    eventParams[CONFIG.eventIdParam] = eventParams[CONFIG.eventIdParam] || generateEventId();
+    attachSessionIdentity(eventParams);
+    attachExperimentParams(eventParams);
 
-    // Queue event if not ready or blocked
-    if (!state.consentGiven || state.blocked) {
-      state.eventQueue.push({ eventName: eventName, eventParams: eventParams });
-      logDebug(`Event queued: ${eventName}`);
-      return;
+    if (state.sentEventIds.has(eventParams[CONFIG.eventIdParam])) {
+      logDebug(`Duplicate event skipped: ${eventName}`);
+      return 'duplicate';
+    }
+
+    // Queue event until consent is granted and a transport is available
+    if (!state.consent.analytics || !isTransportAvailable() || navigator.onLine === false) {
+      queueEvent(eventName, eventParams);
+      return state.blocked && state.consent.analytics ? 'blocked' : 'queued';
+    }
+
+    // gtag.js is blocked: send to the first-party collector instead
+    if (state.blocked) {
+      sendToCollector([{ eventName: eventName, eventParams: eventParams }], immediate);
+      return 'sending';
     }
 
     // Send event
     try {
-      if (immediate && navigator.sendBeacon) {
-        // Use sendBeacon for events during page unload
-        const payload = JSON.stringify({
-          event: eventName,
-          params: eventParams
-        });
-        navigator.sendBeacon(
-          `https://www.google-analytics.com/g/collect?measurement_id=${CONFIG.measurementId}`,
-          payload
-        );
-      } else {
+      // Use sendBeacon for events during page unload, gtag.js may not get to send them
+      if (!immediate || !sendMeasurementProtocolBeacon(eventName, eventParams)) {
         gtag('event', eventName, eventParams);
       }
+      state.sentEventIds.add(eventParams[CONFIG.eventIdParam]);
       logDebug(`Event tracked: ${eventName}`, eventParams);
+      return 'sent';
     } catch (error) {
       logError('Error tracking event', error);
+      return 'failed';
+    }
+  }
+
+  /**
+   * Report the ga4 delivery status of queued or collector events to the tracking bus
+   * @param {string[]} eventIds - Event ids (bus event ids for published events)
+   * @param {string} status - Delivery status
+   */
+  function reportDelivery(eventIds, status) {
+    const bus = window.FitTrackBus;
+    if (!bus) {
+      return;
     }
+
+    eventIds.forEach(function(eventId) {
+      bus.reportDelivery(eventId, bus.DESTINATIONS.GA4, status);
+    });
   }
 
   /**
@@ -322,38 +698,777 @@
     const queue = state.eventQueue.slice();
     state.eventQueue = [];
 
+    // gtag.js is blocked: deliver in batches to the first-party collector
+    if (state.blocked && state.consent.analytics && isTransportAvailable() && navigator.onLine !== false) {
+      const pending = queue.filter(function(item) {
+        return !state.sentEventIds.has(item.eventParams[CONFIG.eventIdParam]);
+      });
+      for (let i = 0; i < pending.length; i += CONFIG.collector.maxBatchSize) {
+        sendToCollector(pending.slice(i, i + CONFIG.collector.maxBatchSize), false);
+      }
+      return;
+    }
+
+    const deliveredIds = [];
     queue.forEach(function(item) {
       trackEvent(item.eventName, item.eventParams);
+
+      const eventId = item.eventParams[CONFIG.eventIdParam];
+      if (state.sentEventIds.has(eventId)) {
+        deliveredIds.push(eventId);
+      }
     });
+
+    const store = getEventStore();
+    if (store && deliveredIds.length > 0) {
+      store.remove(deliveredIds);
+    }
+    reportDelivery(deliveredIds, 'sent');
+  }
+
+  /**
+   * Send an event as a GA4 Measurement Protocol beacon
+   * @param {string} eventName - Name of the event
+   * @param {Object} eventParams - Event parameters
+   * @returns {boolean} True if the browser queued the beacon
+   */
+  function sendMeasurementProtocolBeacon(eventName, eventParams) {
+    const encoder = window.FitTrackMeasurementProtocol;
+    if (!encoder || !navigator.sendBeacon) {
+      return false;
+    }
+
+    try {
+      const url = encoder.buildUrl({
+        measurementId: CONFIG.measurementId,
+        clientId: getClientId(),
+        sessionId: getSessionId(),
+        eventName: eventName,
+        params: eventParams,
+        pageLocation: window.location.href,
+        pageReferrer: document.referrer,
+        pageTitle: document.title
+      });
+      return navigator.sendBeacon(url);
+    } catch (error) {
+      logError('Error encoding Measurement Protocol beacon', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get the GA client id from the _ga cookie set by gtag.js
+   * Falls back to the session manager's client id, then a per-page id in the same format
+   * @returns {string} Client id
+   */
+  function getClientId() {
+    const match = document.cookie.match(/(?:^|;\s*)_ga=GA\d\.\d\.(\d+\.\d+)/);
+    if (match) {
+      return match[1];
+    }
+
+    const session = getSessionManager();
+    if (session) {
+      return session.getIdentity().client_id;
+    }
+
+    if (!state.fallbackClientId) {
+      const random = Math.floor(Math.random() * 2147483647);
+      state.fallbackClientId = `${random}.${Math.floor(Date.now() / 1000)}`;
+    }
+    return state.fallbackClientId;
+  }
+
+  /**
+   * Get the GA session id from the _ga_<container> cookie set by gtag.js
+   * Supports both the GS1 ("GS1.1.<sid>.…") and GS2 ("GS2.1.s<sid>$…") formats,
+   * falling back to the session manager's session id
+   * @returns {string|null} Session id, or null when none is known
+   */
+  function getSessionId() {
+    const cookieName = `_ga_${CONFIG.measurementId.replace(/^G-/, '')}`;
+    const cookie = document.cookie.split(/;\s*/).find(function(entry) {
+      return entry.indexOf(`${cookieName}=`) === 0;
+    });
+
+    const match = cookie ? cookie.slice(cookieName.length + 1).match(/^GS\d\.\d\.s?(\d+)/) : null;
+    if (match) {
+      return match[1];
+    }
+
+    const session = getSessionManager();
+    return session ? session.getIdentity().session_id : null;
+  }
+
+  /**
+   * Get the session manager if it is available
+   * @returns {Object|null} FitTrackSession API
+   */
+  function getSessionManager() {
+    return window.FitTrackSession || null;
+  }
+
+  /**
+   * Attach session and client identity to event parameters
+   * Identity is captured when the event happens, so queued events keep their session
+   * @param {Object} eventParams - Event parameters
+   */
+  function attachSessionIdentity(eventParams) {
+    const session = getSessionManager();
+    if (!session || eventParams.session_id) {
+      return;
+    }
+
+    session.touch();
+    const identity = session.getIdentity();
+    Object.keys(identity).forEach(function(key) {
+      eventParams[key] = identity[key];
+    });
+  }
+
+  /**
+   * Attach the visitor's experiment variants (experiment_id, variant) to an event
+   * @param {Object} eventParams - Event parameters, modified in place
+   */
+  function attachExperimentParams(eventParams) {
+    const experiments = window.FitTrackExperiments;
+    const params = experiments && !eventParams.experiment_id ? experiments.getEventParams() : null;
+    if (params) {
+      eventParams.experiment_id = params.experiment_id;
+      eventParams.variant = params.variant;
+    }
+  }
+
+  /**
+   * Keep client ids, campaign attribution and the experiment and rollout ids in
+   * localStorage only while analytics consent is granted
+   */
+  function syncStoragePersistence() {
+    const persistent = state.consent.analytics === true;
+    const session = getSessionManager();
+
+    if (session) {
+      session.setPersistent(persistent);
+    }
+    if (window.FitTrackAttribution) {
+      window.FitTrackAttribution.setPersistent(persistent);
+    }
+    if (window.FitTrackExperiments) {
+      window.FitTrackExperiments.setPersistent(persistent);
+    }
+    if (window.FitTrackFlags) {
+      window.FitTrackFlags.setPersistent(persistent);
+    }
+  }
+
+  /**
+   * Check whether events can be delivered right now
+   * Events wait for gtag.js to load so they are not lost in the data layer if it is blocked
+   * @returns {boolean} True if gtag.js loaded or the first-party collector can take over
+   */
+  function isTransportAvailable() {
+    if (state.blocked) {
+      return isCollectorAvailable();
+    }
+    return state.transportReady;
+  }
+
+  /**
+   * Check whether the first-party collector is configured with a same-origin endpoint
+   * @returns {boolean} True if the collector can be used
+   */
+  function isCollectorAvailable() {
+    if (!CONFIG.collector.enabled || !CONFIG.collector.endpoint) {
+      return false;
+    }
+
+    try {
+      return new URL(CONFIG.collector.endpoint, window.location.href).origin === window.location.origin;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Build a collector payload following the documented JSON schema
+   * @param {Array<{eventName: string, eventParams: Object}>} items - Events to send
+   * @returns {Object} Collector payload
+   */
+  function buildCollectorPayload(items) {
+    return {
+      schema_version: CONFIG.collector.schemaVersion,
+      measurement_id: CONFIG.measurementId,
+      sent_at: new Date().toISOString(),
+      page: {
+        location: window.location.origin + window.location.pathname,
+        referrer: document.referrer || null,
+        title: document.title
+      },
+      consent: Object.assign({}, state.consent),
+      events: items.map(function(item) {
+        const params = Object.assign({}, item.eventParams);
+        const id = params[CONFIG.eventIdParam];
+        const timestamp = params.timestamp;
+        delete params[CONFIG.eventIdParam];
+        delete params.timestamp;
+
+        return {
+          id: id,
+          name: item.eventName,
+          timestamp: timestamp,
+          params: params
+        };
+      })
+    };
+  }
+
+  /**
+   * Send events to the first-party collector
+   * Uses sendBeacon for unload-time events and fetch with keepalive otherwise;
+   * events that fail to send are queued again
+   * @param {Array<{eventName: string, eventParams: Object}>} items - Events to send
+   * @param {boolean} immediate - Page is unloading, prefer sendBeacon
+   * @returns {Promise<boolean>} True if the collector accepted the events
+   */
+  function sendToCollector(items, immediate) {
+    return postToCollector(items, immediate).then(function(delivered) {
+      const store = getEventStore();
+      const ids = items.map(function(item) {
+        return item.eventParams[CONFIG.eventIdParam];
+      });
+
+      if (delivered) {
+        ids.forEach(function(id) {
+          state.sentEventIds.add(id);
+        });
+        if (store) {
+          store.remove(ids);
+        }
+        logDebug(`Sent ${items.length} events to first-party collector`);
+      } else {
+        items.forEach(function(item) {
+          queueEvent(item.eventName, item.eventParams);
+        });
+        logError('First-party collector request failed, events re-queued');
+      }
+      reportDelivery(ids, delivered ? 'sent' : 'queued');
+
+      return delivered;
+    });
+  }
+
+  /**
+   * Send a consent-exempt event straight to the first-party collector
+   * It skips the consent queue and carries no client, session or experiment ids,
+   * so it only suits aggregate counts that are needed whatever the consent outcome
+   * @param {string} eventName - Name of the event
+   * @param {Object} eventParams - Event parameters, without identifiers
+   * @returns {boolean} True if the event was handed to the collector
+   */
+  function sendConsentExemptEvent(eventName, eventParams) {
+    if (!isCollectorAvailable()) {
+      return false;
+    }
+
+    const params = Object.assign({}, eventParams);
+    params[CONFIG.eventIdParam] = generateEventId();
+    params.timestamp = new Date().toISOString();
+
+    postToCollector([{ eventName: eventName, eventParams: params }], false).then(function(delivered) {
+      if (!delivered) {
+        logError(`First-party collector request failed, ${eventName} not counted`);
+      }
+    });
+
+    logDebug('Consent-exempt event sent', { event: eventName });
+    return true;
+  }
+
+  /**
+   * POST a collector payload without touching the queue
+   * @param {Array<{eventName: string, eventParams: Object}>} items - Events to send
+   * @param {boolean} immediate - Page is unloading, prefer sendBeacon
+   * @returns {Promise<boolean>} True if the collector accepted the events
+   */
+  function postToCollector(items, immediate) {
+    const body = JSON.stringify(buildCollectorPayload(items));
+    const endpoint = CONFIG.collector.endpoint;
+
+    if ((immediate || typeof window.fetch !== 'function') && navigator.sendBeacon) {
+      let queued = false;
+      try {
+        queued = navigator.sendBeacon(endpoint, new Blob([body], { type: 'application/json' }));
+      } catch (error) {
+        logError('First-party collector beacon failed', error);
+      }
+      return Promise.resolve(queued);
+    }
+
+    if (typeof window.fetch !== 'function') {
+      return Promise.resolve(false);
+    }
+
+    return window.fetch(endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: body,
+      credentials: 'same-origin',
+      keepalive: true
+    }).then(function(response) {
+      return response.ok;
+    }).catch(function() {
+      return false;
+    });
+  }
+
+  /**
+   * Publish an event on the tracking bus, or track it directly without the bus
+   * @param {string} eventName - Canonical event name
+   * @param {Object} eventParams - Event parameters
+   * @param {Object} options - Publish options ({immediate, dedupeKey})
+   */
+  function publishEvent(eventName, eventParams, options) {
+    const bus = window.FitTrackBus;
+    options = options || {};
+
+    if (!bus) {
+      trackEvent(eventName, eventParams, options.immediate);
+      return;
+    }
+
+    bus.publish(eventName, eventParams, {
+      source: 'analytics',
+      immediate: options.immediate,
+      dedupeKey: options.dedupeKey
+    });
+  }
+
+  /**
+   * Register the GA4 and first-party destinations on the tracking bus
+   * The ga4 destination queues, consent-gates and falls back to the collector when
+   * gtag.js is blocked. The first-party destination, off by default, mirrors
+   * events to the collector while gtag.js works.
+   */
+  function registerBusDestinations() {
+    const bus = window.FitTrackBus;
+    if (!bus) {
+      return;
+    }
+
+    bus.registerDestination(bus.DESTINATIONS.GA4, function(event) {
+      const params = Object.assign({}, event.params);
+      params[CONFIG.eventIdParam] = event.id;
+      params.timestamp = event.timestamp;
+      return trackEvent(event.name, params, event.immediate);
+    });
+
+    bus.registerDestination(bus.DESTINATIONS.FIRST_PARTY, function(event) {
+      // While gtag.js is blocked the ga4 destination already uses the collector
+      if (state.blocked || !isCollectorAvailable()) {
+        return bus.DELIVERY.SKIPPED;
+      }
+
+      const params = Object.assign({}, event.params);
+      params[CONFIG.eventIdParam] = event.id;
+      params.timestamp = event.timestamp;
+      attachSessionIdentity(params);
+      attachExperimentParams(params);
+      postToCollector([{ eventName: event.name, eventParams: params }], event.immediate).then(function(delivered) {
+        bus.reportDelivery(event.id, bus.DESTINATIONS.FIRST_PARTY, delivered ? bus.DELIVERY.SENT : bus.DELIVERY.FAILED);
+      });
+      return bus.DELIVERY.SENDING;
+    }, { enabled: false, consentPurpose: 'analytics' });
+  }
+
+  /**
+   * Get the current session id used to scope funnel progress
+   * @returns {string|null} Session id
+   */
+  function getFunnelSessionId() {
+    const session = window.FitTrackSession;
+    return session ? session.getIdentity().session_id : null;
+  }
+
+  /**
+   * Load funnel progress for the current session from sessionStorage
+   * Progress stored for another funnel definition or session starts over
+   * @returns {{name: string, sessionId: (string|null), reachedAt: number[]}} Funnel progress
+   */
+  function loadFunnelProgress() {
+    const sessionId = getFunnelSessionId();
+    let stored = null;
+
+    try {
+      stored = JSON.parse(window.sessionStorage.getItem(CONFIG.funnel.storageKey) || 'null');
+    } catch (error) {
+      stored = null;
+    }
+
+    if (stored && stored.name === CONFIG.funnel.name && stored.sessionId === sessionId &&
+        Array.isArray(stored.reachedAt) && stored.reachedAt.length <= CONFIG.funnel.steps.length) {
+      return stored;
+    }
+
+    return { name: CONFIG.funnel.name, sessionId: sessionId, reachedAt: [] };
+  }
+
+  /**
+   * Save funnel progress to sessionStorage
+   */
+  function saveFunnelProgress() {
+    try {
+      window.sessionStorage.setItem(CONFIG.funnel.storageKey, JSON.stringify(state.funnel));
+    } catch (error) {
+      logDebug('Funnel progress kept in memory only', error);
+    }
+  }
+
+  /**
+   * Check whether a published event reaches a funnel step
+   * @param {Object} step - Funnel step definition
+   * @param {Object} event - Bus event
+   * @returns {boolean}
+   */
+  function matchesFunnelStep(step, event) {
+    if (step.event !== event.name) {
+      return false;
+    }
+
+    const params = step.params || {};
+    return Object.keys(params).every(function(key) {
+      return event.params[key] === params[key];
+    });
+  }
+
+  /**
+   * Advance the funnel when an event reaches the next step
+   * Sends a funnel_step event with the 1-based step index and the time since the
+   * previous step (0 for the first step)
+   * @param {Object} event - Bus event
+   */
+  function advanceFunnel(event) {
+    if (!event.validation.valid) {
+      return;
+    }
+
+    // A new session starts the funnel over
+    if (state.funnel.sessionId !== getFunnelSessionId()) {
+      state.funnel = loadFunnelProgress();
+    }
+
+    const reachedAt = state.funnel.reachedAt;
+    const nextStep = CONFIG.funnel.steps[reachedAt.length];
+    if (!nextStep || !matchesFunnelStep(nextStep, event)) {
+      return;
+    }
+
+    const now = Date.now();
+    const previous = reachedAt.length > 0 ? reachedAt[reachedAt.length - 1] : now;
+    reachedAt.push(now);
+    saveFunnelProgress();
+
+    publishEvent('funnel_step', {
+      funnel_name: CONFIG.funnel.name,
+      step_index: reachedAt.length,
+      step_name: nextStep.name,
+      time_since_previous_step_msec: now - previous
+    });
+  }
+
+  /**
+   * Follow funnel progress by subscribing to the tracking bus
+   */
+  function setupFunnelTracking() {
+    state.funnel = loadFunnelProgress();
+
+    if (window.FitTrackBus) {
+      window.FitTrackBus.subscribe(advanceFunnel);
+    }
+  }
+
+  /**
+   * Get funnel progress for the current session
+   * @returns {{name: string, furthestStep: number, furthestStepName: (string|null),
+   *   completed: boolean, steps: Array<{name: string, reached: boolean, reachedAt: (string|null)}>}}
+   *   Funnel state; furthestStep is the 1-based index of the furthest step, 0 when none
+   */
+  function getFunnelState() {
+    const reachedAt = state.funnel ? state.funnel.reachedAt : [];
+    const steps = CONFIG.funnel.steps;
+
+    return {
+      name: CONFIG.funnel.name,
+      furthestStep: reachedAt.length,
+      furthestStepName: reachedAt.length > 0 ? steps[reachedAt.length - 1].name : null,
+      completed: reachedAt.length === steps.length,
+      steps: steps.map(function(step, index) {
+        return {
+          name: step.name,
+          reached: index < reachedAt.length,
+          reachedAt: index < reachedAt.length ? new Date(reachedAt[index]).toISOString() : null
+        };
+      })
+    };
+  }
+
+  /**
+   * Queue an event in memory and persist it for later page views
+   * Events are not persisted while a browser opt-out signal is present
+   * @param {string} eventName - Name of the event
+   * @param {Object} eventParams - Event parameters including the event id
+   */
+  function queueEvent(eventName, eventParams) {
+    const eventId = eventParams[CONFIG.eventIdParam];
+    const alreadyQueued = state.eventQueue.some(function(item) {
+      return item.eventParams[CONFIG.eventIdParam] === eventId;
+    });
+
+    if (!alreadyQueued) {
+      state.eventQueue.push({ eventName: eventName, eventParams: eventParams });
+    }
+
+    const store = getEventStore();
+    if (store && state.privacySignal === null) {
+      store.add({ id: eventId, eventName: eventName, eventParams: eventParams });
+    }
+
+    logDebug(`Event queued: ${eventName}`);
+  }
+
+  /**
+   * Load events persisted by earlier page views into the in-memory queue
+   * They are replayed once consent is granted and gtag.js has loaded
+   * @returns {Promise<void>}
+   */
+  function restorePersistedEvents() {
+    const store = getEventStore();
+    if (!store) {
+      return Promise.resolve();
+    }
+
+    return store.getAll().then(function(items) {
+      const queuedIds = new Set(state.eventQueue.map(function(item) {
+        return item.eventParams[CONFIG.eventIdParam];
+      }));
+
+      items.forEach(function(item) {
+        if (!queuedIds.has(item.id) && !state.sentEventIds.has(item.id)) {
+          state.eventQueue.unshift({ eventName: item.eventName, eventParams: item.eventParams });
+        }
+      });
+
+      logDebug(`Restored ${items.length} persisted events`);
+
+      if (state.consent.analytics && isTransportAvailable()) {
+        processQueuedEvents();
+      }
+    }).catch(function(error) {
+      logError('Failed to restore persisted events', error);
+    });
+  }
+
+  /**
+   * Drop all queued events, in memory and persisted
+   */
+  function clearPersistedEvents() {
+    state.eventQueue = [];
+
+    const store = getEventStore();
+    if (store) {
+      store.clear();
+    }
+  }
+
+  /**
+   * Get the persistent event store if it is available
+   * @returns {Object|null} FitTrackEventQueue API
+   */
+  function getEventStore() {
+    return window.FitTrackEventQueue || null;
+  }
+
+  /**
+   * Generate a unique event id
+   * @returns {string} Event id
+   */
+  function generateEventId() {
+    if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+      return window.crypto.randomUUID();
+    }
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+  }
+
+  /**
+   * Get the default purpose state (only strictly necessary storage granted)
+   * @returns {Object} Purpose map
+   */
+  function getDefaultPurposes() {
+    const purposes = {};
+    Object.keys(CONFIG.consentPurposes).forEach(function(purpose) {
+      purposes[purpose] = purpose === 'necessary';
+    });
+    return purposes;
+  }
+
+  /**
+   * Normalize a consent update into a complete purpose map
+   * @param {boolean|Object} update - true/false for all purposes, or per-purpose map
+   * @param {Object} current - Current purpose map
+   * @returns {Object} Purpose map
+   */
+  function normalizePurposes(update, current) {
+    const purposes = Object.assign({}, current);
+
+    Object.keys(CONFIG.consentPurposes).forEach(function(purpose) {
+      if (typeof update === 'boolean') {
+        purposes[purpose] = update;
+      } else if (update && typeof update[purpose] === 'boolean') {
+        purposes[purpose] = update[purpose];
+      }
+    });
+
+    // Strictly necessary storage cannot be refused
+    purposes.necessary = true;
+    return purposes;
+  }
+
+  /**
+   * Map purposes onto Google Consent Mode v2 signals
+   * @param {Object} purposes - Purpose map
+   * @returns {Object} Consent mode signals
+   */
+  function buildConsentSignals(purposes) {
+    const signals = {};
+    Object.keys(CONFIG.consentPurposes).forEach(function(purpose) {
+      CONFIG.consentPurposes[purpose].forEach(function(signal) {
+        signals[signal] = purposes[purpose] ? 'granted' : 'denied';
+      });
+    });
+    return signals;
   }
 
   /**
    * Update user consent status
-   * @param {boolean} granted - Whether consent is granted
+   * @param {boolean|Object} update - true/false to accept or reject all purposes,
+   *   or a per-purpose map such as {analytics: true, marketing: false}
    */
-  function updateConsent(granted) {
-    state.consentGiven = granted;
-    storeConsent(granted);
+  function updateConsent(update) {
+    if (typeof update !== 'boolean' && (!update || typeof update !== 'object')) {
+      logError('Invalid consent update provided');
+      return;
+    }
+
+    // Store the visitor's own choice; browser opt-out signals still override it
+    const chosen = normalizePurposes(update, state.consent);
+    state.consent = applyPrivacySignal(chosen);
+    state.consentDecided = true;
+    state.outdatedPolicyVersion = null;
+    storeConsent(chosen);
+    syncStoragePersistence();
 
     // Update GA4 consent
-    gtag('consent', 'update', {
-      'analytics_storage': granted ? 'granted' : 'denied'
-    });
+    gtag('consent', 'update', buildConsentSignals(state.consent));
+    gtag('set', 'allow_ad_personalization_signals', state.consent.personalization);
 
-    if (granted && !state.blocked && state.loadAttempts === 0) {
+    if (state.consent.analytics && !state.blocked && state.loadAttempts === 0) {
       loadGtagScript();
     }
 
-    if (granted) {
+    if (state.consent.analytics) {
       processQueuedEvents();
+    } else {
+      // Events collected before the visitor declined must not be sent later
+      clearPersistedEvents();
     }
 
-    logDebug(`Consent updated: ${granted ? 'granted' : 'denied'}`);
+    document.dispatchEvent(new CustomEvent(CONFIG.consentChangeEvent, {
+      detail: getConsentStatus()
+    }));
+
+    logDebug('Consent updated', state.consent);
   }
 
   /**
-   * Get stored consent from localStorage
-   * @returns {boolean|null} Stored consent or null if not set
+   * Get current consent status
+   * @returns {{decided: boolean, purposes: Object, policyVersion: string, reprompt: boolean,
+   *   privacySignal: (string|null), region: (string|null), consentModel: (string|null)}} Consent status
+   */
+  function getConsentStatus() {
+    return {
+      decided: state.consentDecided,
+      purposes: Object.assign({}, state.consent),
+      policyVersion: getPolicyVersion(),
+      reprompt: !state.consentDecided && state.outdatedPolicyVersion !== null,
+      privacySignal: state.privacySignal,
+      region: state.region,
+      consentModel: state.consentModel
+    };
+  }
+
+  /**
+   * Detect a browser opt-out signal
+   * Global Privacy Control is checked first as it is legally binding in several US states
+   * @returns {string|null} 'gpc', 'dnt' or null when no signal is present
+   */
+  function detectPrivacySignal() {
+    if (CONFIG.privacySignals.globalPrivacyControl && navigator.globalPrivacyControl === true) {
+      return 'gpc';
+    }
+
+    if (CONFIG.privacySignals.doNotTrack) {
+      const dnt = navigator.doNotTrack || window.doNotTrack || navigator.msDoNotTrack;
+      if (dnt === '1' || dnt === 'yes') {
+        return 'dnt';
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Apply the active browser opt-out signal to a purpose map
+   * @param {Object} purposes - Purpose map
+   * @returns {Object} Purpose map with optional purposes denied when a signal is present
+   */
+  function applyPrivacySignal(purposes) {
+    if (state.privacySignal === null) {
+      return purposes;
+    }
+    return normalizePurposes(false, purposes);
+  }
+
+  /**
+   * Get the current privacy policy version
+   * @returns {string} Policy version
+   */
+  function getPolicyVersion() {
+    const meta = document.querySelector(`meta[name="${CONFIG.policyVersionMetaName}"]`);
+    const content = meta ? meta.getAttribute('content') : '';
+    return content ? content.trim() : CONFIG.consentPolicyVersion;
+  }
+
+  /**
+   * Treat consent given under an older privacy policy as undecided and
+   * report the re-prompt so re-consents can be counted
+   */
+  function requestReconsent() {
+    const detail = {
+      previous_policy_version: state.outdatedPolicyVersion,
+      current_policy_version: getPolicyVersion()
+    };
+
+    // Counted whatever the visitor answers; the consent queue would drop it on a reject
+    if (!sendConsentExemptEvent('consent_reprompt', Object.assign({}, detail))) {
+      publishEvent('consent_reprompt', Object.assign({}, detail));
+    }
+    document.dispatchEvent(new CustomEvent(CONFIG.consentRepromptEvent, { detail: detail }));
+
+    logDebug('Consent re-prompt required', detail);
+  }
+
+  /**
+   * Get stored consent record from localStorage
+   * @returns {{purposes: Object, policyVersion: (string|null)}|null} Stored record or null if not set
    */
   function getStoredConsent() {
     try {
@@ -364,7 +1479,15 @@
       const expiryDate = new Date(data.expiry);
       
       if (expiryDate > new Date()) {
-        return data.consent === true;
+        // Records written before per-purpose consent hold a single analytics boolean
+        const purposes = data.purposes
+          ? normalizePurposes(data.purposes, getDefaultPurposes())
+          : normalizePurposes({ analytics: data.consent === true }, getDefaultPurposes());
+
+        return {
+          purposes: purposes,
+          policyVersion: data.policyVersion || null
+        };
       }
       
       localStorage.removeItem(CONFIG.consentStorageKey);
@@ -377,15 +1500,18 @@
 
   /**
    * Store consent in localStorage
-   * @param {boolean} granted - Whether consent is granted
+   * @param {Object} purposes - Purpose map
    */
-  function storeConsent(granted) {
+  function storeConsent(purposes) {
     try {
       const expiry = new Date();
       expiry.setDate(expiry.getDate() + CONFIG.consentExpiryDays);
       
       localStorage.setItem(CONFIG.consentStorageKey, JSON.stringify({
-        consent: granted,
+        version: CONFIG.consentRecordVersion,
+        policyVersion: getPolicyVersion(),
+        purposes: purposes,
+        timestamp: new Date().toISOString(),
         expiry: expiry.toISOString()
       }));
     } catch (error) {
@@ -394,13 +1520,148 @@
   }
 
   /**
-   * Determine if analytics should load by default (non-EU regions)
-   * @returns {boolean} Whether to load by default
+   * Resolve the visitor's region code
+   * Order: query-string override, custom resolver, server-injected meta tag, geo endpoint
+   * @returns {Promise<string|null>} Upper-case region code or null if unknown
    */
-  function shouldLoadByDefault() {
-    // In production, implement proper geo-detection or server-side logic
-    // For now, default to requiring explicit consent (GDPR-compliant)
-    return false;
+  function resolveRegion() {
+    const override = new URLSearchParams(window.location.search).get(CONFIG.geo.overrideParam);
+    if (override) {
+      return Promise.resolve(override.toUpperCase());
+    }
+
+    if (typeof state.regionResolver === 'function') {
+      return Promise.resolve()
+        .then(state.regionResolver)
+        .then(normalizeRegion)
+        .catch(function(error) {
+          logError('Custom region resolver failed', error);
+          return null;
+        });
+    }
+
+    const meta = document.querySelector(`meta[name="${CONFIG.geo.metaName}"]`);
+    if (meta && meta.getAttribute('content')) {
+      return Promise.resolve(normalizeRegion(meta.getAttribute('content')));
+    }
+
+    if (CONFIG.geo.endpoint && window.fetch) {
+      return fetchRegion();
+    }
+
+    return Promise.resolve(null);
+  }
+
+  /**
+   * Look up the region from the configured geo endpoint
+   * @returns {Promise<string|null>} Region code or null on failure/timeout
+   */
+  function fetchRegion() {
+    const timeout = new Promise(function(resolve) {
+      setTimeout(function() {
+        resolve(null);
+      }, CONFIG.geo.timeout);
+    });
+
+    const request = fetch(CONFIG.geo.endpoint, { credentials: 'same-origin' })
+      .then(function(response) {
+        return response.ok ? response.json() : null;
+      })
+      .then(function(data) {
+        return normalizeRegion(data && data.region);
+      })
+      .catch(function(error) {
+        logError('Region lookup failed', error);
+        return null;
+      });
+
+    return Promise.race([request, timeout]);
+  }
+
+  /**
+   * Normalize a region code
+   * @param {*} region - Raw region value
+   * @returns {string|null} Upper-case region code or null
+   */
+  function normalizeRegion(region) {
+    return typeof region === 'string' && region.trim() ? region.trim().toUpperCase() : null;
+  }
+
+  /**
+   * Find the consent rule for a region
+   * Unknown regions get the strictest (first) rule
+   * @param {string|null} region - Region code
+   * @returns {Object} Matching rule from CONFIG.regionConsentRules
+   */
+  function getRegionRule(region) {
+    if (!region) {
+      return CONFIG.regionConsentRules[0];
+    }
+
+    for (let i = 0; i < CONFIG.regionConsentRules.length; i++) {
+      const rule = CONFIG.regionConsentRules[i];
+      if (rule.regions.indexOf(region) !== -1 || rule.regions.indexOf('*') !== -1) {
+        return rule;
+      }
+    }
+
+    return CONFIG.regionConsentRules[0];
+  }
+
+  /**
+   * Apply the default consent for the visitor's region until they decide
+   * @returns {Promise<void>}
+   */
+  function applyRegionDefaults() {
+    const request = ++state.regionRequest;
+
+    return resolveRegion().then(function(region) {
+      if (request !== state.regionRequest) {
+        return;
+      }
+
+      const rule = getRegionRule(region);
+      state.region = region;
+      state.consentModel = rule.model;
+
+      // The visitor may have decided while the region was resolving
+      if (state.consentDecided || state.privacySignal !== null) {
+        return;
+      }
+
+      state.consent = normalizePurposes(rule.defaults, getDefaultPurposes());
+      syncStoragePersistence();
+      gtag('consent', 'update', buildConsentSignals(state.consent));
+
+      if (state.consent.analytics) {
+        if (!state.blocked && state.loadAttempts === 0) {
+          loadGtagScript();
+        }
+        processQueuedEvents();
+      }
+
+      document.dispatchEvent(new CustomEvent(CONFIG.consentChangeEvent, {
+        detail: getConsentStatus()
+      }));
+
+      logDebug('Regional consent defaults applied', { region: region, model: rule.model });
+    });
+  }
+
+  /**
+   * Set a custom region resolver, e.g. one backed by a CDN geo header
+   * init() has already resolved the region by the time other scripts can call this,
+   * so the defaults are resolved again while the visitor has not decided.
+   * @param {Function|null} resolver - Returns a region code, or a promise of one
+   * @returns {Promise<void>} Resolves once the regional defaults are applied
+   */
+  function setRegionResolver(resolver) {
+    state.regionResolver = typeof resolver === 'function' ? resolver : null;
+
+    if (state.initialized && !state.consentDecided && state.privacySignal === null) {
+      return applyRegionDefaults();
+    }
+    return Promise.resolve();
   }
 
   /**
@@ -440,7 +1701,7 @@
    * @param {*} data - Optional data to log
    */
   function logDebug(message, data) {
-    if (CONFIG.debugMode) {
+    if (CONFIG.debugMode || (window.FitTrackBus && window.FitTrackBus.isDebug())) {
       console.log('[Analytics]', message, data || '');
     }
   }
@@ -457,14 +1718,38 @@
   // Public API
   window.FitTrackAnalytics = {
     init: init,
-    trackEvent: trackEvent,
+    trackEvent: function(eventName, eventParams, immediate) {
+      publishEvent(eventName, eventParams, { immediate: immediate === true });
+    },
     updateConsent: updateConsent,
-    getConsentStatus: function() {
-      return state.consentGiven;
+    getConsentStatus: getConsentStatus,
+    hasConsent: function(purpose) {
+      return state.consent[purpose] === true;
+    },
+    hasConsentDecision: function() {
+      return state.consentDecided || state.privacySignal !== null;
     },
     isBlocked: function() {
       return state.blocked;
-    }
+    },
+    getQueueSize: function() {
+      return state.eventQueue.length;
+    },
+    getFunnelState: getFunnelState,
+    getSectionDwellTimes: function() {
+      const dwellTimes = {};
+      state.sectionDwell.forEach(function(record, sectionName) {
+        dwellTimes[sectionName] = getCurrentDwell(record);
+      });
+      return dwellTimes;
+    },
+    getTransport: function() {
+      if (state.blocked) {
+        return isCollectorAvailable() ? 'first-party' : 'none';
+      }
+      return state.transportReady ? 'gtag' : 'pending';
+    },
+    setRegionResolver: setRegionResolver
   };
 
   // Auto-initialize on DOM ready
@@ -0,0 +1,403 @@
+/**
+ * Campaign Attribution Module
+ * Captures utm_* parameters, click ids (gclid, fbclid) and the referrer on landing,
+ * keeps first-touch and last-touch records with expiry, and appends campaign
+ * parameters to App Store and Google Play links so store installs can be attributed.
+ *
+ * @module attribution
+ * @dependencies: js/tracking-bus.js (enriches conversion events),
+ *   js/analytics.js (drives persistence)
+ */
+
+(function () {
+  'use strict';
+
+  // ============================================
+  // CONFIGURATION
+  // ============================================
+
+  const CONFIG = Object.freeze({
+    storageKey: 'fittrack_attribution',
+    campaignParams: ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content'],
+    clickIdParams: ['gclid', 'fbclid'],
+    // Conversion events that carry first/last-touch attribution
+    attributedEvents: ['cta_click', 'app_store_click'],
+    firstTouchExpiryDays: 90,
+    lastTouchExpiryDays: 30,
+    appStore: {
+      hosts: ['apps.apple.com', 'itunes.apple.com'],
+      providerToken: null, // App Store Connect provider token (pt), set to enable
+      maxCampaignTokenLength: 40,
+    },
+    playStore: {
+      hosts: ['play.google.com'],
+    },
+  });
+
+  const SELECTORS = Object.freeze({
+    STORE_LINKS: '[data-track-app-store], .app-badge, .footer__app-badge',
+  });
+
+  const DATA_ATTRIBUTES = Object.freeze({
+    BASE_HREF: 'data-attribution-base-href',
+  });
+
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  // ============================================
+  // STATE MANAGEMENT
+  // ============================================
+
+  const state = {
+    initialized: false,
+    persistent: null, // Unknown until analytics.js reports consent
+    firstTouch: null,
+    lastTouch: null,
+  };
+
+  // ============================================
+  // UTILITY FUNCTIONS
+  // ============================================
+
+  /**
+   * Logs structured messages with context
+   * @param {string} level - Log level (info, warn, error)
+   * @param {string} message - Log message
+   * @param {Object} context - Additional context
+   */
+  function log(level, message, context = {}) {
+    if (level === 'error') {
+      console.error(`[Attribution] ${message}`, context);
+    } else if (level === 'warn') {
+      console.warn(`[Attribution] ${message}`, context);
+    } else {
+      console.log(`[Attribution] ${message}`, context);
+    }
+  }
+
+  /**
+   * Gets the storage matching the current consent: localStorage when persistent,
+   * sessionStorage otherwise
+   * @param {boolean} persistent - Whether persistence is allowed
+   * @returns {Storage|null} Storage, or null when unavailable
+   */
+  function getStorage(persistent) {
+    try {
+      return persistent ? window.localStorage : window.sessionStorage;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Checks whether a touch record is still valid
+   * @param {Object|null} touch - Touch record
+   * @returns {boolean}
+   */
+  function isValid(touch) {
+    return Boolean(touch && touch.expiresAt && touch.expiresAt > Date.now());
+  }
+
+  // ============================================
+  // TOUCH CAPTURE
+  // ============================================
+
+  /**
+   * Parses the landing URL and referrer into a touch
+   * Direct visits (no campaign parameters, no external referrer) return null
+   * @returns {Object|null} Touch without expiry
+   */
+  function parseLandingTouch() {
+    const params = new URLSearchParams(window.location.search);
+    const touch = {};
+
+    CONFIG.campaignParams.concat(CONFIG.clickIdParams).forEach((name) => {
+      const value = params.get(name);
+      if (value) {
+        touch[name.replace(/^utm_/, '')] = value.trim();
+      }
+    });
+
+    let referrerHost = null;
+    try {
+      referrerHost = document.referrer ? new URL(document.referrer).hostname : null;
+    } catch (error) {
+      referrerHost = null;
+    }
+
+    const isExternalReferrer = referrerHost !== null && referrerHost !== window.location.hostname;
+    const hasCampaign = Object.keys(touch).length > 0;
+
+    if (!hasCampaign && !isExternalReferrer) {
+      return null;
+    }
+
+    // Fill in source/medium the way GA does for untagged traffic
+    if (!touch.source) {
+      if (touch.gclid) {
+        touch.source = 'google';
+        touch.medium = touch.medium || 'cpc';
+      } else if (touch.fbclid) {
+        touch.source = 'facebook';
+        touch.medium = touch.medium || 'paid_social';
+      } else if (isExternalReferrer) {
+        touch.source = referrerHost.replace(/^www\./, '');
+        touch.medium = touch.medium || 'referral';
+      }
+    }
+
+    touch.referrer = isExternalReferrer ? document.referrer : null;
+    touch.landing_page = window.location.pathname;
+    touch.timestamp = new Date().toISOString();
+
+    return touch;
+  }
+
+  /**
+   * Records the landing touch as last touch, and as first touch if none is valid
+   */
+  function captureTouch() {
+    const touch = parseLandingTouch();
+
+    if (!touch) {
+      return;
+    }
+
+    const now = Date.now();
+
+    if (!isValid(state.firstTouch)) {
+      state.firstTouch = { ...touch, expiresAt: now + CONFIG.firstTouchExpiryDays * DAY_MS };
+    }
+    state.lastTouch = { ...touch, expiresAt: now + CONFIG.lastTouchExpiryDays * DAY_MS };
+
+    save();
+    log('info', 'Campaign touch captured', { source: touch.source, medium: touch.medium });
+  }
+
+  // ============================================
+  // PERSISTENCE
+  // ============================================
+
+  /**
+   * Loads touches from storage, dropping expired ones
+   */
+  function load() {
+    const sources = [getStorage(true), getStorage(false)];
+
+    for (const storage of sources) {
+      try {
+        const stored = storage ? JSON.parse(storage.getItem(CONFIG.storageKey) || 'null') : null;
+        if (stored) {
+          state.firstTouch = isValid(stored.firstTouch) ? stored.firstTouch : null;
+          state.lastTouch = isValid(stored.lastTouch) ? stored.lastTouch : null;
+          return;
+        }
+      } catch (error) {
+        log('warn', 'Stored attribution unreadable', { error: error.message });
+      }
+    }
+  }
+
+  /**
+   * Saves touches to the storage allowed by the current consent
+   */
+  function save() {
+    const storage = getStorage(state.persistent);
+    if (!storage) {
+      return;
+    }
+
+    try {
+      storage.setItem(CONFIG.storageKey, JSON.stringify({
+        firstTouch: state.firstTouch,
+        lastTouch: state.lastTouch,
+      }));
+    } catch (error) {
+      log('warn', 'Failed to save attribution', { error: error.message });
+    }
+  }
+
+  /**
+   * Allows or revokes keeping touches in localStorage across sessions
+   * Called by analytics.js whenever analytics consent changes
+   * @param {boolean} persistent - True when analytics consent is granted
+   */
+  function setPersistent(persistent) {
+    if (state.persistent === persistent) {
+      return;
+    }
+
+    // Before the first call the touches may sit in either storage, e.g. localStorage
+    // from a visit with consent, so always clear the one that is no longer allowed
+    const previous = getStorage(!persistent);
+    state.persistent = persistent;
+
+    try {
+      if (previous) {
+        previous.removeItem(CONFIG.storageKey);
+      }
+    } catch (error) {
+      log('warn', 'Failed to clear attribution storage', { error: error.message });
+    }
+
+    if (state.firstTouch || state.lastTouch) {
+      save();
+    }
+  }
+
+  // ============================================
+  // EVENT PARAMETERS
+  // ============================================
+
+  /**
+   * Gets the attribution parameters attached to conversion events
+   * @returns {Object} Flat params such as first_touch_source, last_touch_campaign, gclid
+   */
+  function getEventParams() {
+    const params = {};
+    const touches = { first_touch: state.firstTouch, last_touch: state.lastTouch };
+
+    Object.keys(touches).forEach((prefix) => {
+      const touch = touches[prefix];
+      if (!isValid(touch)) {
+        return;
+      }
+
+      ['source', 'medium', 'campaign'].forEach((field) => {
+        if (touch[field]) {
+          params[`${prefix}_${field}`] = touch[field];
+        }
+      });
+    });
+
+    if (isValid(state.lastTouch)) {
+      CONFIG.clickIdParams.forEach((name) => {
+        if (state.lastTouch[name]) {
+          params[name] = state.lastTouch[name];
+        }
+      });
+    }
+
+    return params;
+  }
+
+  // ============================================
+  // STORE LINK DECORATION
+  // ============================================
+
+  /**
+   * Appends campaign parameters to an App Store or Google Play URL
+   * App Store links get ct (campaign token) and pt (provider token), Google Play
+   * links get an install referrer. Click ids are never forwarded to the stores.
+   * @param {string} url - Store URL
+   * @returns {string} Decorated URL, or the original when there is nothing to add
+   */
+  function decorateStoreUrl(url) {
+    const touch = isValid(state.lastTouch) ? state.lastTouch : null;
+    if (!touch || !touch.source) {
+      return url;
+    }
+
+    let parsed;
+    try {
+      parsed = new URL(url, window.location.href);
+    } catch (error) {
+      return url;
+    }
+
+    if (CONFIG.appStore.hosts.includes(parsed.hostname)) {
+      const campaignToken = [touch.source, touch.medium, touch.campaign].filter(Boolean).join('_');
+      parsed.searchParams.set('ct', campaignToken.slice(0, CONFIG.appStore.maxCampaignTokenLength));
+      parsed.searchParams.set('mt', '8');
+      if (CONFIG.appStore.providerToken) {
+        parsed.searchParams.set('pt', CONFIG.appStore.providerToken);
+      }
+      return parsed.toString();
+    }
+
+    if (CONFIG.playStore.hosts.includes(parsed.hostname)) {
+      const referrer = new URLSearchParams();
+      ['source', 'medium', 'campaign', 'term', 'content'].forEach((field) => {
+        if (touch[field]) {
+          referrer.set(`utm_${field}`, touch[field]);
+        }
+      });
+      parsed.searchParams.set('referrer', referrer.toString());
+      return parsed.toString();
+    }
+
+    return url;
+  }
+
+  /**
+   * Decorates all store links on the page, always starting from their original href
+   */
+  function decorateStoreLinks() {
+    document.querySelectorAll(SELECTORS.STORE_LINKS).forEach((link) => {
+      if (!link.hasAttribute('href')) {
+        return;
+      }
+
+      if (!link.hasAttribute(DATA_ATTRIBUTES.BASE_HREF)) {
+        link.setAttribute(DATA_ATTRIBUTES.BASE_HREF, link.getAttribute('href'));
+      }
+
+      link.setAttribute('href', decorateStoreUrl(link.getAttribute(DATA_ATTRIBUTES.BASE_HREF)));
+    });
+  }
+
+  // ============================================
+  // INITIALIZATION
+  // ============================================
+
+  /**
+   * Initialize store link decoration once the DOM is ready
+   */
+  function init() {
+    if (state.initialized) {
+      log('warn', 'Attribution already initialized');
+      return;
+    }
+
+    try {
+      decorateStoreLinks();
+      state.initialized = true;
+    } catch (error) {
+      log('error', 'Attribution initialization failed', { error: error.message });
+    }
+  }
+
+  // Capture the landing touch immediately, before other scripts rewrite the URL
+  load();
+  captureTouch();
+
+  if (window.FitTrackBus) {
+    window.FitTrackBus.addEnricher((name) => (
+      CONFIG.attributedEvents.includes(name) ? getEventParams() : null
+    ));
+  }
+
+  // ============================================
+  // AUTO-INITIALIZATION
+  // ============================================
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+
+  // ============================================
+  // PUBLIC API
+  // ============================================
+
+  window.FitTrackAttribution = Object.freeze({
+    init,
+    setPersistent,
+    getEventParams,
+    decorateStoreUrl,
+    decorateStoreLinks,
+    getFirstTouch: () => (isValid(state.firstTouch) ? { ...state.firstTouch } : null),
+    getLastTouch: () => (isValid(state.lastTouch) ? { ...state.lastTouch } : null),
+  });
+})();
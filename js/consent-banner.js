@@ -0,0 +1,380 @@
+/**
+ * Consent Banner Module
+ * Cookie consent banner and preferences dialog driving FitTrackAnalytics.updateConsent.
+ * Supports accept all / reject all / customize, keyboard navigation with focus
+ * trapping in the dialog, and reopening from the footer "Cookie settings" link.
+ *
+ * @module consent-banner
+ * @dependencies: ["js/analytics.js", "css/components/consent-banner.css"]
+ */
+
+(function () {
+  'use strict';
+
+  // ============================================
+  // CONFIGURATION
+  // ============================================
+
+  const SELECTORS = Object.freeze({
+    BANNER: '.consent-banner',
+    DIALOG: '.consent-dialog',
+    BACKDROP: '.consent-backdrop',
+    ACCEPT_ALL: '[data-consent-accept-all]',
+    REJECT_ALL: '[data-consent-reject-all]',
+    CUSTOMIZE: '[data-consent-customize]',
+    SAVE: '[data-consent-save]',
+    CLOSE: '[data-consent-close]',
+    OPEN_SETTINGS: '[data-consent-open]',
+    PURPOSE_TOGGLE: '[data-consent-purpose]',
+    REPROMPT_NOTICE: '[data-consent-reprompt-notice]',
+    SIGNAL_NOTICE: '[data-consent-signal-notice]',
+  });
+
+  const KEYS = Object.freeze({
+    ESCAPE: 'Escape',
+    TAB: 'Tab',
+  });
+
+  const DATA_ATTRIBUTES = Object.freeze({
+    VISIBLE: 'data-visible',
+  });
+
+  // ============================================
+  // STATE MANAGEMENT
+  // ============================================
+
+  const state = {
+    initialized: false,
+    isDialogOpen: false,
+    focusableElements: [],
+    lastFocusedElement: null,
+  };
+
+  let elements = {
+    banner: null,
+    dialog: null,
+    backdrop: null,
+    purposeToggles: [],
+  };
+
+  // ============================================
+  // UTILITY FUNCTIONS
+  // ============================================
+
+  /**
+   * Log consent banner events
+   * @param {string} level - Log level (info, warn, error)
+   * @param {string} message - Log message
+   * @param {Object} context - Additional context
+   */
+  function log(level, message, context = {}) {
+    if (level === 'error') {
+      console.error(`[ConsentBanner] ${message}`, context);
+    } else if (level === 'warn') {
+      console.warn(`[ConsentBanner] ${message}`, context);
+    } else {
+      console.log(`[ConsentBanner] ${message}`, context);
+    }
+  }
+
+  /**
+   * Get the analytics API if it is available
+   * @returns {Object|null} FitTrackAnalytics API
+   */
+  function getAnalytics() {
+    return window.FitTrackAnalytics || null;
+  }
+
+  /**
+   * Get all focusable elements within a container
+   * @param {HTMLElement} container - Container element
+   * @returns {HTMLElement[]} Array of focusable elements
+   */
+  function getFocusableElements(container) {
+    const focusableSelectors = [
+      'a[href]',
+      'button:not([disabled])',
+      'input:not([disabled])',
+      '[tabindex]:not([tabindex="-1"])',
+    ].join(', ');
+
+    return Array.from(container.querySelectorAll(focusableSelectors));
+  }
+
+  /**
+   * Trap focus within the preferences dialog
+   * @param {KeyboardEvent} event - Keyboard event
+   */
+  function trapFocus(event) {
+    const focusableElements = state.focusableElements;
+
+    if (focusableElements.length === 0) {
+      return;
+    }
+
+    const firstElement = focusableElements[0];
+    const lastElement = focusableElements[focusableElements.length - 1];
+    const activeElement = document.activeElement;
+
+    if (event.shiftKey && activeElement === firstElement) {
+      event.preventDefault();
+      lastElement.focus();
+    } else if (!event.shiftKey && activeElement === lastElement) {
+      event.preventDefault();
+      firstElement.focus();
+    }
+  }
+
+  // ============================================
+  // BANNER
+  // ============================================
+
+  /**
+   * Show the consent banner
+   */
+  function showBanner() {
+    elements.banner.hidden = false;
+    elements.banner.setAttribute(DATA_ATTRIBUTES.VISIBLE, 'true');
+  }
+
+  /**
+   * Hide the consent banner
+   */
+  function hideBanner() {
+    elements.banner.hidden = true;
+    elements.banner.setAttribute(DATA_ATTRIBUTES.VISIBLE, 'false');
+  }
+
+  // ============================================
+  // PREFERENCES DIALOG
+  // ============================================
+
+  /**
+   * Sync dialog toggles with the current consent status
+   * Toggles are locked off while the browser sends an opt-out signal (GPC/DNT)
+   */
+  function syncToggles() {
+    const analytics = getAnalytics();
+    const status = analytics ? analytics.getConsentStatus() : { purposes: {}, privacySignal: null };
+    const hasSignal = Boolean(status.privacySignal);
+
+    elements.purposeToggles.forEach((toggle) => {
+      toggle.checked = status.purposes[toggle.getAttribute('data-consent-purpose')] === true;
+      toggle.disabled = hasSignal;
+    });
+
+    const signalNotice = elements.dialog.querySelector(SELECTORS.SIGNAL_NOTICE);
+    if (signalNotice) {
+      signalNotice.hidden = !hasSignal;
+    }
+  }
+
+  /**
+   * Read the purpose choices from the dialog toggles
+   * @returns {Object} Purpose map, e.g. {analytics: true, marketing: false}
+   */
+  function readToggles() {
+    const purposes = {};
+
+    elements.purposeToggles.forEach((toggle) => {
+      purposes[toggle.getAttribute('data-consent-purpose')] = toggle.checked;
+    });
+
+    return purposes;
+  }
+
+  /**
+   * Open the preferences dialog
+   */
+  function openDialog() {
+    if (state.isDialogOpen) {
+      return;
+    }
+
+    state.isDialogOpen = true;
+    state.lastFocusedElement = document.activeElement;
+
+    syncToggles();
+
+    elements.dialog.hidden = false;
+    elements.backdrop.hidden = false;
+    elements.dialog.setAttribute(DATA_ATTRIBUTES.VISIBLE, 'true');
+    document.body.style.overflow = 'hidden';
+
+    state.focusableElements = getFocusableElements(elements.dialog);
+    if (state.focusableElements.length > 0) {
+      state.focusableElements[0].focus();
+    }
+
+    log('info', 'Preferences dialog opened');
+  }
+
+  /**
+   * Close the preferences dialog and restore focus
+   */
+  function closeDialog() {
+    if (!state.isDialogOpen) {
+      return;
+    }
+
+    state.isDialogOpen = false;
+
+    elements.dialog.hidden = true;
+    elements.backdrop.hidden = true;
+    elements.dialog.setAttribute(DATA_ATTRIBUTES.VISIBLE, 'false');
+    document.body.style.overflow = '';
+
+    // Return focus to the trigger, or to the banner if it is still showing
+    const fallbackFocus = elements.banner.hidden ? null : elements.banner.querySelector(SELECTORS.CUSTOMIZE);
+    const focusTarget = state.lastFocusedElement && document.contains(state.lastFocusedElement)
+      ? state.lastFocusedElement
+      : fallbackFocus;
+
+    if (focusTarget && focusTarget.focus) {
+      focusTarget.focus();
+    }
+
+    state.focusableElements = [];
+    state.lastFocusedElement = null;
+
+    log('info', 'Preferences dialog closed');
+  }
+
+  // ============================================
+  // CONSENT ACTIONS
+  // ============================================
+
+  /**
+   * Apply a consent decision and dismiss the UI
+   * @param {boolean|Object} decision - true/false for all purposes, or a per-purpose map
+   */
+  function applyConsent(decision) {
+    const analytics = getAnalytics();
+
+    if (!analytics) {
+      log('warn', 'FitTrackAnalytics not available, consent not applied');
+    } else {
+      analytics.updateConsent(decision);
+    }
+
+    hideBanner();
+    closeDialog();
+
+    log('info', 'Consent decision applied', { decision });
+  }
+
+  /**
+   * Handle clicks inside the banner and dialog
+   * @param {Event} event - Click event
+   */
+  function handleClick(event) {
+    const target = event.target;
+
+    if (target.closest(SELECTORS.ACCEPT_ALL)) {
+      applyConsent(true);
+    } else if (target.closest(SELECTORS.REJECT_ALL)) {
+      applyConsent(false);
+    } else if (target.closest(SELECTORS.SAVE)) {
+      applyConsent(readToggles());
+    } else if (target.closest(SELECTORS.CUSTOMIZE) || target.closest(SELECTORS.OPEN_SETTINGS)) {
+      event.preventDefault();
+      openDialog();
+    } else if (target.closest(SELECTORS.CLOSE) || target === elements.backdrop) {
+      closeDialog();
+    }
+  }
+
+  /**
+   * Handle keyboard events for the dialog
+   * @param {KeyboardEvent} event - Keyboard event
+   */
+  function handleKeyDown(event) {
+    if (!state.isDialogOpen) {
+      return;
+    }
+
+    if (event.key === KEYS.ESCAPE) {
+      event.preventDefault();
+      closeDialog();
+      return;
+    }
+
+    if (event.key === KEYS.TAB) {
+      trapFocus(event);
+    }
+  }
+
+  // ============================================
+  // INITIALIZATION
+  // ============================================
+
+  /**
+   * Cache DOM elements
+   * @returns {boolean} True if all required elements found
+   */
+  function cacheElements() {
+    elements.banner = document.querySelector(SELECTORS.BANNER);
+    elements.dialog = document.querySelector(SELECTORS.DIALOG);
+    elements.backdrop = document.querySelector(SELECTORS.BACKDROP);
+    elements.purposeToggles = elements.dialog
+      ? Array.from(elements.dialog.querySelectorAll(SELECTORS.PURPOSE_TOGGLE))
+      : [];
+
+    return Boolean(elements.banner && elements.dialog && elements.backdrop && elements.purposeToggles.length > 0);
+  }
+
+  /**
+   * Initialize the consent banner
+   */
+  function init() {
+    if (state.initialized) {
+      log('warn', 'Consent banner already initialized');
+      return;
+    }
+
+    try {
+      if (!cacheElements()) {
+        throw new Error('Required consent elements not found');
+      }
+
+      document.addEventListener('click', handleClick);
+      document.addEventListener('keydown', handleKeyDown);
+
+      const analytics = getAnalytics();
+      if (!analytics || !analytics.hasConsentDecision()) {
+        showBanner();
+      }
+
+      // Explain why the banner is back when the privacy policy changed
+      const repromptNotice = elements.banner.querySelector(SELECTORS.REPROMPT_NOTICE);
+      if (repromptNotice && analytics) {
+        repromptNotice.hidden = !analytics.getConsentStatus().reprompt;
+      }
+
+      state.initialized = true;
+      log('info', 'Consent banner initialized', { bannerVisible: !elements.banner.hidden });
+    } catch (error) {
+      log('error', 'Consent banner initialization failed', { error: error.message });
+    }
+  }
+
+  // ============================================
+  // AUTO-INITIALIZATION
+  // ============================================
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+
+  // ============================================
+  // PUBLIC API
+  // ============================================
+
+  window.FitTrackConsentBanner = Object.freeze({
+    init,
+    openSettings: openDialog,
+    closeSettings: closeDialog,
+  });
+})();
@@ -0,0 +1,552 @@
+/**
+ * Analytics Debug Overlay
+ * In-page event inspector for QA and analysts. Lists every event published on the
+ * tracking bus with its params, delivery status per destination (sent, queued,
+ * blocked...), schema-validation errors and the current consent and transport state.
+ *
+ * Enable with ?fittrack_debug=1 (remembered in localStorage), disable with
+ * ?fittrack_debug=0. When enabled the tracking bus runs in debug mode, so events
+ * failing validation are listed instead of silently dropped.
+ *
+ * @module debug-overlay
+ * @dependencies: ["js/tracking-bus.js", "js/analytics.js" (optional, consent and
+ *   transport state), "css/components/debug-overlay.css" (loaded on demand)]
+ */
+
+(function () {
+  'use strict';
+
+  // ============================================
+  // CONFIGURATION
+  // ============================================
+
+  const CONFIG = Object.freeze({
+    queryParam: 'fittrack_debug',
+    storageKey: 'fittrack_debug',
+    stylesheet: 'css/components/debug-overlay.css',
+    maxEntries: 100,
+    consentChangeEvent: 'fittrack:consent:change',
+  });
+
+  const SELECTORS = Object.freeze({
+    COPY: '[data-debug-copy]',
+    CLEAR: '[data-debug-clear]',
+    TOGGLE: '[data-debug-toggle]',
+  });
+
+  const DATA_ATTRIBUTES = Object.freeze({
+    COLLAPSED: 'data-collapsed',
+    EVENT_ID: 'data-event-id',
+    STATUS: 'data-status',
+    VALID: 'data-valid',
+    LEVEL: 'data-level',
+  });
+
+  // ============================================
+  // STATE MANAGEMENT
+  // ============================================
+
+  const state = {
+    enabled: false,
+    initialized: false,
+    entries: [], // { event, deliveries }, newest last
+    unsubscribers: [],
+  };
+
+  let elements = {
+    panel: null,
+    count: null,
+    status: null,
+    list: null,
+    copyButton: null,
+  };
+
+  // ============================================
+  // UTILITY FUNCTIONS
+  // ============================================
+
+  /**
+   * Logs structured messages with context
+   * @param {string} level - Log level (info, warn, error)
+   * @param {string} message - Log message
+   * @param {Object} context - Additional context
+   */
+  function log(level, message, context = {}) {
+    if (level === 'error') {
+      console.error(`[DebugOverlay] ${message}`, context);
+    } else if (level === 'warn') {
+      console.warn(`[DebugOverlay] ${message}`, context);
+    } else {
+      console.log(`[DebugOverlay] ${message}`, context);
+    }
+  }
+
+  /**
+   * Reads the debug flag from the URL, remembering it in localStorage
+   * @returns {boolean} True when the overlay should be shown
+   */
+  function readFlag() {
+    const value = new URLSearchParams(window.location.search).get(CONFIG.queryParam);
+
+    try {
+      if (value === '1') {
+        window.localStorage.setItem(CONFIG.storageKey, '1');
+      } else if (value === '0') {
+        window.localStorage.removeItem(CONFIG.storageKey);
+      }
+      return window.localStorage.getItem(CONFIG.storageKey) === '1';
+    } catch (error) {
+      return value === '1';
+    }
+  }
+
+  /**
+   * Creates an element with a class and text content
+   * Event data is only ever inserted as text, never as markup
+   * @param {string} tagName - Element tag
+   * @param {string} [className] - CSS class
+   * @param {string} [text] - Text content
+   * @returns {HTMLElement}
+   */
+  function createElement(tagName, className, text) {
+    const element = document.createElement(tagName);
+    if (className) {
+      element.className = className;
+    }
+    if (text !== undefined) {
+      element.textContent = text;
+    }
+    return element;
+  }
+
+  /**
+   * Formats an ISO timestamp as local time with milliseconds
+   * @param {string} timestamp - ISO 8601 timestamp
+   * @returns {string} hh:mm:ss.mmm
+   */
+  function formatTime(timestamp) {
+    const date = new Date(timestamp);
+    const pad = (value, length = 2) => String(value).padStart(length, '0');
+    return `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}.${pad(date.getMilliseconds(), 3)}`;
+  }
+
+  // ============================================
+  // STATUS
+  // ============================================
+
+  /**
+   * Collects the consent and transport state shown in the overlay header
+   * @returns {Object} Consent, transport and queue state
+   */
+  function getTrackingState() {
+    const analytics = window.FitTrackAnalytics;
+    if (!analytics) {
+      return { consent: null, transport: 'unavailable', blocked: false, queued: 0, online: navigator.onLine !== false };
+    }
+
+    return {
+      consent: analytics.getConsentStatus(),
+      transport: analytics.getTransport(),
+      blocked: analytics.isBlocked(),
+      queued: analytics.getQueueSize(),
+      online: navigator.onLine !== false,
+    };
+  }
+
+  /**
+   * Renders the consent and transport summary
+   */
+  function renderStatus() {
+    const tracking = getTrackingState();
+    const consent = tracking.consent;
+    const rows = [
+      ['Transport', tracking.blocked ? `${tracking.transport} (gtag.js blocked)` : tracking.transport],
+      ['Queued', `${tracking.queued}${tracking.online ? '' : ' (offline)'}`],
+    ];
+
+    if (consent) {
+      const granted = Object.keys(consent.purposes).filter((purpose) => consent.purposes[purpose]);
+      rows.unshift(
+        ['Consent', granted.length > 0 ? granted.join(', ') : 'none'],
+        ['Decided', consent.decided ? 'yes' : `no (${consent.consentModel || 'default'})`],
+        ['Region', consent.region || 'unknown'],
+      );
+      if (consent.privacySignal) {
+        rows.push(['Signal', consent.privacySignal]);
+      }
+    }
+
+    elements.status.textContent = '';
+    rows.forEach(([label, value]) => {
+      elements.status.appendChild(createElement('dt', 'debug-overlay__status-label', label));
+      elements.status.appendChild(createElement('dd', 'debug-overlay__status-value', value));
+    });
+  }
+
+  // ============================================
+  // EVENT LIST
+  // ============================================
+
+  /**
+   * Builds the delivery status badges of an event
+   * @param {Object} deliveries - Destination name -> delivery status
+   * @returns {HTMLElement} Badge list
+   */
+  function createDeliveryList(deliveries) {
+    const list = createElement('ul', 'debug-overlay__deliveries');
+
+    Object.keys(deliveries || {}).forEach((destination) => {
+      const badge = createElement('li', 'debug-overlay__delivery', `${destination}: ${deliveries[destination]}`);
+      badge.setAttribute(DATA_ATTRIBUTES.STATUS, deliveries[destination]);
+      list.appendChild(badge);
+    });
+
+    return list;
+  }
+
+  /**
+   * Builds the list item of one event
+   * @param {Object} entry - Overlay entry ({event, deliveries})
+   * @returns {HTMLElement} List item
+   */
+  function createEventItem(entry) {
+    const { event } = entry;
+    const item = createElement('li', 'debug-overlay__event');
+    item.setAttribute(DATA_ATTRIBUTES.EVENT_ID, event.id);
+    item.setAttribute(DATA_ATTRIBUTES.VALID, String(event.validation.valid));
+
+    const header = createElement('div', 'debug-overlay__event-header');
+    header.appendChild(createElement('span', 'debug-overlay__event-name', event.name));
+    header.appendChild(createElement('span', 'debug-overlay__event-meta', `${formatTime(event.timestamp)} · ${event.source}`));
+    item.appendChild(header);
+
+    item.appendChild(createDeliveryList(entry.deliveries));
+
+    const issues = event.validation.errors.map((message) => ['error', message])
+      .concat(event.validation.warnings.map((message) => ['warning', message]));
+    if (issues.length > 0) {
+      const list = createElement('ul', 'debug-overlay__issues');
+      issues.forEach(([level, message]) => {
+        const issue = createElement('li', 'debug-overlay__issue', message);
+        issue.setAttribute(DATA_ATTRIBUTES.LEVEL, level);
+        list.appendChild(issue);
+      });
+      item.appendChild(list);
+    }
+
+    const details = createElement('details', 'debug-overlay__params');
+    details.appendChild(createElement('summary', null, `Params (${Object.keys(event.params).length})`));
+    details.appendChild(createElement('pre', 'debug-overlay__json', JSON.stringify(event.params, null, 2)));
+    item.appendChild(details);
+
+    return item;
+  }
+
+  /**
+   * Updates the event count in the header
+   */
+  function renderCount() {
+    elements.count.textContent = String(state.entries.length);
+  }
+
+  /**
+   * Adds an event to the overlay
+   * @param {Object} event - Bus event
+   */
+  function addEntry(event) {
+    const entry = { event, deliveries: window.FitTrackBus.getDeliveries(event.id) || {} };
+    state.entries.push(entry);
+
+    if (state.entries.length > CONFIG.maxEntries) {
+      const removed = state.entries.shift();
+      const item = findEventItem(removed.event.id);
+      if (item) {
+        item.remove();
+      }
+    }
+
+    if (elements.list) {
+      elements.list.prepend(createEventItem(entry));
+      renderCount();
+      renderStatus();
+    }
+  }
+
+  /**
+   * Finds the list item of an event
+   * @param {string} eventId - Bus event id
+   * @returns {HTMLElement|null}
+   */
+  function findEventItem(eventId) {
+    if (!elements.list) {
+      return null;
+    }
+    return Array.from(elements.list.children).find((item) => (
+      item.getAttribute(DATA_ATTRIBUTES.EVENT_ID) === eventId
+    )) || null;
+  }
+
+  /**
+   * Updates the delivery badges after a destination reports an outcome
+   * @param {string} eventId - Bus event id
+   * @param {string} destination - Destination name
+   * @param {string} status - Delivery status
+   */
+  function handleDelivery(eventId, destination, status) {
+    const entry = state.entries.find((candidate) => candidate.event.id === eventId);
+    if (!entry) {
+      return;
+    }
+
+    entry.deliveries = { ...entry.deliveries, [destination]: status };
+
+    const item = findEventItem(eventId);
+    if (item) {
+      item.querySelector('.debug-overlay__deliveries').replaceWith(createDeliveryList(entry.deliveries));
+      renderStatus();
+    }
+  }
+
+  // ============================================
+  // ACTIONS
+  // ============================================
+
+  /**
+   * Serializes the listed events and the tracking state
+   * @returns {string} Pretty-printed JSON
+   */
+  function toJSON() {
+    return JSON.stringify({
+      page: window.location.href,
+      exportedAt: new Date().toISOString(),
+      tracking: getTrackingState(),
+      events: state.entries.map(({ event, deliveries }) => ({
+        id: event.id,
+        name: event.name,
+        timestamp: event.timestamp,
+        source: event.source,
+        params: event.params,
+        validation: event.validation,
+        deliveries,
+      })),
+    }, null, 2);
+  }
+
+  /**
+   * Copies the listed events as JSON to the clipboard
+   * Falls back to a hidden textarea where the Clipboard API is unavailable
+   * @returns {Promise<boolean>} True if copied
+   */
+  function copyToClipboard() {
+    const json = toJSON();
+
+    const copied = navigator.clipboard && typeof navigator.clipboard.writeText === 'function'
+      ? navigator.clipboard.writeText(json).then(() => true, () => false)
+      : Promise.resolve(copyWithTextarea(json));
+
+    return copied.then((success) => {
+      if (elements.copyButton) {
+        elements.copyButton.textContent = success ? 'Copied' : 'Copy failed';
+        window.setTimeout(() => {
+          elements.copyButton.textContent = 'Copy JSON';
+        }, 1500);
+      }
+      return success;
+    });
+  }
+
+  /**
+   * Copies text using a temporary textarea
+   * @param {string} text - Text to copy
+   * @returns {boolean} True if copied
+   */
+  function copyWithTextarea(text) {
+    const textarea = createElement('textarea');
+    textarea.value = text;
+    textarea.setAttribute('readonly', '');
+    textarea.style.position = 'fixed';
+    textarea.style.opacity = '0';
+    document.body.appendChild(textarea);
+    textarea.select();
+
+    let copied = false;
+    try {
+      copied = document.execCommand('copy');
+    } catch (error) {
+      log('warn', 'Copy failed', { error: error.message });
+    }
+
+    textarea.remove();
+    return copied;
+  }
+
+  /**
+   * Removes all listed events
+   */
+  function clear() {
+    state.entries = [];
+    if (elements.list) {
+      elements.list.textContent = '';
+      renderCount();
+    }
+  }
+
+  /**
+   * Collapses or expands the panel
+   */
+  function toggle() {
+    const collapsed = !elements.panel.hasAttribute(DATA_ATTRIBUTES.COLLAPSED);
+    const button = elements.panel.querySelector(SELECTORS.TOGGLE);
+
+    elements.panel.toggleAttribute(DATA_ATTRIBUTES.COLLAPSED, collapsed);
+    button.setAttribute('aria-expanded', String(!collapsed));
+    button.textContent = collapsed ? 'Show' : 'Hide';
+  }
+
+  /**
+   * Handles clicks on the panel buttons
+   * @param {MouseEvent} event - Click event
+   */
+  function handleClick(event) {
+    if (event.target.closest(SELECTORS.COPY)) {
+      copyToClipboard();
+    } else if (event.target.closest(SELECTORS.CLEAR)) {
+      clear();
+    } else if (event.target.closest(SELECTORS.TOGGLE)) {
+      toggle();
+    }
+  }
+
+  // ============================================
+  // PANEL
+  // ============================================
+
+  /**
+   * Loads the overlay stylesheet, only needed while debugging
+   */
+  function loadStylesheet() {
+    if (document.querySelector(`link[href="${CONFIG.stylesheet}"]`)) {
+      return;
+    }
+    const link = document.createElement('link');
+    link.rel = 'stylesheet';
+    link.href = CONFIG.stylesheet;
+    document.head.appendChild(link);
+  }
+
+  /**
+   * Creates a panel button
+   * @param {string} attribute - data-* attribute selecting the action
+   * @param {string} label - Button text
+   * @returns {HTMLButtonElement}
+   */
+  function createButton(attribute, label) {
+    const button = createElement('button', 'debug-overlay__button', label);
+    button.type = 'button';
+    button.setAttribute(attribute, '');
+    return button;
+  }
+
+  /**
+   * Builds the overlay panel and lists the events published so far
+   */
+  function render() {
+    const panel = createElement('aside', 'debug-overlay');
+    panel.setAttribute('aria-label', 'Analytics debug overlay');
+
+    const header = createElement('div', 'debug-overlay__header');
+    const title = createElement('h2', 'debug-overlay__title', 'Tracking events ');
+    elements.count = createElement('span', 'debug-overlay__count', '0');
+    title.appendChild(elements.count);
+
+    const actions = createElement('div', 'debug-overlay__actions');
+    elements.copyButton = createButton('data-debug-copy', 'Copy JSON');
+    const toggleButton = createButton('data-debug-toggle', 'Hide');
+    toggleButton.setAttribute('aria-expanded', 'true');
+    actions.append(elements.copyButton, createButton('data-debug-clear', 'Clear'), toggleButton);
+    header.append(title, actions);
+
+    const body = createElement('div', 'debug-overlay__body');
+    elements.status = createElement('dl', 'debug-overlay__status');
+    elements.list = createElement('ol', 'debug-overlay__list');
+    body.append(elements.status, elements.list);
+
+    panel.append(header, body);
+    panel.addEventListener('click', handleClick);
+    document.body.appendChild(panel);
+    elements.panel = panel;
+
+    state.entries.forEach((entry) => elements.list.prepend(createEventItem(entry)));
+    renderCount();
+    renderStatus();
+  }
+
+  // ============================================
+  // INITIALIZATION
+  // ============================================
+
+  /**
+   * Switches the bus to debug mode and starts collecting events
+   * Runs as soon as the script loads so events published before DOMContentLoaded are kept
+   */
+  function enable() {
+    const bus = window.FitTrackBus;
+    if (state.enabled || !bus) {
+      return;
+    }
+
+    state.enabled = true;
+    bus.setDebug(true);
+    bus.getHistory().forEach(addEntry);
+    state.unsubscribers.push(bus.subscribe(addEntry), bus.subscribeDeliveries(handleDelivery));
+  }
+
+  /**
+   * Show the overlay panel once the DOM is ready
+   */
+  function init() {
+    if (state.initialized || !state.enabled) {
+      return;
+    }
+
+    try {
+      loadStylesheet();
+      render();
+
+      document.addEventListener(CONFIG.consentChangeEvent, renderStatus);
+      window.addEventListener('online', renderStatus);
+      window.addEventListener('offline', renderStatus);
+
+      state.initialized = true;
+      log('info', 'Debug overlay enabled, open with ?fittrack_debug=0 to turn it off');
+    } catch (error) {
+      log('error', 'Debug overlay initialization failed', { error: error.message });
+    }
+  }
+
+  if (readFlag()) {
+    enable();
+  }
+
+  // ============================================
+  // AUTO-INITIALIZATION
+  // ============================================
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+
+  // ============================================
+  // PUBLIC API
+  // ============================================
+
+  window.FitTrackDebugOverlay = Object.freeze({
+    init,
+    clear,
+    toJSON,
+    copyToClipboard,
+    isEnabled: () => state.enabled,
+  });
+})();
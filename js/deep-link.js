@@ -0,0 +1,364 @@
+/**
+ * Deep Link Module
+ * Sends phone visitors who already have FitTrack installed into the app instead
+ * of the store page. A click on the store badge for the visitor's own platform
+ * first tries the app's custom scheme (or universal link); if the page is still
+ * visible when the timeout runs out, the app is assumed missing and the visitor
+ * goes on to the store. The outcome (opened, store_fallback or cancelled) is
+ * announced with a fittrack:deeplink:result event, which js/link-tracking.js records
+ * before the visitor leaves for the store.
+ *
+ * @module deep-link
+ * @dependencies: js/link-tracking.js (visitor platform, records the outcome),
+ *   js/feature-flags.js (deep_link flag, off by default)
+ */
+
+(function () {
+  'use strict';
+
+  // ============================================
+  // CONFIGURATION
+  // ============================================
+
+  const CONFIG = Object.freeze({
+    FEATURE_FLAG: 'deep_link',
+    RESULT_EVENT: 'fittrack:deeplink:result',
+    // How long the page may stay visible before the app counts as not installed
+    TIMEOUT: 1500,
+    // How much longer to wait for an answer to the open-in-app prompt; focus may never
+    // come back, and until the attempt ends the badges ignore taps
+    PROMPT_TIMEOUT: 10000,
+    // App URL per visitor platform; the data-deep-link path is appended. An https
+    // universal link also works, as long as its domain redirects to the store when
+    // the app is missing (that case is then reported as opened). These are
+    // placeholders: the deep_link flag stays off until the app registers them, since
+    // iOS Safari answers an unknown scheme with an alert and the visitor never
+    // reaches the store.
+    APP_URLS: {
+      ios: 'fittrack://open/',
+      android: 'fittrack://open/',
+    },
+    DEFAULT_PATH: 'download',
+    STORE_PLATFORMS: {
+      'apps.apple.com': 'ios',
+      'itunes.apple.com': 'ios',
+      'play.google.com': 'android',
+    },
+    // Set after a store fallback so later clicks this session go straight to the store
+    FALLBACK_STORAGE_KEY: 'fittrack_deep_link_fallback',
+  });
+
+  const SELECTORS = Object.freeze({
+    STORE_LINK: '[data-track-app-store], .app-badge, .footer__app-badge',
+  });
+
+  const DATA_ATTRIBUTES = Object.freeze({
+    PATH: 'data-deep-link', // App path to open, e.g. "workouts"
+    VISITOR_PLATFORM: 'data-visitor-platform', // Set on <html> by js/link-tracking.js
+  });
+
+  const OUTCOMES = Object.freeze({
+    OPENED: 'opened',
+    STORE_FALLBACK: 'store_fallback',
+    CANCELLED: 'cancelled',
+  });
+
+  // ============================================
+  // STATE MANAGEMENT
+  // ============================================
+
+  const state = {
+    initialized: false,
+    timeout: CONFIG.TIMEOUT,
+    clickHandler: null,
+    attempt: null, // { link, platform, method, appUrl, storeUrl, startedAt, blurred, timer }
+  };
+
+  // ============================================
+  // UTILITY FUNCTIONS
+  // ============================================
+
+  /**
+   * Logs structured messages with context
+   * @param {string} level - Log level (info, warn, error)
+   * @param {string} message - Log message
+   * @param {Object} context - Additional context
+   */
+  function log(level, message, context = {}) {
+    if (level === 'error') {
+      console.error(`[DeepLink] ${message}`, context);
+    } else if (level === 'warn') {
+      console.warn(`[DeepLink] ${message}`, context);
+    } else {
+      console.log(`[DeepLink] ${message}`, context);
+    }
+  }
+
+  /**
+   * Gets the platform of a store link
+   * @param {HTMLAnchorElement} link - Store link
+   * @returns {string|null} ios, android, or null for other hosts
+   */
+  function getStorePlatform(link) {
+    try {
+      return CONFIG.STORE_PLATFORMS[new URL(link.href).hostname] || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Checks whether a store fallback already happened in this session
+   * @returns {boolean} True when the app is known to be missing
+   */
+  function hasFallenBack() {
+    try {
+      return window.sessionStorage.getItem(CONFIG.FALLBACK_STORAGE_KEY) === '1';
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Remembers a store fallback for the rest of the session
+   */
+  function rememberFallback() {
+    try {
+      window.sessionStorage.setItem(CONFIG.FALLBACK_STORAGE_KEY, '1');
+    } catch (error) {
+      // Storage unavailable; the next click tries the app again
+    }
+  }
+
+  /**
+   * Builds the app URL for a link
+   * @param {HTMLAnchorElement} link - Store link
+   * @param {string} platform - Visitor platform
+   * @returns {string} Custom scheme or universal link URL
+   */
+  function getAppUrl(link, platform) {
+    const path = (link.getAttribute(DATA_ATTRIBUTES.PATH) || CONFIG.DEFAULT_PATH).replace(/^\/+/, '');
+    return `${CONFIG.APP_URLS[platform]}${path}`;
+  }
+
+  // ============================================
+  // HANDOFF
+  // ============================================
+
+  /**
+   * Ends the current attempt and announces its outcome
+   * The result is announced before a store fallback navigates, and a listener that
+   * cancels it (link-tracking.js while its event is in flight) opens the store itself.
+   * The store opens in this tab although the badges have target="_blank": the
+   * fallback runs from a timer, outside the click, where browsers block new windows.
+   * @param {string} outcome - One of OUTCOMES
+   */
+  function finishAttempt(outcome) {
+    const attempt = state.attempt;
+    if (!attempt) {
+      return;
+    }
+
+    clearTimeout(attempt.timer);
+    state.attempt = null;
+
+    if (outcome === OUTCOMES.STORE_FALLBACK) {
+      rememberFallback();
+    }
+
+    const proceed = document.dispatchEvent(new CustomEvent(CONFIG.RESULT_EVENT, {
+      cancelable: true,
+      detail: {
+        outcome,
+        method: attempt.method,
+        platform: attempt.platform,
+        appUrl: attempt.appUrl,
+        storeUrl: attempt.storeUrl,
+        waitMs: Date.now() - attempt.startedAt,
+        element: attempt.link,
+      },
+    }));
+
+    if (outcome === OUTCOMES.STORE_FALLBACK && proceed) {
+      window.location.href = attempt.storeUrl;
+    }
+  }
+
+  /**
+   * Falls back to the store once the timeout runs out with the page still in front
+   * While the "Open in FitTrack?" prompt has focus, the visitor's answer decides instead,
+   * for at most CONFIG.PROMPT_TIMEOUT more.
+   */
+  function handleTimeout() {
+    const attempt = state.attempt;
+    if (!attempt) {
+      return;
+    }
+
+    if (document.visibilityState === 'hidden') {
+      finishAttempt(OUTCOMES.OPENED);
+    } else if (!attempt.blurred) {
+      finishAttempt(OUTCOMES.STORE_FALLBACK);
+    } else {
+      attempt.timer = setTimeout(handlePromptTimeout, CONFIG.PROMPT_TIMEOUT);
+    }
+  }
+
+  /**
+   * Gives up on an unanswered prompt so that the badges work again
+   */
+  function handlePromptTimeout() {
+    finishAttempt(document.visibilityState === 'hidden' ? OUTCOMES.OPENED : OUTCOMES.CANCELLED);
+  }
+
+  /**
+   * The app came to the front
+   */
+  function handleVisibilityChange() {
+    if (state.attempt && document.visibilityState === 'hidden') {
+      finishAttempt(OUTCOMES.OPENED);
+    }
+  }
+
+  /**
+   * A system prompt or the app took focus
+   */
+  function handleBlur() {
+    if (state.attempt) {
+      state.attempt.blurred = true;
+    }
+  }
+
+  /**
+   * Focus came back without the page being hidden: the visitor dismissed the prompt
+   */
+  function handleFocus() {
+    if (state.attempt && state.attempt.blurred && document.visibilityState !== 'hidden') {
+      finishAttempt(OUTCOMES.CANCELLED);
+    }
+  }
+
+  /**
+   * Tries the app for a store link click, then falls back to the store
+   * @param {HTMLAnchorElement} link - Clicked store link
+   * @param {string} platform - Visitor platform
+   */
+  function attemptHandoff(link, platform) {
+    const appUrl = getAppUrl(link, platform);
+
+    state.attempt = {
+      link,
+      platform,
+      method: /^https?:/i.test(appUrl) ? 'universal_link' : 'scheme',
+      appUrl,
+      storeUrl: link.href, // Already carries campaign parameters from js/attribution.js
+      startedAt: Date.now(),
+      blurred: false,
+      timer: setTimeout(handleTimeout, state.timeout),
+    };
+
+    window.location.href = appUrl;
+  }
+
+  /**
+   * Intercepts clicks on the store badge for the visitor's own platform
+   * @param {MouseEvent} event - Click event
+   */
+  function handleClick(event) {
+    if (event.defaultPrevented || event.button !== 0 || event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) {
+      return;
+    }
+
+    const link = event.target instanceof Element ? event.target.closest('a[href]') : null;
+    if (!link || !link.matches(SELECTORS.STORE_LINK)) {
+      return;
+    }
+
+    const platform = document.documentElement.getAttribute(DATA_ATTRIBUTES.VISITOR_PLATFORM);
+    if (!CONFIG.APP_URLS[platform] || getStorePlatform(link) !== platform || hasFallenBack()) {
+      return; // Other store, desktop, or the app is known to be missing
+    }
+
+    event.preventDefault();
+    if (!state.attempt) {
+      attemptHandoff(link, platform); // Further taps while waiting for the app are ignored
+    }
+  }
+
+  // ============================================
+  // INITIALIZATION
+  // ============================================
+
+  /**
+   * Start intercepting store badge clicks
+   */
+  function init() {
+    if (state.initialized) {
+      log('warn', 'Deep links already initialized');
+      return;
+    }
+
+    // Off unless the deep_link flag turns it on
+    const flags = window.FitTrackFlags;
+    if (!flags || !flags.isEnabled(CONFIG.FEATURE_FLAG, false)) {
+      log('info', 'Disabled by feature flag');
+      return;
+    }
+
+    state.timeout = flags.getParam(CONFIG.FEATURE_FLAG, 'timeout', CONFIG.TIMEOUT);
+    state.clickHandler = handleClick;
+    document.addEventListener('click', state.clickHandler);
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    window.addEventListener('blur', handleBlur);
+    window.addEventListener('focus', handleFocus);
+    state.initialized = true;
+  }
+
+  /**
+   * Stop intercepting clicks and abandon a pending attempt
+   */
+  function destroy() {
+    if (!state.initialized) {
+      return;
+    }
+
+    if (state.attempt) {
+      clearTimeout(state.attempt.timer);
+      state.attempt = null;
+    }
+    document.removeEventListener('click', state.clickHandler);
+    document.removeEventListener('visibilitychange', handleVisibilityChange);
+    window.removeEventListener('blur', handleBlur);
+    window.removeEventListener('focus', handleFocus);
+    state.clickHandler = null;
+    state.initialized = false;
+  }
+
+  // ============================================
+  // AUTO-INITIALIZATION
+  // ============================================
+
+  // Initialize when feature flags are resolved and the DOM is ready
+  const flagsReady = window.FitTrackFlags ? window.FitTrackFlags.ready : Promise.resolve();
+  flagsReady.then(() => {
+    if (document.readyState === 'loading') {
+      document.addEventListener('DOMContentLoaded', init);
+    } else {
+      init();
+    }
+  }).catch((error) => {
+    log('error', 'Initialization failed', { error: error.message });
+  });
+
+  // ============================================
+  // PUBLIC API
+  // ============================================
+
+  window.FitTrackDeepLink = Object.freeze({
+    init,
+    destroy,
+    OUTCOMES,
+    getPendingAttempt: () => (state.attempt ? { appUrl: state.attempt.appUrl, storeUrl: state.attempt.storeUrl } : null),
+  });
+
+})();
@@ -0,0 +1,337 @@
+/**
+ * Persistent Event Queue Store
+ * Keeps analytics events that could not be sent yet (no consent, blocked gtag,
+ * offline) across navigations and reloads. Uses IndexedDB with a localStorage
+ * fallback, bounded by a maximum size and a time-to-live, keyed by event id.
+ *
+ * @module event-queue-store
+ * @dependencies: none (loaded before js/analytics.js)
+ */
+
+(function () {
+  'use strict';
+
+  // ============================================
+  // CONFIGURATION
+  // ============================================
+
+  const CONFIG = Object.freeze({
+    dbName: 'fittrack-analytics',
+    dbVersion: 1,
+    storeName: 'event-queue',
+    storageKey: 'fittrack_event_queue',
+    maxEvents: 200,
+    ttl: 24 * 60 * 60 * 1000, // 24 hours
+  });
+
+  const BACKENDS = Object.freeze({
+    INDEXED_DB: 'indexeddb',
+    LOCAL_STORAGE: 'localStorage',
+    MEMORY: 'memory',
+  });
+
+  // ============================================
+  // STATE MANAGEMENT
+  // ============================================
+
+  const state = {
+    dbPromise: null,
+    backend: null,
+    memoryItems: [],
+  };
+
+  // ============================================
+  // UTILITY FUNCTIONS
+  // ============================================
+
+  /**
+   * Logs structured messages with context
+   * @param {string} level - Log level (info, warn, error)
+   * @param {string} message - Log message
+   * @param {Object} context - Additional context
+   */
+  function log(level, message, context = {}) {
+    if (level === 'error') {
+      console.error(`[EventQueue] ${message}`, context);
+    } else if (level === 'warn') {
+      console.warn(`[EventQueue] ${message}`, context);
+    } else {
+      console.log(`[EventQueue] ${message}`, context);
+    }
+  }
+
+  /**
+   * Checks whether a queued item is past its time-to-live
+   * @param {Object} item - Queued item
+   * @param {number} now - Current time in milliseconds
+   * @returns {boolean}
+   */
+  function isExpired(item, now) {
+    return !item.queuedAt || now - item.queuedAt > CONFIG.ttl;
+  }
+
+  /**
+   * Drops expired items and trims to the maximum size, keeping the newest
+   * @param {Object[]} items - Queued items
+   * @returns {{kept: Object[], dropped: Object[]}}
+   */
+  function prune(items) {
+    const now = Date.now();
+    const fresh = items
+      .filter((item) => !isExpired(item, now))
+      .sort((a, b) => a.queuedAt - b.queuedAt);
+    const overflow = Math.max(0, fresh.length - CONFIG.maxEvents);
+    const kept = fresh.slice(overflow);
+    const keptIds = new Set(kept.map((item) => item.id));
+
+    return {
+      kept,
+      dropped: items.filter((item) => !keptIds.has(item.id)),
+    };
+  }
+
+  // ============================================
+  // INDEXEDDB BACKEND
+  // ============================================
+
+  /**
+   * Opens the IndexedDB database, falling back to localStorage on failure
+   * @returns {Promise<IDBDatabase|null>} Database or null when unavailable
+   */
+  function openDatabase() {
+    if (state.dbPromise) {
+      return state.dbPromise;
+    }
+
+    state.dbPromise = new Promise((resolve, reject) => {
+      if (!('indexedDB' in window) || !window.indexedDB) {
+        reject(new Error('IndexedDB not supported'));
+        return;
+      }
+
+      const request = window.indexedDB.open(CONFIG.dbName, CONFIG.dbVersion);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(CONFIG.storeName)) {
+          db.createObjectStore(CONFIG.storeName, { keyPath: 'id' });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error || new Error('IndexedDB open failed'));
+      request.onblocked = () => reject(new Error('IndexedDB open blocked'));
+    })
+      .then((db) => {
+        state.backend = BACKENDS.INDEXED_DB;
+        return db;
+      })
+      .catch((error) => {
+        state.backend = hasLocalStorage() ? BACKENDS.LOCAL_STORAGE : BACKENDS.MEMORY;
+        log('warn', 'IndexedDB unavailable, using fallback storage', {
+          backend: state.backend,
+          error: error.message,
+        });
+        return null;
+      });
+
+    return state.dbPromise;
+  }
+
+  /**
+   * Runs an operation inside an IndexedDB transaction
+   * @param {IDBDatabase} db - Database
+   * @param {string} mode - Transaction mode
+   * @param {Function} operation - Receives the object store, may return an IDBRequest
+   * @returns {Promise<*>} Request result once the transaction completes
+   */
+  function runTransaction(db, mode, operation) {
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(CONFIG.storeName, mode);
+      const request = operation(transaction.objectStore(CONFIG.storeName));
+
+      transaction.oncomplete = () => resolve(request ? request.result : undefined);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+    });
+  }
+
+  // ============================================
+  // LOCALSTORAGE / MEMORY BACKEND
+  // ============================================
+
+  /**
+   * Checks whether localStorage can be used
+   * @returns {boolean}
+   */
+  function hasLocalStorage() {
+    try {
+      const probe = `${CONFIG.storageKey}_probe`;
+      window.localStorage.setItem(probe, '1');
+      window.localStorage.removeItem(probe);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Reads items from the fallback backend
+   * @returns {Object[]}
+   */
+  function readFallback() {
+    if (state.backend === BACKENDS.MEMORY) {
+      return state.memoryItems.slice();
+    }
+
+    try {
+      const stored = window.localStorage.getItem(CONFIG.storageKey);
+      const items = stored ? JSON.parse(stored) : [];
+      return Array.isArray(items) ? items : [];
+    } catch (error) {
+      log('error', 'Failed to read queued events', { error: error.message });
+      return [];
+    }
+  }
+
+  /**
+   * Writes items to the fallback backend
+   * @param {Object[]} items - Items to store
+   */
+  function writeFallback(items) {
+    if (state.backend === BACKENDS.MEMORY) {
+      state.memoryItems = items.slice();
+      return;
+    }
+
+    try {
+      if (items.length === 0) {
+        window.localStorage.removeItem(CONFIG.storageKey);
+      } else {
+        window.localStorage.setItem(CONFIG.storageKey, JSON.stringify(items));
+      }
+    } catch (error) {
+      log('error', 'Failed to write queued events', { error: error.message });
+    }
+  }
+
+  // ============================================
+  // PUBLIC OPERATIONS
+  // ============================================
+
+  /**
+   * Reads all stored items, removing expired and overflowing ones
+   * @returns {Promise<Object[]>} Items ordered oldest first
+   */
+  async function getAll() {
+    const db = await openDatabase();
+
+    if (!db) {
+      const { kept, dropped } = prune(readFallback());
+      if (dropped.length > 0) {
+        writeFallback(kept);
+      }
+      return kept;
+    }
+
+    const items = await runTransaction(db, 'readonly', (store) => store.getAll());
+    const { kept, dropped } = prune(items || []);
+
+    if (dropped.length > 0) {
+      await runTransaction(db, 'readwrite', (store) => {
+        dropped.forEach((item) => store.delete(item.id));
+      });
+    }
+
+    return kept;
+  }
+
+  /**
+   * Adds an item; an item with the same id replaces the stored one
+   * @param {{id: string, eventName: string, eventParams: Object}} item - Event to queue
+   * @returns {Promise<void>}
+   */
+  async function add(item) {
+    if (!item || !item.id) {
+      log('warn', 'Refusing to queue event without an id', { item });
+      return;
+    }
+
+    const record = { ...item, queuedAt: item.queuedAt || Date.now() };
+
+    try {
+      const db = await openDatabase();
+
+      if (!db) {
+        const items = readFallback().filter((existing) => existing.id !== record.id);
+        items.push(record);
+        writeFallback(prune(items).kept);
+        return;
+      }
+
+      await runTransaction(db, 'readwrite', (store) => store.put(record));
+
+      // Enforce size and TTL limits after every write
+      await getAll();
+    } catch (error) {
+      log('error', 'Failed to queue event', { id: record.id, error: error.message });
+    }
+  }
+
+  /**
+   * Removes items by id
+   * @param {string[]} ids - Event ids to remove
+   * @returns {Promise<void>}
+   */
+  async function remove(ids) {
+    if (!ids || ids.length === 0) {
+      return;
+    }
+
+    try {
+      const db = await openDatabase();
+
+      if (!db) {
+        const idSet = new Set(ids);
+        writeFallback(readFallback().filter((item) => !idSet.has(item.id)));
+        return;
+      }
+
+      await runTransaction(db, 'readwrite', (store) => {
+        ids.forEach((id) => store.delete(id));
+      });
+    } catch (error) {
+      log('error', 'Failed to remove queued events', { count: ids.length, error: error.message });
+    }
+  }
+
+  /**
+   * Removes every stored item
+   * @returns {Promise<void>}
+   */
+  async function clear() {
+    try {
+      const db = await openDatabase();
+
+      if (!db) {
+        writeFallback([]);
+        return;
+      }
+
+      await runTransaction(db, 'readwrite', (store) => store.clear());
+    } catch (error) {
+      log('error', 'Failed to clear queued events', { error: error.message });
+    }
+  }
+
+  // ============================================
+  // PUBLIC API
+  // ============================================
+
+  window.FitTrackEventQueue = Object.freeze({
+    add,
+    getAll,
+    remove,
+    clear,
+    getBackend: () => state.backend,
+  });
+})();
@@ -0,0 +1,449 @@
+/**
+ * Event Schema Registry
+ * Declarative schema for every analytics event: required and optional params,
+ * types, length and cardinality limits. Used by the tracking bus to validate
+ * events at runtime and exported as a machine-readable tracking plan.
+ *
+ * @module event-schema
+ * @dependencies: none (loaded before js/tracking-bus.js)
+ */
+
+(function () {
+  'use strict';
+
+  // ============================================
+  // CONFIGURATION
+  // ============================================
+
+  const PLAN_VERSION = '1.0.0';
+
+  const TYPES = Object.freeze({
+    STRING: 'string',
+    NUMBER: 'number',
+    INTEGER: 'integer',
+    BOOLEAN: 'boolean',
+  });
+
+  // Params added to every event by analytics.js, the session manager, attribution and experiments.
+  // internal params are for the first-party collector only and are never sent to GA as event params.
+  const GLOBAL_PARAMS = Object.freeze({
+    event_id: { type: TYPES.STRING, internal: true, description: 'Unique event id used for de-duplication' },
+    timestamp: { type: TYPES.STRING, internal: true, description: 'ISO 8601 time the event happened' },
+    client_id: { type: TYPES.STRING, internal: true, description: 'First-party client id' },
+    session_id: { type: TYPES.STRING, internal: true, description: 'Session id (session start in seconds)' },
+    session_number: { type: TYPES.INTEGER, description: 'Sessions started by this client' },
+    landing_page: { type: TYPES.STRING, internal: true, description: 'Path and query of the session landing page' },
+    page_view_sequence: { type: TYPES.INTEGER, description: 'Page view number within the session' },
+    first_touch_source: { type: TYPES.STRING, description: 'First-touch source (cta_click, app_store_click)' },
+    first_touch_medium: { type: TYPES.STRING, description: 'First-touch medium (cta_click, app_store_click)' },
+    first_touch_campaign: { type: TYPES.STRING, description: 'First-touch campaign (cta_click, app_store_click)' },
+    last_touch_source: { type: TYPES.STRING, description: 'Last-touch source (cta_click, app_store_click)' },
+    last_touch_medium: { type: TYPES.STRING, description: 'Last-touch medium (cta_click, app_store_click)' },
+    last_touch_campaign: { type: TYPES.STRING, description: 'Last-touch campaign (cta_click, app_store_click)' },
+    gclid: { type: TYPES.STRING, internal: true, description: 'Google Ads click id of the last touch' },
+    fbclid: { type: TYPES.STRING, internal: true, description: 'Meta click id of the last touch' },
+    experiment_id: { type: TYPES.STRING, description: 'Running experiments, comma-separated' },
+    variant: { type: TYPES.STRING, description: 'Assigned variants, in experiment_id order' },
+  });
+
+  // Params shared by the link-tracking.js events
+  const LINK_PARAMS = Object.freeze({
+    event_category: { type: TYPES.STRING, maxLength: 50, description: 'Legacy GA category' },
+    event_label: { type: TYPES.STRING, maxLength: 500, description: 'Legacy GA label' },
+    value: { type: TYPES.NUMBER, min: 0, description: 'Legacy GA value' },
+    location: { type: TYPES.STRING, required: true, maxLength: 50, maxCardinality: 20, description: 'Page area of the link' },
+  });
+
+  // Platforms link-tracking.js detects from client hints or the user agent
+  const VISITOR_PLATFORMS = Object.freeze(['ios', 'android', 'desktop', 'other']);
+
+  const EVENTS = Object.freeze({
+    cta_click: {
+      description: 'Visitor clicked a call-to-action marked with data-track-cta',
+      source: 'analytics.js',
+      params: {
+        cta_name: { type: TYPES.STRING, required: true, maxLength: 100, maxCardinality: 50, description: 'data-track-cta value or button text' },
+        cta_location: { type: TYPES.STRING, required: true, maxLength: 50, maxCardinality: 20, description: 'Section id, header or footer' },
+      },
+    },
+    section_view: {
+      description: 'At least half of a data-track-section section became visible',
+      source: 'analytics.js',
+      params: {
+        section_name: { type: TYPES.STRING, required: true, maxLength: 50, maxCardinality: 30, description: 'data-track-section value' },
+        scroll_depth: { type: TYPES.INTEGER, required: true, min: 0, max: 100, description: 'Share of the page above the viewport bottom, in percent' },
+      },
+    },
+    scroll_milestone: {
+      description: 'Viewport bottom reached a scroll depth milestone, once per milestone and page view',
+      source: 'analytics.js',
+      params: {
+        percent_scrolled: { type: TYPES.INTEGER, required: true, enum: [25, 50, 75, 90, 100], description: 'Milestone in percent' },
+      },
+    },
+    section_read: {
+      description: 'A data-track-section section stayed at least half visible past the read threshold',
+      source: 'analytics.js',
+      params: {
+        section_name: { type: TYPES.STRING, required: true, maxLength: 50, maxCardinality: 30, description: 'data-track-section value' },
+        dwell_time_msec: { type: TYPES.INTEGER, required: true, min: 0, description: 'Dwell time when the threshold was passed' },
+      },
+    },
+    section_dwell: {
+      description: 'Total time a data-track-section section was at least half visible, sent when the page is hidden',
+      source: 'analytics.js',
+      params: {
+        section_name: { type: TYPES.STRING, required: true, maxLength: 50, maxCardinality: 30, description: 'data-track-section value' },
+        dwell_time_msec: { type: TYPES.INTEGER, required: true, min: 0, description: 'Foreground time at least half visible' },
+      },
+    },
+    user_engagement: {
+      description: 'Engaged time on the page (visible and not idle), sent every 15 s while visible and when the page is hidden',
+      source: 'analytics.js',
+      params: {
+        engagement_time_msec: { type: TYPES.INTEGER, required: true, min: 0, description: 'Engaged time in milliseconds since the previous user_engagement event' },
+      },
+    },
+    funnel_step: {
+      description: 'Visitor reached the next step of the conversion funnel in this session',
+      source: 'analytics.js',
+      params: {
+        funnel_name: { type: TYPES.STRING, required: true, maxLength: 50, maxCardinality: 5, description: 'Funnel name' },
+        step_index: { type: TYPES.INTEGER, required: true, min: 1, description: '1-based step number' },
+        step_name: { type: TYPES.STRING, required: true, maxLength: 50, maxCardinality: 20, description: 'Step name' },
+        time_since_previous_step_msec: { type: TYPES.INTEGER, required: true, min: 0, description: 'Time since the previous step, 0 for the first step' },
+      },
+    },
+    consent_reprompt: {
+      description: 'Visitor is asked for consent again after a privacy policy change; counted on the first-party collector without identifiers, whatever the answer',
+      source: 'analytics.js',
+      params: {
+        previous_policy_version: { type: TYPES.STRING, required: true, maxLength: 50, description: 'Policy version of the stored consent' },
+        current_policy_version: { type: TYPES.STRING, required: true, maxLength: 50, description: 'Current policy version' },
+      },
+    },
+    app_store_click: {
+      description: 'Visitor clicked an App Store or Google Play link',
+      source: 'link-tracking.js',
+      aliases: ['app_store_badge_click'],
+      params: {
+        ...LINK_PARAMS,
+        link_url: { type: TYPES.STRING, required: true, maxLength: 500, description: 'Store URL including campaign parameters' },
+        platform: { type: TYPES.STRING, nullable: true, enum: ['ios', 'android'], description: 'Store platform' },
+        store_name: { type: TYPES.STRING, required: true, maxLength: 50, maxCardinality: 5, description: 'data-track-app-store value or platform' },
+        visitor_platform: { type: TYPES.STRING, enum: VISITOR_PLATFORMS, description: 'Visitor platform detected before the click' },
+        badge_promoted: { type: TYPES.BOOLEAN, description: 'Badge was promoted for the visitor platform; absent without platform routing' },
+      },
+    },
+    send_to_phone: {
+      description: 'Desktop visitor sent the download page to their phone',
+      source: 'link-tracking.js',
+      params: {
+        ...LINK_PARAMS,
+        method: { type: TYPES.STRING, required: true, enum: ['share', 'copy', 'email'], description: 'Share sheet, copied link or email' },
+        visitor_platform: { type: TYPES.STRING, enum: VISITOR_PLATFORMS, description: 'Visitor platform detected by link-tracking.js' },
+      },
+    },
+    deep_link_result: {
+      description: 'Outcome of trying to open the installed app from a store badge',
+      source: 'link-tracking.js',
+      params: {
+        ...LINK_PARAMS,
+        outcome: { type: TYPES.STRING, required: true, enum: ['opened', 'store_fallback', 'cancelled'], description: 'App opened, visitor sent on to the store, or open-in-app prompt dismissed' },
+        method: { type: TYPES.STRING, required: true, enum: ['scheme', 'universal_link'], description: 'Custom URL scheme or universal link' },
+        platform: { type: TYPES.STRING, nullable: true, enum: ['ios', 'android'], description: 'Store platform' },
+        store_name: { type: TYPES.STRING, required: true, maxLength: 50, maxCardinality: 5, description: 'data-track-app-store value or platform' },
+        wait_msec: { type: TYPES.INTEGER, required: true, min: 0, description: 'Time from the click to the outcome' },
+      },
+    },
+    qr_code_shown: {
+      description: 'Store QR code in the desktop send-to-phone panel came into view',
+      source: 'qr-code.js',
+      params: {
+        store_name: { type: TYPES.STRING, required: true, maxLength: 50, maxCardinality: 5, description: 'data-track-app-store value of the encoded badge' },
+        platform: { type: TYPES.STRING, nullable: true, enum: ['ios', 'android'], description: 'Store platform' },
+        link_url: { type: TYPES.STRING, required: true, maxLength: 500, description: 'Encoded store URL including campaign parameters' },
+        qr_version: { type: TYPES.INTEGER, required: true, min: 1, max: 40, description: 'QR code version (symbol size)' },
+      },
+    },
+    outbound_events_dropped: {
+      description: 'Outbound click events that could not be delivered on earlier page views',
+      source: 'link-tracking.js',
+      params: {
+        event_category: LINK_PARAMS.event_category,
+        event_label: LINK_PARAMS.event_label,
+        value: LINK_PARAMS.value,
+        dropped_count: { type: TYPES.INTEGER, required: true, min: 1, description: 'Dropped events since the last report' },
+      },
+    },
+    social_media_click: {
+      description: 'Visitor clicked a social network link',
+      source: 'link-tracking.js',
+      params: {
+        ...LINK_PARAMS,
+        url: { type: TYPES.STRING, required: true, maxLength: 500, description: 'Social profile URL' },
+        network: { type: TYPES.STRING, nullable: true, maxLength: 50, maxCardinality: 20, description: 'Social network from the link rules (js/link-rules.js)' },
+      },
+    },
+    contact_link_click: {
+      description: 'Visitor clicked an email or phone link',
+      source: 'link-tracking.js',
+      params: {
+        ...LINK_PARAMS,
+        method: { type: TYPES.STRING, nullable: true, enum: ['email', 'phone'], description: 'Link scheme; the address is never sent' },
+      },
+    },
+    external_link_click: {
+      description: 'Visitor clicked any other external link',
+      source: 'link-tracking.js',
+      params: {
+        ...LINK_PARAMS,
+        url: { type: TYPES.STRING, required: true, maxLength: 500, description: 'Link URL' },
+      },
+    },
+    rage_click: {
+      description: 'Visitor clicked three or more times in quick succession on the same spot',
+      source: 'link-tracking.js',
+      params: {
+        ...LINK_PARAMS,
+        selector: { type: TYPES.STRING, required: true, maxLength: 200, description: 'CSS selector path of the clicked element' },
+        click_count: { type: TYPES.INTEGER, required: true, min: 3, description: 'Clicks in the burst' },
+      },
+    },
+    dead_click: {
+      description: 'Click on an element that looks interactive produced no navigation or DOM change',
+      source: 'link-tracking.js',
+      params: {
+        ...LINK_PARAMS,
+        selector: { type: TYPES.STRING, required: true, maxLength: 200, description: 'CSS selector path of the element that looks interactive' },
+      },
+    },
+    hero_loaded: {
+      description: 'Hero section initialized',
+      source: 'hero-animations.js',
+      params: {
+        animations_enabled: { type: TYPES.BOOLEAN, required: true, description: 'False for reduced motion or disabled animations' },
+      },
+    },
+    web_vitals: {
+      description: 'Core Web Vitals measurement',
+      source: 'performance.js',
+      params: {
+        metric_name: { type: TYPES.STRING, required: true, enum: ['LCP', 'FID', 'CLS', 'FCP', 'INP', 'TTFB'], description: 'Metric name' },
+        metric_value: { type: TYPES.NUMBER, required: true, min: 0, description: 'Metric value (ms, unitless for CLS)' },
+        metric_rating: { type: TYPES.STRING, required: true, enum: ['good', 'needs-improvement', 'poor'], description: 'Rating against Web Vitals thresholds' },
+        metric_delta: { type: TYPES.NUMBER, description: 'Change since the last report' },
+        metric_id: { type: TYPES.STRING, maxLength: 100, description: 'Unique id of this measurement' },
+      },
+    },
+  });
+
+  // ============================================
+  // STATE MANAGEMENT
+  // ============================================
+
+  const state = {
+    // "event.param" -> Set of values seen on this page
+    seenValues: new Map(),
+  };
+
+  // ============================================
+  // LOOKUP
+  // ============================================
+
+  /**
+   * Resolves an event name or deprecated alias to its canonical name
+   * @param {string} name - Event name
+   * @returns {string|null} Canonical name, or null for unknown events
+   */
+  function resolveName(name) {
+    if (Object.prototype.hasOwnProperty.call(EVENTS, name)) {
+      return name;
+    }
+
+    const canonical = Object.keys(EVENTS).find((eventName) => (
+      (EVENTS[eventName].aliases || []).includes(name)
+    ));
+
+    return canonical || null;
+  }
+
+  // ============================================
+  // VALIDATION
+  // ============================================
+
+  /**
+   * Checks a value against its param type
+   * @param {*} value - Param value
+   * @param {string} type - Declared type
+   * @returns {boolean}
+   */
+  function matchesType(value, type) {
+    switch (type) {
+      case TYPES.STRING:
+        return typeof value === 'string';
+      case TYPES.NUMBER:
+        return typeof value === 'number' && Number.isFinite(value);
+      case TYPES.INTEGER:
+        return Number.isInteger(value);
+      case TYPES.BOOLEAN:
+        return typeof value === 'boolean';
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Validates one param against its definition
+   * @param {string} eventName - Canonical event name
+   * @param {string} paramName - Param name
+   * @param {*} value - Param value
+   * @param {Object} definition - Param definition
+   * @returns {{errors: string[], warnings: string[]}}
+   */
+  function validateParam(eventName, paramName, value, definition) {
+    const errors = [];
+    const warnings = [];
+
+    if (value === undefined || (value === null && definition.nullable)) {
+      if (definition.required && value === undefined) {
+        errors.push(`${paramName} is required`);
+      }
+      return { errors, warnings };
+    }
+
+    if (!matchesType(value, definition.type)) {
+      errors.push(`${paramName} must be ${definition.type}`);
+      return { errors, warnings };
+    }
+
+    if (definition.maxLength !== undefined && value.length > definition.maxLength) {
+      errors.push(`${paramName} exceeds ${definition.maxLength} characters`);
+    }
+    if (definition.enum && !definition.enum.includes(value)) {
+      errors.push(`${paramName} must be one of ${definition.enum.join(', ')}`);
+    }
+    if (definition.min !== undefined && value < definition.min) {
+      errors.push(`${paramName} must be >= ${definition.min}`);
+    }
+    if (definition.max !== undefined && value > definition.max) {
+      errors.push(`${paramName} must be <= ${definition.max}`);
+    }
+
+    if (definition.maxCardinality !== undefined) {
+      const key = `${eventName}.${paramName}`;
+      const seen = state.seenValues.get(key) || new Set();
+      seen.add(value);
+      state.seenValues.set(key, seen);
+
+      if (seen.size > definition.maxCardinality) {
+        warnings.push(`${paramName} exceeds ${definition.maxCardinality} distinct values`);
+      }
+    }
+
+    return { errors, warnings };
+  }
+
+  /**
+   * Validates an event against the registry
+   * Unknown params are reported as warnings so new params can be added to the plan
+   * @param {string} name - Event name or deprecated alias
+   * @param {Object} [params] - Event params set by the publisher (global params excluded)
+   * @returns {{valid: boolean, name: (string|null), deprecated: boolean,
+   *   errors: string[], warnings: string[]}} Validation result with the canonical name
+   */
+  function validate(name, params = {}) {
+    const canonicalName = resolveName(name);
+
+    if (canonicalName === null) {
+      return { valid: false, name: null, deprecated: false, errors: [`unknown event ${name}`], warnings: [] };
+    }
+
+    const schema = EVENTS[canonicalName];
+    const errors = [];
+    const warnings = [];
+
+    Object.keys(schema.params).forEach((paramName) => {
+      const result = validateParam(canonicalName, paramName, params[paramName], schema.params[paramName]);
+      errors.push(...result.errors);
+      warnings.push(...result.warnings);
+    });
+
+    Object.keys(params).forEach((paramName) => {
+      if (!schema.params[paramName] && !GLOBAL_PARAMS[paramName]) {
+        warnings.push(`${paramName} is not in the tracking plan`);
+      }
+    });
+
+    const deprecated = canonicalName !== name;
+    if (deprecated) {
+      warnings.push(`${name} is deprecated, use ${canonicalName}`);
+    }
+
+    return { valid: errors.length === 0, name: canonicalName, deprecated, errors, warnings };
+  }
+
+  /**
+   * Lists the params of an event that may be sent to GA: its own params and the
+   * global params that are not internal
+   * @param {string} name - Event name or deprecated alias
+   * @returns {string[]|null} Param names, or null for unknown events
+   */
+  function getParamNames(name) {
+    const canonicalName = resolveName(name);
+    if (canonicalName === null) {
+      return null;
+    }
+
+    const globalParams = Object.keys(GLOBAL_PARAMS).filter((paramName) => !GLOBAL_PARAMS[paramName].internal);
+    return Object.keys(EVENTS[canonicalName].params).concat(globalParams);
+  }
+
+  // ============================================
+  // TRACKING PLAN
+  // ============================================
+
+  /**
+   * Converts a param map into tracking plan entries
+   * @param {Object} params - Param definitions
+   * @returns {Object[]} Param entries
+   */
+  function describeParams(params) {
+    return Object.keys(params).map((paramName) => ({
+      name: paramName,
+      required: params[paramName].required === true,
+      ...params[paramName],
+    }));
+  }
+
+  /**
+   * Builds the machine-readable tracking plan for analysts
+   * @returns {{version: string, global_params: Object[], events: Object[]}} Tracking plan
+   */
+  function getTrackingPlan() {
+    return {
+      version: PLAN_VERSION,
+      global_params: describeParams(GLOBAL_PARAMS),
+      events: Object.keys(EVENTS).map((eventName) => ({
+        name: eventName,
+        description: EVENTS[eventName].description,
+        source: EVENTS[eventName].source,
+        aliases: EVENTS[eventName].aliases || [],
+        params: describeParams(EVENTS[eventName].params),
+      })),
+    };
+  }
+
+  // ============================================
+  // PUBLIC API
+  // ============================================
+
+  window.FitTrackEventSchema = Object.freeze({
+    TYPES,
+    validate,
+    resolveName,
+    getParamNames,
+    getTrackingPlan,
+    isKnownEvent: (name) => resolveName(name) !== null,
+  });
+})();
@@ -0,0 +1,422 @@
+/**
+ * Experiments Module
+ * Client-side A/B tests declared as a list of experiments and variants. Visitors are
+ * assigned deterministically by hashing a random id, kept in localStorage only while
+ * analytics consent is granted and in sessionStorage otherwise, and
+ * variant changes (text, attributes, classes) are applied as soon as the DOM is
+ * parsed. Targets are hidden until then so visitors never see the original copy.
+ *
+ * QA override: ?fittrack_exp=hero_copy_v1:benefit_headline,cta_label_v1:control
+ * forces variants for the page view.
+ *
+ * Loaded synchronously in <head> so visitors are assigned before the first paint.
+ *
+ * @module experiments
+ * @dependencies: none (js/analytics.js reads the assignments for event params and
+ *   drives persistence)
+ */
+
+(function () {
+  'use strict';
+
+  // ============================================
+  // CONFIGURATION
+  // ============================================
+
+  const CONFIG = Object.freeze({
+    storageKey: 'fittrack_experiment_uid',
+    overrideParam: 'fittrack_exp',
+    loadingClass: 'fittrack-experiments-loading',
+    antiFlickerTimeout: 1500, // Targets are shown after this even if changes were not applied (ms)
+  });
+
+  /**
+   * Experiment definitions
+   * Each variant lists changes: { selector, text, attributes, addClass, removeClass }.
+   * Weights are relative within an experiment; traffic is the enrolled share (0-1).
+   * The experiments below are examples and ship inactive: set active once the copy
+   * is approved. The QA override previews inactive experiments too.
+   */
+  const EXPERIMENTS = Object.freeze([
+    {
+      id: 'hero_copy_v1',
+      active: false,
+      traffic: 1,
+      variants: [
+        { id: 'control', weight: 50, changes: [] },
+        {
+          id: 'benefit_headline',
+          weight: 50,
+          changes: [
+            { selector: '.hero__headline', text: 'Get Stronger With a Plan Built for You' },
+            { selector: '.hero__subtext', text: 'Personalized workouts, nutrition tracking and a community that keeps you going. Start in under a minute.' },
+          ],
+        },
+      ],
+    },
+    {
+      id: 'cta_label_v1',
+      active: false,
+      traffic: 1,
+      variants: [
+        { id: 'control', weight: 50, changes: [] },
+        {
+          id: 'start_trial',
+          weight: 50,
+          changes: [
+            { selector: '.hero__button--primary', text: 'Start Your Free Trial' },
+          ],
+        },
+      ],
+    },
+  ]);
+
+  // ============================================
+  // STATE MANAGEMENT
+  // ============================================
+
+  const state = {
+    persistent: null, // Unknown until analytics.js reports consent
+    uid: null,
+    assignments: new Map(), // experiment id -> variant id
+    overridden: new Set(),
+    applied: false,
+    antiFlickerTimer: null,
+  };
+
+  // ============================================
+  // UTILITY FUNCTIONS
+  // ============================================
+
+  /**
+   * Logs structured messages with context
+   * @param {string} level - Log level (info, warn, error)
+   * @param {string} message - Log message
+   * @param {Object} context - Additional context
+   */
+  function log(level, message, context = {}) {
+    if (level === 'error') {
+      console.error(`[Experiments] ${message}`, context);
+    } else if (level === 'warn') {
+      console.warn(`[Experiments] ${message}`, context);
+    } else {
+      console.log(`[Experiments] ${message}`, context);
+    }
+  }
+
+  /**
+   * Hashes a string to an unsigned 32-bit integer (FNV-1a)
+   * @param {string} value - Value to hash
+   * @returns {number} Hash
+   */
+  function hash(value) {
+    let result = 0x811c9dc5;
+    for (let i = 0; i < value.length; i += 1) {
+      result ^= value.charCodeAt(i);
+      result = Math.imul(result, 0x01000193);
+    }
+    return result >>> 0;
+  }
+
+  /**
+   * Maps a string to a stable position in [0, 1)
+   * @param {string} value - Value to hash
+   * @returns {number} Bucket
+   */
+  function bucket(value) {
+    return hash(value) / 0x100000000;
+  }
+
+  /**
+   * Gets web storage, treating storage blocked by the browser as unavailable
+   * @param {boolean} persistent - localStorage when true, sessionStorage otherwise
+   * @returns {Storage|null} Storage, or null when unavailable
+   */
+  function getStorage(persistent) {
+    try {
+      return persistent ? window.localStorage : window.sessionStorage;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Reads the stored assignment id
+   * @param {boolean} persistent - Read localStorage when true, sessionStorage otherwise
+   * @returns {string|null} Stored uid
+   */
+  function readUid(persistent) {
+    try {
+      const storage = getStorage(persistent);
+      return storage ? storage.getItem(CONFIG.storageKey) : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Moves the uid to the storage allowed by the current consent
+   */
+  function saveUid() {
+    try {
+      const previous = getStorage(!state.persistent);
+      const storage = getStorage(state.persistent);
+      if (previous) {
+        previous.removeItem(CONFIG.storageKey);
+      }
+      if (storage) {
+        storage.setItem(CONFIG.storageKey, state.uid);
+      }
+    } catch (error) {
+      log('warn', 'Storage unavailable, assignment kept for this page view', { error: error.message });
+    }
+  }
+
+  /**
+   * Gets the random id used for assignment, creating it on first visit
+   * The id never leaves the browser; only experiment and variant ids are tracked.
+   * A localStorage copy only exists once analytics consent was granted.
+   * @returns {string} Assignment id
+   */
+  function getUid() {
+    state.uid = readUid(true) || readUid(false);
+
+    // Without storage the visitor gets a fresh assignment on every page view
+    if (!state.uid) {
+      state.uid = `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 10)}`;
+      saveUid();
+    }
+    return state.uid;
+  }
+
+  /**
+   * Allows or revokes keeping the assignment id in localStorage
+   * Called by analytics.js whenever analytics consent changes
+   * @param {boolean} persistent - True when analytics consent is granted
+   */
+  function setPersistent(persistent) {
+    if (state.persistent === persistent) {
+      return;
+    }
+
+    state.persistent = persistent;
+    if (state.uid) {
+      saveUid();
+    }
+  }
+
+  // ============================================
+  // ASSIGNMENT
+  // ============================================
+
+  /**
+   * Reads QA overrides from the URL
+   * @returns {Map<string, string>} Experiment id -> forced variant id
+   */
+  function readOverrides() {
+    const overrides = new Map();
+    const value = new URLSearchParams(window.location.search).get(CONFIG.overrideParam);
+
+    (value || '').split(',').forEach((pair) => {
+      const [experimentId, variantId] = pair.split(':').map((part) => part.trim());
+      if (experimentId && variantId) {
+        overrides.set(experimentId, variantId);
+      }
+    });
+
+    return overrides;
+  }
+
+  /**
+   * Picks the variant of an experiment for the visitor
+   * @param {Object} experiment - Experiment definition
+   * @param {string} uid - Assignment id
+   * @returns {Object|null} Variant, or null when the visitor is not enrolled
+   */
+  function pickVariant(experiment, uid) {
+    if (bucket(`${experiment.id}:traffic:${uid}`) >= (experiment.traffic === undefined ? 1 : experiment.traffic)) {
+      return null;
+    }
+
+    const totalWeight = experiment.variants.reduce((sum, variant) => sum + variant.weight, 0);
+    let position = bucket(`${experiment.id}:${uid}`) * totalWeight;
+
+    for (const variant of experiment.variants) {
+      position -= variant.weight;
+      if (position < 0) {
+        return variant;
+      }
+    }
+
+    return experiment.variants[experiment.variants.length - 1];
+  }
+
+  /**
+   * Assigns the visitor to every active experiment, honouring QA overrides
+   */
+  function assignVariants() {
+    const overrides = readOverrides();
+    state.uid = getUid();
+
+    EXPERIMENTS.forEach((experiment) => {
+      const forcedId = overrides.get(experiment.id);
+      const forced = forcedId ? experiment.variants.find((variant) => variant.id === forcedId) : null;
+
+      if (forcedId && !forced) {
+        log('warn', 'Unknown variant in override', { experiment: experiment.id, variant: forcedId });
+      }
+
+      if (forced) {
+        state.assignments.set(experiment.id, forced.id);
+        state.overridden.add(experiment.id);
+        return;
+      }
+
+      if (!experiment.active) {
+        return;
+      }
+
+      const variant = pickVariant(experiment, state.uid);
+      if (variant) {
+        state.assignments.set(experiment.id, variant.id);
+      }
+    });
+  }
+
+  /**
+   * Lists the changes of the assigned variants
+   * @returns {Object[]} Changes to apply
+   */
+  function getPendingChanges() {
+    return EXPERIMENTS.flatMap((experiment) => {
+      const variantId = state.assignments.get(experiment.id);
+      const variant = experiment.variants.find((candidate) => candidate.id === variantId);
+      return variant ? variant.changes : [];
+    });
+  }
+
+  // ============================================
+  // DOM CHANGES
+  // ============================================
+
+  /**
+   * Applies one change to every element matching its selector
+   * @param {Object} change - Change definition
+   */
+  function applyChange(change) {
+    const elements = document.querySelectorAll(change.selector);
+    if (elements.length === 0) {
+      log('warn', 'Experiment target not found', { selector: change.selector });
+      return;
+    }
+
+    elements.forEach((element) => {
+      if (change.text !== undefined) {
+        element.textContent = change.text;
+      }
+      Object.keys(change.attributes || {}).forEach((name) => {
+        element.setAttribute(name, change.attributes[name]);
+      });
+      (change.addClass || []).forEach((className) => element.classList.add(className));
+      (change.removeClass || []).forEach((className) => element.classList.remove(className));
+    });
+  }
+
+  /**
+   * Shows experiment targets again
+   */
+  function reveal() {
+    window.clearTimeout(state.antiFlickerTimer);
+    document.documentElement.classList.remove(CONFIG.loadingClass);
+  }
+
+  /**
+   * Hides the targets of the assigned variants until the changes are applied
+   * @param {Object[]} changes - Pending changes
+   */
+  function hideTargets(changes) {
+    const selectors = changes.map((change) => `.${CONFIG.loadingClass} ${change.selector}`);
+    const style = document.createElement('style');
+    style.textContent = `${selectors.join(',\n')} { visibility: hidden !important; }`;
+    document.head.appendChild(style);
+
+    document.documentElement.classList.add(CONFIG.loadingClass);
+    state.antiFlickerTimer = window.setTimeout(reveal, CONFIG.antiFlickerTimeout);
+  }
+
+  /**
+   * Applies the assigned variants once the DOM is parsed
+   */
+  function applyVariants() {
+    if (state.applied) {
+      return;
+    }
+    state.applied = true;
+
+    try {
+      getPendingChanges().forEach(applyChange);
+    } catch (error) {
+      log('error', 'Failed to apply experiment changes', { error: error.message });
+    }
+
+    reveal();
+  }
+
+  // ============================================
+  // TRACKING PARAMETERS
+  // ============================================
+
+  /**
+   * Gets the params attached to every analytics event
+   * Several running experiments are joined in the same order in both params
+   * @returns {{experiment_id: string, variant: string}|null} Params, or null when not enrolled
+   */
+  function getEventParams() {
+    if (state.assignments.size === 0) {
+      return null;
+    }
+
+    return {
+      experiment_id: Array.from(state.assignments.keys()).join(','),
+      variant: Array.from(state.assignments.values()).join(','),
+    };
+  }
+
+  // ============================================
+  // INITIALIZATION
+  // ============================================
+
+  try {
+    assignVariants();
+
+    const changes = getPendingChanges();
+    if (changes.length > 0) {
+      hideTargets(changes);
+    }
+  } catch (error) {
+    log('error', 'Experiment assignment failed', { error: error.message });
+  }
+
+  // ============================================
+  // AUTO-INITIALIZATION
+  // ============================================
+
+  // readystatechange to "interactive" fires as soon as parsing ends, before deferred scripts
+  if (document.readyState === 'loading') {
+    document.addEventListener('readystatechange', applyVariants, { once: true });
+  } else {
+    applyVariants();
+  }
+
+  // ============================================
+  // PUBLIC API
+  // ============================================
+
+  window.FitTrackExperiments = Object.freeze({
+    getEventParams,
+    getVariant: (experimentId) => state.assignments.get(experimentId) || null,
+    getAssignments: () => Object.fromEntries(state.assignments),
+    isOverridden: (experimentId) => state.overridden.has(experimentId),
+    setPersistent,
+  });
+})();
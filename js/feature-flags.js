@@ -0,0 +1,372 @@
+/**
+ * Feature Flags Module
+ * Shared on/off switches and tuning values for the other modules, so a misbehaving
+ * module can be turned off by editing config/feature-flags.json without a deploy.
+ *
+ * A flag resolves, highest priority first, from:
+ * 1. the query string: ?fittrack_flags=hero_animations:off,lazy_loading:on
+ * 2. localStorage overrides set with FitTrackFlags.setOverride() for QA
+ * 3. config/feature-flags.json, with percentage rollouts by a stable visitor id, kept
+ *    in localStorage only while analytics consent is granted and in sessionStorage otherwise
+ * 4. the default passed by the module
+ *
+ * The last fetched config is cached so flags that style the page (disabledClass)
+ * apply before first paint. Tracking modules wait for FitTrackFlags.ready before
+ * reading flags; the hero, lazy loading and carousel start with the cached config or
+ * their defaults and apply the fetched config once ready resolves.
+ *
+ * @module feature-flags
+ * @dependencies: ["config/feature-flags.json"]; loaded synchronously in <head>;
+ *   js/analytics.js drives persistence
+ */
+
+(function () {
+  'use strict';
+
+  // ============================================
+  // CONFIGURATION
+  // ============================================
+
+  const CONFIG = Object.freeze({
+    configUrl: 'config/feature-flags.json',
+    fetchTimeout: 1000, // Modules start with the cached config after this (ms)
+    cacheKey: 'fittrack_flags_config',
+    overridesKey: 'fittrack_flag_overrides',
+    uidKey: 'fittrack_flags_uid',
+    queryParam: 'fittrack_flags',
+  });
+
+  const SOURCES = Object.freeze({
+    QUERY: 'query',
+    OVERRIDE: 'override',
+    CONFIG: 'config',
+    ROLLOUT: 'rollout',
+    DEFAULT: 'default',
+  });
+
+  // ============================================
+  // STATE MANAGEMENT
+  // ============================================
+
+  const state = {
+    flags: {},
+    configLoaded: false,
+    persistent: null, // Unknown until analytics.js reports consent
+    uid: null,
+    queryOverrides: new Map(),
+  };
+
+  // ============================================
+  // UTILITY FUNCTIONS
+  // ============================================
+
+  /**
+   * Logs structured messages with context
+   * @param {string} level - Log level (info, warn, error)
+   * @param {string} message - Log message
+   * @param {Object} context - Additional context
+   */
+  function log(level, message, context = {}) {
+    if (level === 'error') {
+      console.error(`[FeatureFlags] ${message}`, context);
+    } else if (level === 'warn') {
+      console.warn(`[FeatureFlags] ${message}`, context);
+    } else {
+      console.log(`[FeatureFlags] ${message}`, context);
+    }
+  }
+
+  /**
+   * Reads a JSON value from web storage
+   * @param {string} key - Storage key
+   * @param {boolean} [persistent=true] - Read localStorage when true, sessionStorage otherwise
+   * @returns {*} Parsed value, or null
+   */
+  function readStorage(key, persistent = true) {
+    try {
+      const storage = persistent ? window.localStorage : window.sessionStorage;
+      return JSON.parse(storage.getItem(key) || 'null');
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Writes a JSON value to web storage
+   * @param {string} key - Storage key
+   * @param {*} value - Value to store, null removes the key
+   * @param {boolean} [persistent=true] - Write localStorage when true, sessionStorage otherwise
+   */
+  function writeStorage(key, value, persistent = true) {
+    try {
+      const storage = persistent ? window.localStorage : window.sessionStorage;
+      if (value === null) {
+        storage.removeItem(key);
+      } else {
+        storage.setItem(key, JSON.stringify(value));
+      }
+    } catch (error) {
+      log('warn', 'Storage unavailable', { key, error: error.message });
+    }
+  }
+
+  /**
+   * Hashes a string to an unsigned 32-bit integer (FNV-1a)
+   * @param {string} value - Value to hash
+   * @returns {number} Hash
+   */
+  function hash(value) {
+    let result = 0x811c9dc5;
+    for (let i = 0; i < value.length; i += 1) {
+      result ^= value.charCodeAt(i);
+      result = Math.imul(result, 0x01000193);
+    }
+    return result >>> 0;
+  }
+
+  /**
+   * Gets the random id used for rollouts, creating it on first visit
+   * A localStorage copy only exists once analytics consent was granted
+   * @returns {string} Rollout id
+   */
+  function getUid() {
+    if (state.uid) {
+      return state.uid;
+    }
+
+    let uid = readStorage(CONFIG.uidKey);
+    if (typeof uid !== 'string') {
+      uid = readStorage(CONFIG.uidKey, false);
+    }
+    if (typeof uid !== 'string') {
+      uid = `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 10)}`;
+      writeStorage(CONFIG.uidKey, uid, state.persistent === true);
+    }
+    state.uid = uid;
+    return uid;
+  }
+
+  /**
+   * Allows or revokes keeping the rollout id in localStorage
+   * Called by analytics.js whenever analytics consent changes
+   * @param {boolean} persistent - True when analytics consent is granted
+   */
+  function setPersistent(persistent) {
+    if (state.persistent === persistent) {
+      return;
+    }
+
+    state.persistent = persistent;
+    if (state.uid) {
+      writeStorage(CONFIG.uidKey, null, !persistent);
+      writeStorage(CONFIG.uidKey, state.uid, persistent);
+    }
+  }
+
+  /**
+   * Parses ?fittrack_flags=name:on,other:off
+   * @returns {Map<string, boolean>} Flag name -> forced state
+   */
+  function readQueryOverrides() {
+    const overrides = new Map();
+    const value = new URLSearchParams(window.location.search).get(CONFIG.queryParam);
+
+    (value || '').split(',').forEach((pair) => {
+      const [name, setting] = pair.split(':').map((part) => part.trim());
+      if (name && (setting === 'on' || setting === 'off')) {
+        overrides.set(name, setting === 'on');
+      }
+    });
+
+    return overrides;
+  }
+
+  // ============================================
+  // RESOLUTION
+  // ============================================
+
+  /**
+   * Checks whether the visitor falls inside a percentage rollout
+   * @param {string} name - Flag name
+   * @param {number} rollout - Enrolled share in percent (0-100)
+   * @returns {boolean}
+   */
+  function isInRollout(name, rollout) {
+    if (rollout === undefined || rollout >= 100) {
+      return true;
+    }
+    if (rollout <= 0) {
+      return false;
+    }
+    return (hash(`${name}:${getUid()}`) / 0x100000000) * 100 < rollout;
+  }
+
+  /**
+   * Resolves the state of a flag
+   * @param {string} name - Flag name
+   * @param {boolean} fallback - State when the flag is not configured
+   * @returns {{enabled: boolean, source: string}} State and where it came from
+   */
+  function resolve(name, fallback) {
+    if (state.queryOverrides.has(name)) {
+      return { enabled: state.queryOverrides.get(name), source: SOURCES.QUERY };
+    }
+
+    const overrides = readStorage(CONFIG.overridesKey) || {};
+    if (typeof overrides[name] === 'boolean') {
+      return { enabled: overrides[name], source: SOURCES.OVERRIDE };
+    }
+
+    const flag = state.flags[name];
+    if (!flag) {
+      return { enabled: fallback, source: SOURCES.DEFAULT };
+    }
+    if (flag.enabled === false) {
+      return { enabled: false, source: SOURCES.CONFIG };
+    }
+    if (!isInRollout(name, flag.rollout)) {
+      return { enabled: false, source: SOURCES.ROLLOUT };
+    }
+    return { enabled: true, source: SOURCES.CONFIG };
+  }
+
+  /**
+   * Checks whether a flag is on
+   * @param {string} name - Flag name
+   * @param {boolean} [fallback=true] - State when the flag is not configured
+   * @returns {boolean}
+   */
+  function isEnabled(name, fallback = true) {
+    return resolve(name, fallback).enabled;
+  }
+
+  /**
+   * Gets a tuning value of a flag
+   * @param {string} name - Flag name
+   * @param {string} key - Param name
+   * @param {*} fallback - Value when the param is not configured
+   * @returns {*} Param value
+   */
+  function getParam(name, key, fallback) {
+    const params = state.flags[name] && state.flags[name].params;
+    return params && params[key] !== undefined ? params[key] : fallback;
+  }
+
+  /**
+   * Lists every configured or overridden flag with its resolved state
+   * @returns {Object} Flag name -> {enabled, source, params}
+   */
+  function getAll() {
+    const names = new Set(Object.keys(state.flags)
+      .concat(Array.from(state.queryOverrides.keys()))
+      .concat(Object.keys(readStorage(CONFIG.overridesKey) || {})));
+
+    return Array.from(names).reduce((all, name) => {
+      const flag = state.flags[name] || {};
+      all[name] = { ...resolve(name, true), params: { ...flag.params } };
+      return all;
+    }, {});
+  }
+
+  /**
+   * Forces a flag on or off in this browser, for QA
+   * @param {string} name - Flag name
+   * @param {boolean|null} enabled - Forced state, null removes the override
+   */
+  function setOverride(name, enabled) {
+    const overrides = readStorage(CONFIG.overridesKey) || {};
+    if (typeof enabled === 'boolean') {
+      overrides[name] = enabled;
+    } else {
+      delete overrides[name];
+    }
+    writeStorage(CONFIG.overridesKey, Object.keys(overrides).length > 0 ? overrides : null);
+    applyDocumentClasses();
+  }
+
+  /**
+   * Sets the disabledClass of every switched-off flag on <html>
+   * Lets CSS react to flags before the owning module runs
+   */
+  function applyDocumentClasses() {
+    Object.keys(state.flags).forEach((name) => {
+      const className = state.flags[name].disabledClass;
+      if (className) {
+        document.documentElement.classList.toggle(className, !isEnabled(name));
+      }
+    });
+  }
+
+  // ============================================
+  // CONFIG LOADING
+  // ============================================
+
+  /**
+   * Replaces the flag definitions
+   * @param {Object} config - Parsed feature-flags.json
+   */
+  function setConfig(config) {
+    state.flags = config && typeof config.flags === 'object' && config.flags !== null ? config.flags : {};
+    applyDocumentClasses();
+  }
+
+  /**
+   * Fetches the current config and caches it for the next page view
+   * @returns {Promise<void>} Resolves once the config is applied or the fetch failed
+   */
+  function loadConfig() {
+    if (typeof window.fetch !== 'function') {
+      return Promise.resolve();
+    }
+
+    return window.fetch(CONFIG.configUrl, { cache: 'no-cache', credentials: 'same-origin' })
+      .then((response) => {
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}`);
+        }
+        return response.json();
+      })
+      .then((config) => {
+        setConfig(config);
+        writeStorage(CONFIG.cacheKey, config);
+        state.configLoaded = true;
+      })
+      .catch((error) => {
+        log('warn', 'Feature flag config unavailable, using cached flags', { error: error.message });
+      });
+  }
+
+  /**
+   * Waits for the config, or for the timeout so a slow request never blocks the page
+   * @returns {Promise<void>}
+   */
+  function whenLoaded() {
+    return Promise.race([
+      loadConfig(),
+      new Promise((resolve) => window.setTimeout(resolve, CONFIG.fetchTimeout)),
+    ]);
+  }
+
+  // ============================================
+  // INITIALIZATION
+  // ============================================
+
+  state.queryOverrides = readQueryOverrides();
+  setConfig(readStorage(CONFIG.cacheKey));
+
+  const ready = whenLoaded();
+
+  // ============================================
+  // PUBLIC API
+  // ============================================
+
+  window.FitTrackFlags = Object.freeze({
+    ready,
+    isEnabled,
+    getParam,
+    getAll,
+    setOverride,
+    setPersistent,
+    isConfigLoaded: () => state.configLoaded,
+  });
+})();
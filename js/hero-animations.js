@@ -5,7 +5,7 @@
  * Features:
  * - Intersection Observer for scroll-triggered animations
  * - CSS class toggling for animation states
- * - CTA button click tracking
+ * - CTA button click events (analytics.js publishes the canonical cta_click)
  * - Smooth scroll functionality
  * - Performance optimization with requestAnimationFrame
  * - Accessibility support (prefers-reduced-motion)
@@ -13,7 +13,8 @@
  * 
  * @generated-from: task-id:TASK-004
  * @modifies: hero section animations
- * @dependencies: ["css/components/hero.css"]
+ * @dependencies: ["css/components/hero.css", "js/tracking-bus.js",
+ *   "js/feature-flags.js" (hero_animations flag)]
  */
 
 (function heroAnimations() {
@@ -29,8 +30,7 @@
     INTERSECTION_THRESHOLD: 0.1,
     INTERSECTION_ROOT_MARGIN: '0px 0px -10% 0px',
     DEBOUNCE_DELAY: 150,
-    ANALYTICS_ENDPOINT: '/api/analytics/track',
-    FEATURE_FLAG_CLASS: 'no-animations',
+    FEATURE_FLAG: 'hero_animations', // Its disabledClass (no-animations) turns off the CSS animations
   });
 
   const SELECTORS = Object.freeze({
@@ -75,14 +75,22 @@
   // UTILITY FUNCTIONS
   // ============================================
 
+  /**
+   * Checks if the hero_animations feature flag is switched off
+   * @returns {boolean} True if the flag is off
+   */
+  function isFeatureFlagOff() {
+    const flags = window.FitTrackFlags;
+    return Boolean(flags) && !flags.isEnabled(CONFIG.FEATURE_FLAG);
+  }
+
   /**
    * Checks if animations should be disabled
    * @returns {boolean} True if animations should be disabled
    */
   function shouldDisableAnimations() {
     const mediaQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
-    const hasFeatureFlag = document.documentElement.classList.contains(CONFIG.FEATURE_FLAG_CLASS);
-    return mediaQuery.matches || hasFeatureFlag;
+    return mediaQuery.matches || isFeatureFlagOff();
   }
 
   /**
@@ -288,14 +296,6 @@
         href: button.getAttribute('href'),
       },
     }));
-
-    // Track analytics (non-blocking)
-    trackAnalytics('cta_click', {
-      button_type: buttonType,
-      button_text: buttonText,
-    }).catch((error) => {
-      log('error', 'Analytics tracking failed', { error: error.message });
-    });
   }
 
   /**
@@ -370,44 +370,17 @@
   // ============================================
 
   /**
-   * Tracks analytics events
+   * Publishes an event on the tracking bus
    * @param {string} eventName - Event name
    * @param {Object} eventData - Event data
-   * @returns {Promise<void>}
    */
-  async function trackAnalytics(eventName, eventData) {
-    if (!navigator.sendBeacon && !window.fetch) {
-      log('warn', 'Analytics tracking not supported');
+  function trackAnalytics(eventName, eventData) {
+    if (!window.FitTrackBus) {
+      log('warn', 'Tracking bus not available', { event: eventName });
       return;
     }
 
-    const payload = {
-      event: eventName,
-      timestamp: Date.now(),
-      page: window.location.pathname,
-      ...eventData,
-    };
-
-    try {
-      if (navigator.sendBeacon) {
-        const blob = new Blob([JSON.stringify(payload)], { type: 'application/json' });
-        navigator.sendBeacon(CONFIG.ANALYTICS_ENDPOINT, blob);
-      } else {
-        await fetch(CONFIG.ANALYTICS_ENDPOINT, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify(payload),
-          keepalive: true,
-        });
-      }
-
-      log('info', 'Analytics tracked', { event: eventName });
-    } catch (error) {
-      log('error', 'Analytics request failed', {
-        event: eventName,
-        error: error.message,
-      });
-    }
+    window.FitTrackBus.publish(eventName, eventData, { source: 'hero-animations' });
   }
 
   // ============================================
@@ -471,7 +444,7 @@
       log('info', 'Initializing hero animations');
 
       // Check for feature flag and reduced motion preference
-      state.isFeatureFlagDisabled = document.documentElement.classList.contains(CONFIG.FEATURE_FLAG_CLASS);
+      state.isFeatureFlagDisabled = isFeatureFlagOff();
       state.prefersReducedMotion = shouldDisableAnimations();
 
       if (state.prefersReducedMotion) {
@@ -481,7 +454,7 @@
       // Initialize Intersection Observer for scroll animations
       initIntersectionObserver();
 
-      // Setup CTA button click tracking
+      // Setup CTA button click events
       const primaryButton = safeQuerySelector(SELECTORS.HERO_BUTTON_PRIMARY);
       const secondaryButton = safeQuerySelector(SELECTORS.HERO_BUTTON_SECONDARY);
 
@@ -526,8 +499,6 @@
       // Track page load
       trackAnalytics('hero_loaded', {
         animations_enabled: !state.prefersReducedMotion && !state.isFeatureFlagDisabled,
-      }).catch((error) => {
-        log('error', 'Failed to track hero load', { error: error.message });
       });
     } catch (error) {
       log('error', 'Failed to initialize hero animations', {
@@ -537,6 +508,20 @@
     }
   }
 
+  /**
+   * Applies the hero_animations flag from the fetched config
+   * init() runs with the cached config or the defaults so the hero never waits for
+   * the config request; animations that have not started yet follow the new state.
+   */
+  function applyFeatureFlag() {
+    if (!state.isInitialized) {
+      return;
+    }
+
+    state.isFeatureFlagDisabled = isFeatureFlagOff();
+    state.prefersReducedMotion = shouldDisableAnimations();
+  }
+
   /**
    * Cleans up all resources and event listeners
    */
@@ -566,13 +551,20 @@
   // AUTO-INITIALIZATION
   // ============================================
 
-  // Initialize when DOM is ready
+  // Initialize when the DOM is ready, with the cached flags or the defaults
   if (document.readyState === 'loading') {
     document.addEventListener('DOMContentLoaded', init);
   } else {
     init();
   }
 
+  // Apply the fetched flag config once it arrives
+  if (window.FitTrackFlags) {
+    window.FitTrackFlags.ready.then(applyFeatureFlag).catch((error) => {
+      log('error', 'Failed to apply feature flags', { error: error.message });
+    });
+  }
+
   // Cleanup on page unload
   window.addEventListener('beforeunload', cleanup);
 
@@ -12,8 +12,10 @@
  * - Memory management and proper cleanup
  * - Accessibility considerations (ARIA attributes, reduced motion)
  * - Retry mechanism for failed image loads
+ * - lazy_loading feature flag: kill switch and observer tuning
  * 
  * @module lazy-loading
+ * @dependencies: ["js/feature-flags.js" (optional, lazy_loading flag)]
  */
 
 (function () {
@@ -24,7 +26,9 @@
   // ============================================
 
   const CONFIG = Object.freeze({
-    // Intersection Observer options
+    featureFlag: 'lazy_loading',
+
+    // Intersection Observer options (defaults for the lazy_loading flag params)
     rootMargin: '50px', // Start loading 50px before entering viewport
     threshold: 0.01, // Trigger when 1% of image is visible
     
@@ -52,6 +56,8 @@
 
   const state = {
     observer: null,
+    observerOptions: null, // rootMargin and threshold of the current observer
+    started: false, // init() has run on the loaded DOM
     loadingImages: new WeakMap(), // Track loading state per image
     retryCount: new WeakMap(), // Track retry attempts per image
     prefersReducedMotion: window.matchMedia('(prefers-reduced-motion: reduce)').matches,
@@ -61,6 +67,16 @@
   // UTILITY FUNCTIONS
   // ============================================
 
+  /**
+   * Reads a tuning value from the lazy_loading feature flag
+   * @param {string} key - Param name, also the CONFIG key of the default
+   * @returns {*} Param value
+   */
+  function getFlagParam(key) {
+    const flags = window.FitTrackFlags;
+    return flags ? flags.getParam(CONFIG.featureFlag, key, CONFIG[key]) : CONFIG[key];
+  }
+
   /**
    * Logs structured messages with context
    * @param {string} level - Log level (info, warn, error)
@@ -303,15 +319,14 @@
     }
 
     try {
-      state.observer = new IntersectionObserver(handleIntersection, {
-        rootMargin: CONFIG.rootMargin,
-        threshold: CONFIG.threshold,
-      });
+      const options = {
+        rootMargin: getFlagParam('rootMargin'),
+        threshold: getFlagParam('threshold'),
+      };
+      state.observer = new IntersectionObserver(handleIntersection, options);
+      state.observerOptions = options;
 
-      log('info', 'Intersection Observer initialized', {
-        rootMargin: CONFIG.rootMargin,
-        threshold: CONFIG.threshold,
-      });
+      log('info', 'Intersection Observer initialized', options);
     } catch (error) {
       log('error', 'Failed to initialize Intersection Observer', {
         error: error.message,
@@ -412,6 +427,15 @@
       return;
     }
 
+    state.started = true;
+
+    // Kill switch: images still load, just not lazily
+    if (window.FitTrackFlags && !window.FitTrackFlags.isEnabled(CONFIG.featureFlag)) {
+      log('info', 'Lazy loading disabled by feature flag');
+      loadAllImagesImmediately();
+      return;
+    }
+
     log('info', 'Initializing lazy loading system', {
       prefersReducedMotion: state.prefersReducedMotion,
       supportsIntersectionObserver: supportsIntersectionObserver(),
@@ -436,6 +460,32 @@
     window.addEventListener('beforeunload', cleanup);
   }
 
+  /**
+   * Applies the lazy_loading flag from the fetched config
+   * init() runs with the cached config or the defaults so images never wait for
+   * the config request; a flag switched off or retuned since is applied here.
+   */
+  function applyFeatureFlag() {
+    if (!state.started || !state.observer) {
+      return; // init() has not run yet, or images are not loaded lazily
+    }
+
+    if (!window.FitTrackFlags.isEnabled(CONFIG.featureFlag)) {
+      log('info', 'Lazy loading disabled by feature flag');
+      state.observer.disconnect();
+      state.observer = null;
+      loadAllImagesImmediately();
+      return;
+    }
+
+    const { rootMargin, threshold } = state.observerOptions;
+    if (getFlagParam('rootMargin') !== rootMargin || getFlagParam('threshold') !== threshold) {
+      state.observer.disconnect();
+      initIntersectionObserver();
+      observeImages();
+    }
+  }
+
   // ============================================
   // PUBLIC API
   // ============================================
@@ -451,5 +501,13 @@
   // AUTO-INITIALIZE
   // ============================================
 
+  // Start with the cached flags or the defaults; init() itself waits for the DOM
   init();
+
+  // Apply the fetched flag config once it arrives
+  if (window.FitTrackFlags) {
+    window.FitTrackFlags.ready.then(applyFeatureFlag).catch((error) => {
+      log('error', 'Failed to apply feature flags', { error: error.message });
+    });
+  }
 })();
\ No newline at end of file
@@ -0,0 +1,344 @@
+/**
+ * Link Rules Module
+ * Classifies links for js/link-tracking.js: whether a click is a store, social,
+ * contact or external link, and the category, label and network it is reported with.
+ *
+ * Rules come from config/link-rules.json, so a new network or campaign domain needs
+ * no code deploy; the built-in rules below apply until it has loaded (keep them in
+ * step). Rules are checked in order and the first match wins. A rule matches when
+ * all of its conditions do:
+ * - protocol: e.g. "mailto:"
+ * - host: host name or list; subdomains and "www." match too
+ * - path: regular expression tested against the URL path
+ * - selector: CSS selector the link matches
+ * Links to other sites that no rule matches get the default rule.
+ *
+ * A link can override its classification:
+ * - data-track-rule: id of the rule to apply, or "none" to skip tracking
+ * - data-track-category, data-track-label, data-track-network: replace that field
+ *
+ * @module link-rules
+ * @dependencies: ["config/link-rules.json"]; loaded before js/link-tracking.js
+ */
+
+(function () {
+  'use strict';
+
+  // ============================================
+  // CONFIGURATION
+  // ============================================
+
+  const CONFIG = Object.freeze({
+    configUrl: 'config/link-rules.json',
+    fetchTimeout: 1000, // Clicks use the built-in rules until the config arrives (ms)
+  });
+
+  const TYPES = Object.freeze({
+    APP_STORE: 'app_store',
+    SOCIAL: 'social',
+    CONTACT: 'contact',
+    EXTERNAL: 'external',
+    NONE: 'none', // Not tracked
+  });
+
+  // Category of rules that set none
+  const TYPE_CATEGORIES = Object.freeze({
+    [TYPES.APP_STORE]: 'app_download',
+    [TYPES.SOCIAL]: 'social_engagement',
+    [TYPES.CONTACT]: 'contact',
+    [TYPES.EXTERNAL]: 'external_navigation',
+  });
+
+  const DATA_ATTRIBUTES = Object.freeze({
+    RULE: 'data-track-rule',
+    CATEGORY: 'data-track-category',
+    LABEL: 'data-track-label',
+    NETWORK: 'data-track-network',
+  });
+
+  const DEFAULT_RULE_ID = 'default';
+
+  // Same rules as config/link-rules.json
+  const DEFAULT_CONFIG = Object.freeze({
+    rules: [
+      { id: 'app-store', type: TYPES.APP_STORE, match: { host: ['apps.apple.com', 'itunes.apple.com'] } },
+      { id: 'google-play', type: TYPES.APP_STORE, match: { host: 'play.google.com', path: '^/store/apps/' } },
+      { id: 'store-badge', type: TYPES.APP_STORE, match: { selector: '.app-badge, .footer__app-badge, [data-track-app-store]' } },
+      { id: 'facebook', type: TYPES.SOCIAL, network: 'facebook', match: { host: ['facebook.com', 'fb.com', 'fb.me'] } },
+      { id: 'instagram', type: TYPES.SOCIAL, network: 'instagram', match: { host: 'instagram.com' } },
+      { id: 'twitter', type: TYPES.SOCIAL, network: 'twitter', match: { host: ['twitter.com', 'x.com'] } },
+      { id: 'tiktok', type: TYPES.SOCIAL, network: 'tiktok', match: { host: 'tiktok.com' } },
+      { id: 'youtube', type: TYPES.SOCIAL, network: 'youtube', match: { host: ['youtube.com', 'youtu.be'] } },
+      { id: 'strava', type: TYPES.SOCIAL, network: 'strava', match: { host: ['strava.com', 'strava.app.link'] } },
+      { id: 'linkedin', type: TYPES.SOCIAL, network: 'linkedin', match: { host: ['linkedin.com', 'lnkd.in'] } },
+      { id: 'footer-social', type: TYPES.SOCIAL, match: { selector: '.footer__social-link' } },
+      { id: 'email', type: TYPES.CONTACT, label: 'email', match: { protocol: 'mailto:' } },
+      { id: 'phone', type: TYPES.CONTACT, label: 'phone', match: { protocol: 'tel:' } },
+    ],
+    default: { type: TYPES.EXTERNAL },
+  });
+
+  // ============================================
+  // STATE MANAGEMENT
+  // ============================================
+
+  const state = {
+    rules: [], // Compiled rules, in order
+    defaultRule: null,
+  };
+
+  // ============================================
+  // UTILITY FUNCTIONS
+  // ============================================
+
+  /**
+   * Logs structured messages with context
+   * @param {string} level - Log level (info, warn, error)
+   * @param {string} message - Log message
+   * @param {Object} context - Additional context
+   */
+  function log(level, message, context = {}) {
+    if (level === 'error') {
+      console.error(`[LinkRules] ${message}`, context);
+    } else if (level === 'warn') {
+      console.warn(`[LinkRules] ${message}`, context);
+    } else {
+      console.log(`[LinkRules] ${message}`, context);
+    }
+  }
+
+  /**
+   * Lower-cases a host name and drops a leading "www."
+   * @param {string} host - Host name
+   * @returns {string} Normalized host
+   */
+  function normalizeHost(host) {
+    return String(host).toLowerCase().replace(/^www\./, '');
+  }
+
+  /**
+   * Checks whether a host is one of the rule's hosts or a subdomain of one
+   * @param {string} host - Normalized link host
+   * @param {string[]} hosts - Normalized rule hosts
+   * @returns {boolean}
+   */
+  function matchesHost(host, hosts) {
+    return hosts.some((ruleHost) => host === ruleHost || host.endsWith(`.${ruleHost}`));
+  }
+
+  /**
+   * Checks whether a link matches a CSS selector, treating invalid selectors as no match
+   * @param {HTMLAnchorElement} link - Link
+   * @param {string} selector - CSS selector
+   * @returns {boolean}
+   */
+  function matchesSelector(link, selector) {
+    try {
+      return link.matches(selector);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // ============================================
+  // RULES
+  // ============================================
+
+  /**
+   * Validates a rule from the config and prepares its conditions
+   * @param {Object} rule - Rule from link-rules.json
+   * @returns {Object|null} Compiled rule, or null when it is invalid
+   */
+  function compileRule(rule) {
+    const match = rule && rule.match;
+    const types = Object.values(TYPES);
+
+    if (!rule || typeof rule.id !== 'string' || !types.includes(rule.type) || !match || typeof match !== 'object') {
+      log('warn', 'Invalid link rule skipped', { rule });
+      return null;
+    }
+
+    const compiled = {
+      id: rule.id,
+      type: rule.type,
+      category: rule.category || TYPE_CATEGORIES[rule.type] || null,
+      label: rule.label || null,
+      network: rule.network || null,
+      protocol: match.protocol ? String(match.protocol).toLowerCase() : null,
+      hosts: match.host ? [].concat(match.host).map(normalizeHost) : null,
+      path: null,
+      selector: match.selector || null,
+    };
+
+    if (match.path) {
+      try {
+        compiled.path = new RegExp(match.path);
+      } catch (error) {
+        log('warn', 'Invalid path pattern, link rule skipped', { rule: rule.id, path: match.path });
+        return null;
+      }
+    }
+
+    if (!compiled.protocol && !compiled.hosts && !compiled.path && !compiled.selector) {
+      log('warn', 'Link rule without conditions skipped', { rule: rule.id });
+      return null;
+    }
+
+    return compiled;
+  }
+
+  /**
+   * Checks whether a link matches all conditions of a rule
+   * @param {Object} rule - Compiled rule
+   * @param {HTMLAnchorElement} link - Link
+   * @param {URL} url - Parsed link URL
+   * @returns {boolean}
+   */
+  function matchesRule(rule, link, url) {
+    return (!rule.protocol || url.protocol === rule.protocol)
+      && (!rule.hosts || matchesHost(normalizeHost(url.hostname), rule.hosts))
+      && (!rule.path || rule.path.test(url.pathname))
+      && (!rule.selector || matchesSelector(link, rule.selector));
+  }
+
+  /**
+   * Replaces the rules
+   * @param {Object} config - Parsed link-rules.json: { rules: [...], default: {...} }
+   */
+  function setConfig(config) {
+    const rules = config && Array.isArray(config.rules) ? config.rules : [];
+    const defaultRule = config && config.default ? config.default : DEFAULT_CONFIG.default;
+
+    const defaultType = Object.values(TYPES).includes(defaultRule.type) ? defaultRule.type : TYPES.EXTERNAL;
+
+    state.rules = rules.map(compileRule).filter(Boolean);
+    state.defaultRule = {
+      id: DEFAULT_RULE_ID,
+      type: defaultType,
+      category: defaultRule.category || TYPE_CATEGORIES[defaultType] || null,
+      label: defaultRule.label || null,
+      network: defaultRule.network || null,
+    };
+  }
+
+  /**
+   * Finds the rule for a link
+   * @param {HTMLAnchorElement} link - Link
+   * @param {URL} url - Parsed link URL
+   * @returns {Object|null} Compiled rule, or null for links that are not tracked
+   */
+  function findRule(link, url) {
+    const ruleId = link.getAttribute(DATA_ATTRIBUTES.RULE);
+    if (ruleId === TYPES.NONE) {
+      return null;
+    }
+
+    const forced = ruleId && state.rules.find((rule) => rule.id === ruleId);
+    if (forced) {
+      return forced;
+    }
+    if (ruleId) {
+      log('warn', 'Unknown link rule, matching as usual', { rule: ruleId });
+    }
+
+    const matched = state.rules.find((rule) => matchesRule(rule, link, url));
+    if (matched) {
+      return matched;
+    }
+
+    // In-page and same-site links are navigation, not outbound clicks
+    const isOtherSite = /^https?:$/.test(url.protocol) && url.host !== window.location.host;
+    return isOtherSite ? state.defaultRule : null;
+  }
+
+  /**
+   * Classifies a link
+   * @param {HTMLAnchorElement} link - Link
+   * @returns {Object|null} { rule, type, category, label, network }, or null for links
+   *   that are not tracked. label and network are null when the rule sets none.
+   */
+  function classify(link) {
+    if (!link || typeof link.getAttribute !== 'function' || !link.getAttribute('href')) {
+      return null;
+    }
+
+    let url;
+    try {
+      url = new URL(link.href, window.location.href);
+    } catch (error) {
+      return null;
+    }
+
+    const rule = findRule(link, url);
+    if (!rule || rule.type === TYPES.NONE) {
+      return null;
+    }
+
+    return Object.freeze({
+      rule: rule.id,
+      type: rule.type,
+      category: link.getAttribute(DATA_ATTRIBUTES.CATEGORY) || rule.category,
+      label: link.getAttribute(DATA_ATTRIBUTES.LABEL) || rule.label,
+      network: link.getAttribute(DATA_ATTRIBUTES.NETWORK) || rule.network,
+    });
+  }
+
+  /**
+   * Lists the rule ids in matching order
+   * @returns {string[]} Rule ids
+   */
+  function getRules() {
+    return state.rules.map((rule) => rule.id);
+  }
+
+  // ============================================
+  // CONFIG LOADING
+  // ============================================
+
+  /**
+   * Fetches config/link-rules.json and applies it
+   * @returns {Promise<void>} Resolves once the config is applied or the fetch failed
+   */
+  function loadConfig() {
+    if (typeof window.fetch !== 'function') {
+      return Promise.resolve();
+    }
+
+    return window.fetch(CONFIG.configUrl, { cache: 'no-cache', credentials: 'same-origin' })
+      .then((response) => {
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}`);
+        }
+        return response.json();
+      })
+      .then(setConfig)
+      .catch((error) => {
+        log('warn', 'Link rules config unavailable, using built-in rules', { error: error.message });
+      });
+  }
+
+  // ============================================
+  // INITIALIZATION
+  // ============================================
+
+  setConfig(DEFAULT_CONFIG);
+
+  // A slow config request never holds up tracking
+  const ready = Promise.race([
+    loadConfig(),
+    new Promise((resolve) => window.setTimeout(resolve, CONFIG.fetchTimeout)),
+  ]);
+
+  // ============================================
+  // PUBLIC API
+  // ============================================
+
+  window.FitTrackLinkRules = Object.freeze({
+    ready,
+    TYPES,
+    classify,
+    setConfig,
+    getRules,
+  });
+
+})();
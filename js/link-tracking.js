@@ -2,11 +2,22 @@
  * Link Tracking Module
  * Production-ready link tracking for app store badges and social media links
  * Implements comprehensive event tracking, error handling, and performance optimization
+ * Also reports frustration signals: rage clicks and dead clicks on elements that
+ * look interactive but do nothing
+ * Detects the visitor's platform before any click to promote the matching store
+ * badge, and offers desktop visitors a "send to my phone" handoff
+ * Records how app deep-link attempts by js/deep-link.js ended
+ * Outbound clicks are sent with sendBeacon as the link is followed; when delivery
+ * is still unconfirmed, same-tab navigation is held briefly (at most 300 ms).
+ * Events that could not be delivered are counted and reported on the next page view.
+ * Which links count as store, social, contact or external links, and the category,
+ * label and network they are reported with, comes from the rules in js/link-rules.js.
  * 
  * @module link-tracking
  * @generated-from: task-id:TASK-008 feature:footer_cta_section
  * @modifies: DOM event listeners
- * @dependencies: []
+ * @dependencies: ["js/tracking-bus.js", "js/link-rules.js", "css/components/download.css",
+ *   "js/feature-flags.js" (optional, link_tracking and platform_routing flags)]
  */
 
 (function () {
@@ -18,29 +29,72 @@
 
   const CONFIG = Object.freeze({
     SELECTORS: {
-      APP_BADGE: '.app-badge, .footer__app-badge',
-      SOCIAL_LINK: '.footer__social-link',
+      APP_BADGE: '.app-badge, .footer__app-badge, [data-track-app-store]',
       EXTERNAL_LINK: 'a[href^="http"]',
       FINAL_CTA_BADGES: '.final-cta__badges .app-badge',
       FOOTER_APP_BADGES: '.footer__app-badges .footer__app-badge',
+      // Styled like controls but not interactive; clicks on them are dead-click candidates
+      LOOKS_INTERACTIVE: '.plan-card, .feature-card, .testimonial-card__author, .testimonial-card__avatar, [data-track-dead-click]',
+      INTERACTIVE: 'a[href], button, input, select, textarea, label, summary, [role="button"], [role="link"], [tabindex]:not([tabindex="-1"])',
+      BADGE_GROUP: '.download__buttons, .final-cta__badges, .footer__app-badges',
+      SEND_TO_PHONE: '[data-send-to-phone]',
+      SEND_TO_PHONE_ACTION: '[data-send-to-phone-method]',
+      SEND_TO_PHONE_STATUS: '[data-send-to-phone-status]',
     },
     TRACKING_EVENTS: {
-      APP_STORE_CLICK: 'app_store_badge_click',
+      APP_STORE_CLICK: 'app_store_click',
       SOCIAL_MEDIA_CLICK: 'social_media_click',
+      CONTACT_LINK_CLICK: 'contact_link_click',
       EXTERNAL_LINK_CLICK: 'external_link_click',
+      RAGE_CLICK: 'rage_click',
+      DEAD_CLICK: 'dead_click',
+      SEND_TO_PHONE: 'send_to_phone',
+      DEEP_LINK_RESULT: 'deep_link_result',
+      OUTBOUND_EVENTS_DROPPED: 'outbound_events_dropped',
     },
+    // Badges are ios or android; visitors can also be desktop or other (mobile OS without a store)
     PLATFORMS: {
       IOS: 'ios',
       ANDROID: 'android',
+      DESKTOP: 'desktop',
+      OTHER: 'other',
     },
-    SOCIAL_NETWORKS: {
-      FACEBOOK: 'facebook',
-      INSTAGRAM: 'instagram',
-      TWITTER: 'twitter',
+    // Contact link method by URL scheme; the address itself is never sent
+    CONTACT_METHODS: {
+      'mailto:': 'email',
+      'tel:': 'phone',
     },
+    FRUSTRATION: {
+      RAGE_CLICK_COUNT: 3, // Clicks needed to count as a rage click
+      RAGE_CLICK_WINDOW: 1000, // Max time between clicks of one burst (ms)
+      RAGE_CLICK_RADIUS: 30, // Max distance from the first click of the burst (px)
+      DEAD_CLICK_TIMEOUT: 1000, // Time allowed for navigation or a DOM change (ms)
+      MAX_SELECTOR_DEPTH: 5,
+      MAX_SELECTOR_LENGTH: 200,
+    },
+    ROUTING: {
+      FEATURE_FLAG: 'platform_routing',
+      HANDOFF_HASH: '#download',
+      SHARE_TEXT: 'Install FitTrack on your phone',
+      EMAIL_SUBJECT: 'Get the FitTrack app',
+      STATUS_COPIED: 'Link copied. Open it on your phone to install FitTrack.',
+      STATUS_FAILED: 'Could not copy the link. Use the email option instead.',
+    },
+    OUTBOUND: {
+      MAX_HOLD: 300, // Longest a same-tab navigation waits for delivery, in ms
+      DROPPED_STORAGE_KEY: 'fittrack_outbound_dropped',
+    },
+    // Delivery outcomes of outbound click events
+    DELIVERY_OUTCOMES: {
+      DELIVERED: 'delivered', // Handed to the browser (beacon, gtag.js) or the collector accepted it
+      QUEUED: 'queued', // Held by analytics.js until consent or a transport is available
+      PENDING: 'pending', // Request in flight
+      DROPPED: 'dropped', // Failed, rejected, or still unconfirmed when the page moved on
+    },
+    FEATURE_FLAG: 'link_tracking',
+    DEEP_LINK_RESULT_EVENT: 'fittrack:deeplink:result', // Dispatched by js/deep-link.js
+    DEEP_LINK_STORE_FALLBACK: 'store_fallback', // Deep-link outcome that leaves the page for the store
     DEBOUNCE_DELAY: 300,
-    MAX_RETRIES: 3,
-    RETRY_DELAY: 1000,
   });
 
   // ============================================
@@ -49,34 +103,19 @@
 
   const state = {
     initialized: false,
-    listeners: new WeakMap(),
+    clickHandler: null, // Delegated document click listener
     clickCounts: new Map(),
     lastClickTime: new Map(),
+    rageBurst: null, // { x, y, count, lastTime, element, timer }
+    deadClickChecks: new Map(), // element -> { observer, timer }
+    visitorPlatform: null, // Detected on init, before any click
+    outbound: { delivered: 0, queued: 0, dropped: 0 }, // Outbound click events by delivery outcome
   };
 
   // ============================================
   // UTILITY FUNCTIONS
   // ============================================
 
-  /**
-   * Debounce function to limit event firing rate
-   * @param {Function} func - Function to debounce
-   * @param {number} delay - Delay in milliseconds
-   * @returns {Function} Debounced function
-   */
-  function debounce(func, delay) {
-    let timeoutId = null;
-    return function debounced(...args) {
-      if (timeoutId) {
-        clearTimeout(timeoutId);
-      }
-      timeoutId = setTimeout(() => {
-        func.apply(this, args);
-        timeoutId = null;
-      }, delay);
-    };
-  }
-
   /**
    * Extract platform from app store badge URL or class
    * @param {HTMLElement} element - Badge element
@@ -110,31 +149,6 @@
     return null;
   }
 
-  /**
-   * Extract social network from link URL or class
-   * @param {HTMLElement} element - Social link element
-   * @returns {string|null} Social network identifier
-   */
-  function extractSocialNetwork(element) {
-    const href = element.getAttribute('href') || '';
-    const classes = element.className || '';
-    const ariaLabel = element.getAttribute('aria-label') || '';
-
-    const combined = `${href} ${classes} ${ariaLabel}`.toLowerCase();
-
-    if (combined.includes('facebook')) {
-      return CONFIG.SOCIAL_NETWORKS.FACEBOOK;
-    }
-    if (combined.includes('instagram')) {
-      return CONFIG.SOCIAL_NETWORKS.INSTAGRAM;
-    }
-    if (combined.includes('twitter') || combined.includes('x.com')) {
-      return CONFIG.SOCIAL_NETWORKS.TWITTER;
-    }
-
-    return null;
-  }
-
   /**
    * Extract location context from element
    * @param {HTMLElement} element - Link element
@@ -147,6 +161,10 @@
     if (element.closest('.footer')) {
       return 'footer';
     }
+    const section = element.closest('section[id]');
+    if (section) {
+      return section.id;
+    }
     return 'unknown';
   }
 
@@ -168,6 +186,29 @@
     return true;
   }
 
+  /**
+   * Read the link_tracking feature flag
+   * @returns {{enabled: boolean, frustrationSignals: boolean}} Flag state
+   */
+  function getFlagSettings() {
+    const flags = window.FitTrackFlags;
+    if (!flags) {
+      return { enabled: true, frustrationSignals: true };
+    }
+    return {
+      enabled: flags.isEnabled(CONFIG.FEATURE_FLAG),
+      frustrationSignals: flags.getParam(CONFIG.FEATURE_FLAG, 'frustrationSignals', true) !== false,
+    };
+  }
+
+  /**
+   * Check whether debug logging is on (?fittrack_debug=1, see js/debug-overlay.js)
+   * @returns {boolean} True in debug mode
+   */
+  function isDebugMode() {
+    return Boolean(window.FitTrackBus && window.FitTrackBus.isDebug && window.FitTrackBus.isDebug());
+  }
+
   /**
    * Check if click is duplicate (within debounce window)
    * @param {string} key - Unique identifier for the link
@@ -185,45 +226,77 @@
     return false;
   }
 
+  /**
+   * Build a short CSS selector path identifying an element
+   * Stops at the nearest ancestor with an id; at most MAX_SELECTOR_DEPTH levels
+   * @param {HTMLElement} element - Element to describe
+   * @returns {string} Selector path, e.g. "#workout-plans > div.container > div.plans__grid > article.plan-card:nth-of-type(2)"
+   */
+  function getSelectorPath(element) {
+    const parts = [];
+    let current = element;
+
+    while (current && current.nodeType === Node.ELEMENT_NODE && parts.length < CONFIG.FRUSTRATION.MAX_SELECTOR_DEPTH) {
+      if (current.id) {
+        parts.unshift(`#${current.id}`);
+        break;
+      }
+
+      let part = current.tagName.toLowerCase();
+      const classes = Array.from(current.classList).slice(0, 2);
+      if (classes.length > 0) {
+        part += `.${classes.join('.')}`;
+      }
+
+      const parent = current.parentElement;
+      if (parent) {
+        const sameTag = Array.from(parent.children).filter((child) => child.tagName === current.tagName);
+        if (sameTag.length > 1) {
+          part += `:nth-of-type(${sameTag.indexOf(current) + 1})`;
+        }
+      }
+
+      parts.unshift(part);
+      if (current === document.body) {
+        break;
+      }
+      current = parent;
+    }
+
+    return parts.join(' > ').slice(0, CONFIG.FRUSTRATION.MAX_SELECTOR_LENGTH);
+  }
+
   // ============================================
   // ANALYTICS INTEGRATION
   // ============================================
 
   /**
-   * Send tracking event to analytics service
+   * Publish tracking event on the tracking bus and return the bus event
    * @param {Object} eventData - Event data to track
-   * @returns {Promise<void>}
+   * @param {Object} [options] - Extra publish options, e.g. { immediate: true } to beacon
+   * @returns {Object|null} Bus event, or null when it was not published
    */
-  async function sendTrackingEvent(eventData) {
+  function publishTrackingEvent(eventData, options = {}) {
     if (!validateTrackingData(eventData)) {
       console.error('[LinkTracking] Invalid tracking data:', eventData);
-      return;
+      return null;
     }
 
     try {
-      // Check for Google Analytics
-      if (typeof window.gtag === 'function') {
-        window.gtag('event', eventData.event, {
-          event_category: eventData.category,
-          event_label: eventData.label,
-          value: eventData.value,
-          ...eventData.metadata,
-        });
+      if (!window.FitTrackBus) {
+        console.warn('[LinkTracking] Tracking bus not available, event dropped:', eventData.event);
+        return null;
       }
 
-      // Check for Google Tag Manager
-      if (window.dataLayer && Array.isArray(window.dataLayer)) {
-        window.dataLayer.push({
-          event: eventData.event,
-          eventCategory: eventData.category,
-          eventLabel: eventData.label,
-          eventValue: eventData.value,
-          ...eventData.metadata,
-        });
-      }
+      const busEvent = window.FitTrackBus.publish(eventData.event, {
+        event_category: eventData.category,
+        event_label: eventData.label,
+        value: eventData.value,
+        ...eventData.metadata,
+      }, { ...options, source: 'link-tracking' });
 
-      // Log to console in development
-      if (process.env.NODE_ENV !== 'production') {
+      // Log to console in debug mode
+      if (isDebugMode()) {
         console.log('[LinkTracking] Event tracked:', eventData);
       }
 
@@ -232,28 +305,11 @@
       const count = (state.clickCounts.get(key) || 0) + 1;
       state.clickCounts.set(key, count);
 
+      return busEvent || null;
     } catch (error) {
       console.error('[LinkTracking] Failed to send tracking event:', error);
       // Don't throw - tracking failures shouldn't break user experience
-    }
-  }
-
-  /**
-   * Send tracking event with retry logic
-   * @param {Object} eventData - Event data to track
-   * @param {number} retryCount - Current retry attempt
-   * @returns {Promise<void>}
-   */
-  async function sendTrackingEventWithRetry(eventData, retryCount = 0) {
-    try {
-      await sendTrackingEvent(eventData);
-    } catch (error) {
-      if (retryCount < CONFIG.MAX_RETRIES) {
-        const delay = CONFIG.RETRY_DELAY * Math.pow(2, retryCount);
-        await new Promise(resolve => setTimeout(resolve, delay));
-        return sendTrackingEventWithRetry(eventData, retryCount + 1);
-      }
-      console.error('[LinkTracking] Max retries reached for event:', eventData.event);
+      return null;
     }
   }
 
@@ -264,9 +320,10 @@
   /**
    * Handle app store badge click
    * @param {Event} event - Click event
+   * @param {HTMLElement} target - Clicked link
+   * @param {Object} match - Classification from FitTrackLinkRules.classify()
    */
-  function handleAppBadgeClick(event) {
-    const target = event.currentTarget;
+  function handleAppBadgeClick(event, target, match) {
     const href = target.getAttribute('href');
     
     if (!href) {
@@ -275,6 +332,7 @@
 
     const platform = extractPlatform(target);
     const location = extractLocation(target);
+    const storeName = target.getAttribute('data-track-app-store') || platform || 'unknown';
     const key = `app_badge_${platform}_${location}`;
 
     // Prevent duplicate tracking
@@ -284,36 +342,69 @@
 
     const eventData = {
       event: CONFIG.TRACKING_EVENTS.APP_STORE_CLICK,
-      category: 'app_download',
-      label: platform || 'unknown',
+      category: match.category,
+      label: match.label || platform || 'unknown',
       value: 1,
       timestamp: Date.now(),
       metadata: {
         location,
-        url: href,
+        link_url: target.href,
         platform,
+        store_name: storeName,
+        visitor_platform: state.visitorPlatform,
+        // Only set on badges reordered by platform routing
+        ...(target.hasAttribute('data-promoted') ? { badge_promoted: target.getAttribute('data-promoted') === 'true' } : {}),
       },
     };
 
-    // Send tracking asynchronously (non-blocking)
-    sendTrackingEventWithRetry(eventData).catch(error => {
-      console.error('[LinkTracking] App badge tracking failed:', error);
-    });
+    trackOutboundClick(event, target, eventData);
   }
 
   /**
-   * Handle social media link click
-   * @param {Event} event - Click event
+   * Record how a deep-link attempt ended: the app opened, the visitor went on
+   * to the store, or the visitor dismissed the open-in-app prompt
+   * A store fallback leaves the page, so it is delivered like an outbound click;
+   * cancelling the result event tells js/deep-link.js that the store is opened here.
+   * @param {CustomEvent} event - fittrack:deeplink:result event from js/deep-link.js
    */
-  function handleSocialLinkClick(event) {
-    const target = event.currentTarget;
-    const href = target.getAttribute('href');
-    
-    if (!href) {
+  function handleDeepLinkResult(event) {
+    const { outcome, method, element, waitMs, storeUrl } = event.detail;
+
+    const eventData = {
+      event: CONFIG.TRACKING_EVENTS.DEEP_LINK_RESULT,
+      category: 'app_download',
+      label: outcome,
+      value: 1,
+      timestamp: Date.now(),
+      metadata: {
+        location: extractLocation(element),
+        outcome,
+        method,
+        platform: extractPlatform(element),
+        store_name: element.getAttribute('data-track-app-store') || extractPlatform(element) || 'unknown',
+        wait_msec: Math.round(waitMs),
+      },
+    };
+
+    if (outcome !== CONFIG.DEEP_LINK_STORE_FALLBACK) {
+      publishTrackingEvent(eventData);
       return;
     }
 
-    const network = extractSocialNetwork(target);
+    if (publishBeforeNavigation(eventData, () => { window.location.href = storeUrl; })) {
+      event.preventDefault();
+    }
+  }
+
+  /**
+   * Handle social media link click
+   * @param {Event} event - Click event
+   * @param {HTMLElement} target - Clicked link
+   * @param {Object} match - Classification from FitTrackLinkRules.classify()
+   */
+  function handleSocialLinkClick(event, target, match) {
+    const href = target.getAttribute('href');
+    const network = match.network;
     const location = extractLocation(target);
     const key = `social_${network}_${location}`;
 
@@ -324,8 +415,8 @@
 
     const eventData = {
       event: CONFIG.TRACKING_EVENTS.SOCIAL_MEDIA_CLICK,
-      category: 'social_engagement',
-      label: network || 'unknown',
+      category: match.category,
+      label: match.label || network || 'unknown',
       value: 1,
       timestamp: Date.now(),
       metadata: {
@@ -335,30 +426,48 @@
       },
     };
 
-    // Send tracking asynchronously (non-blocking)
-    sendTrackingEventWithRetry(eventData).catch(error => {
-      console.error('[LinkTracking] Social link tracking failed:', error);
-    });
+    trackOutboundClick(event, target, eventData);
   }
 
   /**
-   * Handle external link click
+   * Handle email and phone link click
+   * Only the method is reported, never the address or number.
    * @param {Event} event - Click event
+   * @param {HTMLElement} target - Clicked link
+   * @param {Object} match - Classification from FitTrackLinkRules.classify()
    */
-  function handleExternalLinkClick(event) {
-    const target = event.currentTarget;
-    const href = target.getAttribute('href');
-    
-    if (!href || !href.startsWith('http')) {
-      return;
-    }
+  function handleContactLinkClick(event, target, match) {
+    const method = CONFIG.CONTACT_METHODS[target.protocol] || null;
+    const location = extractLocation(target);
+    const key = `contact_${match.rule}_${location}`;
 
-    // Skip if already tracked as app badge or social link
-    if (target.matches(CONFIG.SELECTORS.APP_BADGE) || 
-        target.matches(CONFIG.SELECTORS.SOCIAL_LINK)) {
+    // Prevent duplicate tracking
+    if (isDuplicateClick(key)) {
       return;
     }
 
+    // The mail or phone app opens on top of the page, which stays loaded
+    publishTrackingEvent({
+      event: CONFIG.TRACKING_EVENTS.CONTACT_LINK_CLICK,
+      category: match.category,
+      label: match.label || method || 'unknown',
+      value: 1,
+      timestamp: Date.now(),
+      metadata: {
+        location,
+        method,
+      },
+    });
+  }
+
+  /**
+   * Handle external link click
+   * @param {Event} event - Click event
+   * @param {HTMLElement} target - Clicked link
+   * @param {Object} match - Classification from FitTrackLinkRules.classify()
+   */
+  function handleExternalLinkClick(event, target, match) {
+    const href = target.getAttribute('href');
     const location = extractLocation(target);
     const key = `external_${href}_${location}`;
 
@@ -369,8 +478,8 @@
 
     const eventData = {
       event: CONFIG.TRACKING_EVENTS.EXTERNAL_LINK_CLICK,
-      category: 'external_navigation',
-      label: href,
+      category: match.category,
+      label: match.label || href,
       value: 1,
       timestamp: Date.now(),
       metadata: {
@@ -379,12 +488,501 @@
       },
     };
 
-    // Send tracking asynchronously (non-blocking)
-    sendTrackingEventWithRetry(eventData).catch(error => {
-      console.error('[LinkTracking] External link tracking failed:', error);
+    trackOutboundClick(event, target, eventData);
+  }
+
+  // Handler per link type of js/link-rules.js
+  const LINK_HANDLERS = Object.freeze({
+    app_store: handleAppBadgeClick,
+    social: handleSocialLinkClick,
+    contact: handleContactLinkClick,
+    external: handleExternalLinkClick,
+  });
+
+  /**
+   * Classify a link with the rules of js/link-rules.js
+   * @param {HTMLAnchorElement} link - Clicked link
+   * @returns {Object|null} Classification, or null when the link is not tracked
+   */
+  function classifyLink(link) {
+    if (!window.FitTrackLinkRules) {
+      console.warn('[LinkTracking] Link rules not available, click not tracked');
+      return null;
+    }
+    return window.FitTrackLinkRules.classify(link);
+  }
+
+  // ============================================
+  // OUTBOUND DELIVERY
+  // ============================================
+
+  /**
+   * Work out the delivery outcome of a published event from its tracking bus status
+   * Only the analytics destinations count; dataLayer and console never leave the page
+   * @param {Object|null} busEvent - Bus event from publishTrackingEvent()
+   * @returns {string} One of CONFIG.DELIVERY_OUTCOMES
+   */
+  function getDeliveryOutcome(busEvent) {
+    const bus = window.FitTrackBus;
+    const deliveries = busEvent && bus && typeof bus.getDeliveries === 'function'
+      ? bus.getDeliveries(busEvent.id)
+      : null;
+
+    if (!deliveries) {
+      return CONFIG.DELIVERY_OUTCOMES.DROPPED;
+    }
+
+    const statuses = [bus.DESTINATIONS.GA4, bus.DESTINATIONS.FIRST_PARTY].map((name) => deliveries[name]);
+    if (statuses.includes(bus.DELIVERY.SENT)) {
+      return CONFIG.DELIVERY_OUTCOMES.DELIVERED;
+    }
+    if (statuses.includes(bus.DELIVERY.SENDING)) {
+      return CONFIG.DELIVERY_OUTCOMES.PENDING;
+    }
+    if (statuses.includes(bus.DELIVERY.QUEUED)) {
+      return CONFIG.DELIVERY_OUTCOMES.QUEUED;
+    }
+    return CONFIG.DELIVERY_OUTCOMES.DROPPED;
+  }
+
+  /**
+   * Check whether following a link replaces this page
+   * New tabs, modifier-key clicks and downloads leave the page running.
+   * @param {MouseEvent} event - Click event
+   * @param {HTMLAnchorElement} link - Clicked link
+   * @returns {boolean} True for a same-tab navigation
+   */
+  function isSameTabNavigation(event, link) {
+    const target = (link.getAttribute('target') || '_self').toLowerCase();
+
+    return target === '_self' && !link.hasAttribute('download') && !event.defaultPrevented
+      && event.button === 0 && !event.metaKey && !event.ctrlKey && !event.shiftKey && !event.altKey;
+  }
+
+  /**
+   * Count the delivery outcome of an outbound click event
+   * Dropped events are also counted in localStorage (a bare number, no identifiers)
+   * so the next page view can report them.
+   * @param {string} outcome - delivered, queued or dropped
+   * @param {string} eventName - Event name, for debug logging
+   */
+  function recordDeliveryOutcome(outcome, eventName) {
+    state.outbound[outcome] += 1;
+
+    if (outcome !== CONFIG.DELIVERY_OUTCOMES.DROPPED) {
+      return;
+    }
+
+    try {
+      const stored = parseInt(window.localStorage.getItem(CONFIG.OUTBOUND.DROPPED_STORAGE_KEY), 10) || 0;
+      window.localStorage.setItem(CONFIG.OUTBOUND.DROPPED_STORAGE_KEY, String(stored + 1));
+    } catch (error) {
+      // Storage unavailable; the count is still in getStats()
+    }
+
+    if (isDebugMode()) {
+      console.warn('[LinkTracking] Outbound event dropped:', eventName);
+    }
+  }
+
+  /**
+   * Publish an outbound click event so that it survives the navigation
+   * The event is published with immediate delivery, which analytics.js sends with
+   * sendBeacon, so the link is normally followed untouched. While delivery is still
+   * in flight, a same-tab navigation is held until it is confirmed.
+   * External links only navigate in the same tab with an explicit target="_self".
+   * @param {MouseEvent} event - Click event
+   * @param {HTMLAnchorElement} link - Clicked link
+   * @param {Object} eventData - Event data to track
+   */
+  function trackOutboundClick(event, link, eventData) {
+    const href = link.href;
+    const navigate = isSameTabNavigation(event, link) ? () => { window.location.href = href; } : null;
+
+    if (publishBeforeNavigation(eventData, navigate)) {
+      event.preventDefault();
+    }
+  }
+
+  /**
+   * Publish an event with immediate delivery ahead of a navigation and count its outcome
+   * While delivery is in flight, the outcome (and a same-tab navigation) waits until it
+   * is confirmed, for at most CONFIG.OUTBOUND.MAX_HOLD ms; still unconfirmed then counts
+   * as dropped.
+   * @param {Object} eventData - Event data to track
+   * @param {Function|null} navigate - Performs the navigation; null when the page stays open
+   * @returns {boolean} True when the navigation is held; the caller must cancel its own
+   *   navigation, navigate() runs once delivery settles
+   */
+  function publishBeforeNavigation(eventData, navigate) {
+    const busEvent = publishTrackingEvent(eventData, { immediate: true });
+    const outcome = getDeliveryOutcome(busEvent);
+
+    if (outcome !== CONFIG.DELIVERY_OUTCOMES.PENDING) {
+      recordDeliveryOutcome(outcome, eventData.event);
+      return false;
+    }
+
+    let settled = false;
+    let timer = null;
+    let unsubscribe = null;
+
+    const settle = (result) => {
+      if (settled) {
+        return;
+      }
+      settled = true;
+      unsubscribe();
+      clearTimeout(timer);
+      recordDeliveryOutcome(result, eventData.event);
+      if (navigate) {
+        navigate();
+      }
+    };
+
+    unsubscribe = window.FitTrackBus.subscribeDeliveries((eventId) => {
+      const current = eventId === busEvent.id ? getDeliveryOutcome(busEvent) : CONFIG.DELIVERY_OUTCOMES.PENDING;
+      if (current !== CONFIG.DELIVERY_OUTCOMES.PENDING) {
+        settle(current);
+      }
+    });
+
+    // Armed for new tabs too, so the delivery listener never outlives the deadline
+    timer = setTimeout(() => settle(CONFIG.DELIVERY_OUTCOMES.DROPPED), CONFIG.OUTBOUND.MAX_HOLD);
+    return navigate !== null;
+  }
+
+  /**
+   * Report outbound events dropped on earlier page views, then reset the count
+   */
+  function reportDroppedEvents() {
+    let dropped = 0;
+
+    try {
+      dropped = parseInt(window.localStorage.getItem(CONFIG.OUTBOUND.DROPPED_STORAGE_KEY), 10) || 0;
+      window.localStorage.removeItem(CONFIG.OUTBOUND.DROPPED_STORAGE_KEY);
+    } catch (error) {
+      return;
+    }
+
+    if (dropped === 0) {
+      return;
+    }
+
+    publishTrackingEvent({
+      event: CONFIG.TRACKING_EVENTS.OUTBOUND_EVENTS_DROPPED,
+      category: 'tracking_health',
+      label: 'outbound_click',
+      value: dropped,
+      timestamp: Date.now(),
+      metadata: {
+        dropped_count: dropped,
+      },
     });
   }
 
+  // ============================================
+  // FRUSTRATION SIGNALS
+  // ============================================
+
+  /**
+   * Send a rage click once its burst of clicks has ended
+   * @param {Object} burst - Click burst ({ count, element })
+   */
+  function reportRageClick(burst) {
+    const selector = getSelectorPath(burst.element);
+
+    publishTrackingEvent({
+      event: CONFIG.TRACKING_EVENTS.RAGE_CLICK,
+      category: 'frustration',
+      label: selector,
+      value: burst.count,
+      timestamp: Date.now(),
+      metadata: {
+        location: extractLocation(burst.element),
+        selector,
+        click_count: burst.count,
+      },
+    });
+  }
+
+  /**
+   * Detect rage clicks: RAGE_CLICK_COUNT or more clicks close together in space and time
+   * A burst is reported once, with its total click count, after it ends
+   * @param {MouseEvent} event - Click event
+   */
+  function detectRageClick(event) {
+    // Keyboard activation has no pointer position
+    if (event.detail === 0) {
+      return;
+    }
+
+    const { RAGE_CLICK_COUNT, RAGE_CLICK_WINDOW, RAGE_CLICK_RADIUS } = CONFIG.FRUSTRATION;
+    const now = Date.now();
+    const burst = state.rageBurst;
+    const continuesBurst = burst &&
+      now - burst.lastTime <= RAGE_CLICK_WINDOW &&
+      Math.hypot(event.clientX - burst.x, event.clientY - burst.y) <= RAGE_CLICK_RADIUS;
+
+    if (!continuesBurst) {
+      if (burst) {
+        clearTimeout(burst.timer);
+      }
+      state.rageBurst = { x: event.clientX, y: event.clientY, count: 0, lastTime: now, element: event.target, timer: null };
+    }
+
+    const current = state.rageBurst;
+    current.count += 1;
+    current.lastTime = now;
+    clearTimeout(current.timer);
+    current.timer = setTimeout(() => {
+      state.rageBurst = null;
+      if (current.count >= RAGE_CLICK_COUNT) {
+        reportRageClick(current);
+      }
+    }, RAGE_CLICK_WINDOW);
+  }
+
+  /**
+   * Stop watching an element for a dead click
+   * @param {HTMLElement} element - Watched element
+   */
+  function stopDeadClickCheck(element) {
+    const check = state.deadClickChecks.get(element);
+    if (check) {
+      check.observer.disconnect();
+      clearTimeout(check.timer);
+      state.deadClickChecks.delete(element);
+    }
+  }
+
+  /**
+   * Detect dead clicks on elements that look interactive but are not
+   * The click counts as dead when, within DEAD_CLICK_TIMEOUT, the URL does not change,
+   * the page is not hidden, nothing changes inside the element and nothing (such as a
+   * dialog) is added to the body. Changes elsewhere on the page are ignored so that
+   * autoplaying content such as the testimonials carousel does not mask dead clicks.
+   * @param {MouseEvent} event - Click event
+   */
+  function detectDeadClick(event) {
+    const element = event.target.closest(CONFIG.SELECTORS.LOOKS_INTERACTIVE);
+
+    if (!element || event.target.closest(CONFIG.SELECTORS.INTERACTIVE) || state.deadClickChecks.has(element)) {
+      return;
+    }
+
+    if (typeof MutationObserver === 'undefined') {
+      return;
+    }
+
+    const startUrl = window.location.href;
+    const observer = new MutationObserver(() => stopDeadClickCheck(element));
+    observer.observe(element, { subtree: true, childList: true, attributes: true, characterData: true });
+    observer.observe(document.body, { childList: true });
+
+    const timer = setTimeout(() => {
+      stopDeadClickCheck(element);
+
+      if (document.hidden || window.location.href !== startUrl) {
+        return;
+      }
+
+      const selector = getSelectorPath(element);
+      publishTrackingEvent({
+        event: CONFIG.TRACKING_EVENTS.DEAD_CLICK,
+        category: 'frustration',
+        label: selector,
+        value: 1,
+        timestamp: Date.now(),
+        metadata: {
+          location: extractLocation(element),
+          selector,
+        },
+      });
+    }, CONFIG.FRUSTRATION.DEAD_CLICK_TIMEOUT);
+
+    state.deadClickChecks.set(element, { observer, timer });
+  }
+
+  // ============================================
+  // PLATFORM ROUTING
+  // ============================================
+
+  /**
+   * Detect the visitor's platform from user-agent client hints, falling back to the user agent
+   * iPadOS reports a Mac user agent, so a Mac with a touch screen counts as iOS
+   * @returns {string} One of CONFIG.PLATFORMS
+   */
+  function detectVisitorPlatform() {
+    const { userAgentData } = navigator;
+    const hintedPlatform = userAgentData && userAgentData.platform ? userAgentData.platform.toLowerCase() : '';
+
+    if (hintedPlatform === 'android') {
+      return CONFIG.PLATFORMS.ANDROID;
+    }
+    if (hintedPlatform === 'ios') {
+      return CONFIG.PLATFORMS.IOS;
+    }
+    if (hintedPlatform && !userAgentData.mobile) {
+      return CONFIG.PLATFORMS.DESKTOP;
+    }
+
+    const userAgent = navigator.userAgent || '';
+
+    if (/android/i.test(userAgent)) {
+      return CONFIG.PLATFORMS.ANDROID;
+    }
+    if (/iphone|ipad|ipod/i.test(userAgent) || (/macintosh/i.test(userAgent) && navigator.maxTouchPoints > 1)) {
+      return CONFIG.PLATFORMS.IOS;
+    }
+    if (/mobi|tablet/i.test(userAgent) || (userAgentData && userAgentData.mobile)) {
+      return CONFIG.PLATFORMS.OTHER;
+    }
+
+    return CONFIG.PLATFORMS.DESKTOP;
+  }
+
+  /**
+   * Move the badge for the visitor's store to the front of its group and mark it promoted
+   * Moving it in the DOM keeps the focus order in line with the visual order
+   * @param {HTMLElement} group - Badge group
+   * @param {string} platform - Visitor platform (ios or android)
+   */
+  function promoteBadge(group, platform) {
+    const badges = Array.from(group.querySelectorAll(CONFIG.SELECTORS.APP_BADGE));
+    const promoted = badges.find((badge) => extractPlatform(badge) === platform);
+
+    if (!promoted) {
+      return;
+    }
+
+    badges.forEach((badge) => {
+      badge.setAttribute('data-promoted', String(badge === promoted));
+    });
+    group.prepend(promoted);
+  }
+
+  /**
+   * Get the URL handed off to the visitor's phone: this page at the download section
+   * The query string is kept so campaign attribution survives the handoff
+   * @returns {string} Handoff URL
+   */
+  function getHandoffUrl() {
+    const { origin, pathname, search } = window.location;
+    return `${origin}${pathname}${search}${CONFIG.ROUTING.HANDOFF_HASH}`;
+  }
+
+  /**
+   * Show a send-to-phone panel and point its email option at the handoff URL
+   * @param {HTMLElement} panel - Element marked with data-send-to-phone
+   */
+  function setupSendToPhone(panel) {
+    const url = getHandoffUrl();
+    const email = panel.querySelector('[data-send-to-phone-method="email"]');
+
+    if (email) {
+      const body = `${CONFIG.ROUTING.SHARE_TEXT}: ${url}`;
+      email.setAttribute('href', `mailto:?subject=${encodeURIComponent(CONFIG.ROUTING.EMAIL_SUBJECT)}&body=${encodeURIComponent(body)}`);
+    }
+
+    panel.querySelectorAll(CONFIG.SELECTORS.SEND_TO_PHONE_ACTION).forEach((action) => {
+      action.addEventListener('click', handleSendToPhone);
+    });
+    panel.hidden = false;
+  }
+
+  /**
+   * Send the handoff URL with the share sheet, the clipboard or email
+   * @param {MouseEvent} event - Click on a send-to-phone action
+   * @returns {Promise<void>}
+   */
+  async function handleSendToPhone(event) {
+    const action = event.currentTarget;
+    const panel = action.closest(CONFIG.SELECTORS.SEND_TO_PHONE);
+    const status = panel && panel.querySelector(CONFIG.SELECTORS.SEND_TO_PHONE_STATUS);
+    const method = action.getAttribute('data-send-to-phone-method');
+
+    // Email opens the mail client through the mailto: link itself
+    if (method === 'email') {
+      trackSendToPhone('email', action);
+      return;
+    }
+
+    event.preventDefault();
+    const url = getHandoffUrl();
+
+    if (typeof navigator.share === 'function') {
+      try {
+        await navigator.share({ title: document.title, text: CONFIG.ROUTING.SHARE_TEXT, url });
+        trackSendToPhone('share', action);
+        return;
+      } catch (error) {
+        if (error && error.name === 'AbortError') {
+          return; // Visitor closed the share sheet
+        }
+      }
+    }
+
+    try {
+      await navigator.clipboard.writeText(url);
+      if (status) {
+        status.textContent = CONFIG.ROUTING.STATUS_COPIED;
+      }
+      trackSendToPhone('copy', action);
+    } catch (error) {
+      if (status) {
+        status.textContent = CONFIG.ROUTING.STATUS_FAILED;
+      }
+    }
+  }
+
+  /**
+   * Publish a send_to_phone event
+   * @param {string} method - share, copy or email
+   * @param {HTMLElement} element - Clicked action
+   */
+  function trackSendToPhone(method, element) {
+    if (!state.initialized) {
+      return; // Tracking is switched off by the link_tracking flag
+    }
+
+    publishTrackingEvent({
+      event: CONFIG.TRACKING_EVENTS.SEND_TO_PHONE,
+      category: 'app_download',
+      label: method,
+      value: 1,
+      timestamp: Date.now(),
+      metadata: {
+        location: extractLocation(element),
+        method,
+        visitor_platform: state.visitorPlatform,
+      },
+    });
+  }
+
+  /**
+   * Detect the visitor's platform and adapt the download options to it
+   * iOS and Android visitors get their store badge first; desktop visitors get the
+   * send-to-phone panel. Can be switched off with the platform_routing flag.
+   */
+  function applyPlatformRouting() {
+    state.visitorPlatform = detectVisitorPlatform();
+    document.documentElement.setAttribute('data-visitor-platform', state.visitorPlatform);
+
+    const flags = window.FitTrackFlags;
+    if (flags && !flags.isEnabled(CONFIG.ROUTING.FEATURE_FLAG)) {
+      return;
+    }
+
+    if (state.visitorPlatform === CONFIG.PLATFORMS.IOS || state.visitorPlatform === CONFIG.PLATFORMS.ANDROID) {
+      document.querySelectorAll(CONFIG.SELECTORS.BADGE_GROUP).forEach((group) => {
+        promoteBadge(group, state.visitorPlatform);
+      });
+    } else if (state.visitorPlatform === CONFIG.PLATFORMS.DESKTOP) {
+      document.querySelectorAll(CONFIG.SELECTORS.SEND_TO_PHONE).forEach(setupSendToPhone);
+    }
+  }
+
   // ============================================
   // SECURITY ENHANCEMENTS
   // ============================================
@@ -439,35 +1037,37 @@
    * Set up event delegation for link tracking
    */
   function setupEventDelegation() {
-    // Use event delegation on document for better performance
-    const debouncedAppBadgeHandler = debounce(handleAppBadgeClick, 100);
-    const debouncedSocialHandler = debounce(handleSocialLinkClick, 100);
-    const debouncedExternalHandler = debounce(handleExternalLinkClick, 100);
+    const { frustrationSignals } = getFlagSettings();
+
+    // Use event delegation on document for better performance. Outbound clicks are
+    // tracked right away: the page may be gone before any delayed handler runs.
+    state.clickHandler = (event) => {
+      if (frustrationSignals && event.target instanceof Element) {
+        detectRageClick(event);
+        detectDeadClick(event);
+      }
 
-    document.addEventListener('click', (event) => {
-      const target = event.target.closest('a');
+      const target = event.target.closest('a[href]');
       
       if (!target) {
         return;
       }
 
-      // Check if it's an app badge
-      if (target.matches(CONFIG.SELECTORS.APP_BADGE)) {
-        debouncedAppBadgeHandler.call(target, event);
+      // Tracked as send_to_phone by their own handler
+      if (target.matches(CONFIG.SELECTORS.SEND_TO_PHONE_ACTION)) {
         return;
       }
 
-      // Check if it's a social link
-      if (target.matches(CONFIG.SELECTORS.SOCIAL_LINK)) {
-        debouncedSocialHandler.call(target, event);
-        return;
+      const match = classifyLink(target);
+      const handler = match && LINK_HANDLERS[match.type];
+      if (handler) {
+        handler(event, target, match);
       }
+    };
 
-      // Check if it's an external link
-      if (target.matches(CONFIG.SELECTORS.EXTERNAL_LINK)) {
-        debouncedExternalHandler.call(target, event);
-      }
-    }, { passive: true });
+    // Not passive: same-tab navigations may be held until tracking is delivered
+    document.addEventListener('click', state.clickHandler);
+    document.addEventListener(CONFIG.DEEP_LINK_RESULT_EVENT, handleDeepLinkResult);
   }
 
   // ============================================
@@ -487,17 +1087,27 @@
       // Apply security attributes to external links
       applySecurityAttributes();
 
+      // Adapt the download options to the visitor's platform before any click
+      applyPlatformRouting();
+
+      // Tracking can be switched off with the link_tracking flag; link security cannot
+      if (!getFlagSettings().enabled) {
+        console.info('[LinkTracking] Disabled by feature flag');
+        return;
+      }
+
       // Set up event delegation
       setupEventDelegation();
 
       state.initialized = true;
 
-      if (process.env.NODE_ENV !== 'production') {
+      reportDroppedEvents();
+
+      if (isDebugMode()) {
         console.log('[LinkTracking] Initialized successfully');
       }
     } catch (error) {
       console.error('[LinkTracking] Initialization failed:', error);
-      throw error;
     }
   }
 
@@ -510,13 +1120,20 @@
     }
 
     try {
-      // Clear state
-      state.listeners.clear();
+      // Remove the delegated listener and clear state
+      document.removeEventListener('click', state.clickHandler);
+      document.removeEventListener(CONFIG.DEEP_LINK_RESULT_EVENT, handleDeepLinkResult);
+      state.clickHandler = null;
       state.clickCounts.clear();
       state.lastClickTime.clear();
+      if (state.rageBurst) {
+        clearTimeout(state.rageBurst.timer);
+        state.rageBurst = null;
+      }
+      Array.from(state.deadClickChecks.keys()).forEach(stopDeadClickCheck);
       state.initialized = false;
 
-      if (process.env.NODE_ENV !== 'production') {
+      if (isDebugMode()) {
         console.log('[LinkTracking] Destroyed successfully');
       }
     } catch (error) {
@@ -533,6 +1150,7 @@
       initialized: state.initialized,
       totalClicks: Array.from(state.clickCounts.values()).reduce((sum, count) => sum + count, 0),
       clicksByType: Object.fromEntries(state.clickCounts),
+      outbound: { ...state.outbound },
     };
   }
 
@@ -540,13 +1158,18 @@
   // AUTO-INITIALIZATION
   // ============================================
 
-  // Initialize when DOM is ready
-  if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', init);
-  } else {
-    // DOM already loaded
-    init();
-  }
+  // Initialize when feature flags are resolved and the DOM is ready
+  const flagsReady = window.FitTrackFlags ? window.FitTrackFlags.ready : Promise.resolve();
+  flagsReady.then(() => {
+    if (document.readyState === 'loading') {
+      document.addEventListener('DOMContentLoaded', init);
+    } else {
+      // DOM already loaded
+      init();
+    }
+  }).catch((error) => {
+    console.error('[LinkTracking] Initialization failed:', error);
+  });
 
   // ============================================
   // PUBLIC API
@@ -556,6 +1179,7 @@
     init,
     destroy,
     getStats,
+    getVisitorPlatform: () => state.visitorPlatform,
   });
 
 })();
\ No newline at end of file
@@ -0,0 +1,182 @@
+/**
+ * GA4 Measurement Protocol Encoder
+ * Encodes events as the URL parameters expected by google-analytics.com/g/collect,
+ * used for beacons sent while the page unloads (gtag.js cannot be relied on then).
+ * Only params the tracking plan lists for the event are sent, and none of the
+ * internal global params (event and client ids, timestamps, click ids), so they
+ * never reach GA; without js/event-schema.js params are sent as given.
+ *
+ * @module measurement-protocol
+ * @dependencies: js/event-schema.js (optional, param allowlist); loaded before js/analytics.js
+ */
+
+(function () {
+  'use strict';
+
+  // ============================================
+  // CONFIGURATION
+  // ============================================
+
+  const CONFIG = Object.freeze({
+    endpoint: 'https://www.google-analytics.com/g/collect',
+    protocolVersion: '2',
+    maxParamNameLength: 40,
+    maxParamValueLength: 100,
+  });
+
+  // Wire names of the hit-level fields, in the order they are encoded
+  const FIELDS = Object.freeze({
+    PROTOCOL_VERSION: 'v',
+    MEASUREMENT_ID: 'tid',
+    CLIENT_ID: 'cid',
+    SESSION_ID: 'sid',
+    EVENT_NAME: 'en',
+    ENGAGEMENT_TIME: '_et',
+    PAGE_LOCATION: 'dl',
+    PAGE_REFERRER: 'dr',
+    PAGE_TITLE: 'dt',
+  });
+
+  const PARAM_PREFIXES = Object.freeze({
+    STRING: 'ep.',
+    NUMBER: 'epn.',
+  });
+
+  // Event params that map onto hit-level fields instead of ep./epn. params
+  const ENGAGEMENT_TIME_PARAM = 'engagement_time_msec';
+
+  // ============================================
+  // ENCODING
+  // ============================================
+
+  /**
+   * Encodes a single key/value pair
+   * @param {string} key - Parameter name
+   * @param {string|number} value - Parameter value
+   * @returns {string} Encoded pair
+   */
+  function encodePair(key, value) {
+    return `${encodeURIComponent(key)}=${encodeURIComponent(String(value))}`;
+  }
+
+  /**
+   * Encodes an event parameter with its type prefix
+   * Numbers become epn.*, strings and booleans ep.*; other values are skipped
+   * @param {string} name - Parameter name
+   * @param {*} value - Parameter value
+   * @returns {string|null} Encoded pair, or null when the value cannot be sent
+   */
+  function encodeParam(name, value) {
+    const key = String(name).slice(0, CONFIG.maxParamNameLength);
+
+    if (typeof value === 'number') {
+      return Number.isFinite(value) ? encodePair(PARAM_PREFIXES.NUMBER + key, value) : null;
+    }
+
+    if (typeof value === 'string' || typeof value === 'boolean') {
+      return encodePair(PARAM_PREFIXES.STRING + key, String(value).slice(0, CONFIG.maxParamValueLength));
+    }
+
+    return null;
+  }
+
+  /**
+   * Gets the params of an event that may be sent to GA
+   * @param {string} eventName - Event name
+   * @param {Object} params - Event params
+   * @returns {string[]} Param names, in the order given
+   */
+  function getAllowedParamNames(eventName, params) {
+    const schema = window.FitTrackEventSchema;
+    if (!schema) {
+      return Object.keys(params);
+    }
+
+    const allowed = schema.getParamNames(eventName) || [];
+    return Object.keys(params).filter((name) => allowed.includes(name));
+  }
+
+  /**
+   * Encodes an event as a Measurement Protocol query string
+   * @param {Object} hit - Event to encode
+   * @param {string} hit.measurementId - GA4 measurement id (G-XXXX)
+   * @param {string} hit.clientId - Client id from the _ga cookie
+   * @param {string} hit.eventName - Event name
+   * @param {string|number} [hit.sessionId] - Session id
+   * @param {Object} [hit.params] - Event params; engagement_time_msec maps to _et, params
+   *   missing from the tracking plan for the event and internal params are dropped
+   * @param {number} [hit.engagementTimeMsec] - Engagement time, overrides the param
+   * @param {string} [hit.pageLocation] - Page URL
+   * @param {string} [hit.pageReferrer] - Referrer URL
+   * @param {string} [hit.pageTitle] - Page title
+   * @returns {string} URL-encoded parameters
+   * @throws {Error} When a required field is missing
+   */
+  function encodeEvent(hit) {
+    if (!hit || !hit.measurementId || !hit.clientId || !hit.eventName) {
+      throw new Error('measurementId, clientId and eventName are required');
+    }
+
+    const params = hit.params || {};
+    const engagementTime = hit.engagementTimeMsec !== undefined
+      ? hit.engagementTimeMsec
+      : params[ENGAGEMENT_TIME_PARAM];
+
+    const pairs = [
+      encodePair(FIELDS.PROTOCOL_VERSION, CONFIG.protocolVersion),
+      encodePair(FIELDS.MEASUREMENT_ID, hit.measurementId),
+      encodePair(FIELDS.CLIENT_ID, hit.clientId),
+    ];
+
+    if (hit.sessionId !== undefined && hit.sessionId !== null && hit.sessionId !== '') {
+      pairs.push(encodePair(FIELDS.SESSION_ID, hit.sessionId));
+    }
+
+    pairs.push(encodePair(FIELDS.EVENT_NAME, hit.eventName));
+
+    if (typeof engagementTime === 'number' && Number.isFinite(engagementTime)) {
+      pairs.push(encodePair(FIELDS.ENGAGEMENT_TIME, Math.max(0, Math.round(engagementTime))));
+    }
+
+    if (hit.pageLocation) {
+      pairs.push(encodePair(FIELDS.PAGE_LOCATION, hit.pageLocation));
+    }
+    if (hit.pageReferrer) {
+      pairs.push(encodePair(FIELDS.PAGE_REFERRER, hit.pageReferrer));
+    }
+    if (hit.pageTitle) {
+      pairs.push(encodePair(FIELDS.PAGE_TITLE, hit.pageTitle));
+    }
+
+    getAllowedParamNames(hit.eventName, params).forEach((name) => {
+      if (name === ENGAGEMENT_TIME_PARAM) {
+        return;
+      }
+
+      const pair = encodeParam(name, params[name]);
+      if (pair !== null) {
+        pairs.push(pair);
+      }
+    });
+
+    return pairs.join('&');
+  }
+
+  /**
+   * Builds the full collect URL for an event
+   * @param {Object} hit - Event to encode, see encodeEvent
+   * @returns {string} Collect URL
+   */
+  function buildUrl(hit) {
+    return `${CONFIG.endpoint}?${encodeEvent(hit)}`;
+  }
+
+  // ============================================
+  // PUBLIC API
+  // ============================================
+
+  window.FitTrackMeasurementProtocol = Object.freeze({
+    encodeEvent,
+    buildUrl,
+  });
+})();
@@ -15,8 +15,10 @@
  * - Memory management and cleanup
  * - Network information API integration
  * - Adaptive loading based on connection quality
+ * - web_vitals feature flag: kill switch and server sample rate
  * 
  * @module performance
+ * @dependencies: ["js/tracking-bus.js", "js/feature-flags.js" (optional, web_vitals flag)]
  */
 
 (function () {
@@ -61,7 +63,8 @@
       enableNavigationTiming: true,
       reportingEndpoint: null, // Set to API endpoint for server reporting
       reportingInterval: 30000, // 30 seconds
-      sampleRate: 1.0, // 100% sampling
+      sampleRate: 1.0, // 100% sampling, overridden by the web_vitals flag
+      featureFlag: 'web_vitals',
     },
 
     // Error handling
@@ -103,6 +106,9 @@
       customMarks: new Map(),
     },
 
+    // Web Vitals already published; each is reported once, when the page is hidden
+    reportedWebVitals: new Set(),
+
     // Error tracking
     errors: [],
     errorCount: 0,
@@ -122,6 +128,12 @@
       fontFaceAPI: false,
     },
 
+    // Adaptive loading decisions, made in init()
+    adaptiveLoading: {
+      saveDataMode: false,
+      reducedMotion: false,
+    },
+
     // Cleanup handlers
     cleanupHandlers: [],
 
@@ -449,7 +461,7 @@
   // ============================================
 
   /**
-   * Report metric to analytics
+   * Record the latest value of a metric; it is reported by flushWebVitals()
    * @param {Object} metric - Performance metric
    */
   function reportMetric(metric) {
@@ -459,11 +471,62 @@
       value: metric.value,
       rating: metric.rating,
     });
+  }
 
-    // Report to server if endpoint configured
-    if (CONFIG.monitoring.reportingEndpoint && Math.random() < CONFIG.monitoring.sampleRate) {
-      sendMetricToServer(metric);
-    }
+  /**
+   * Report the final value of each metric not reported yet. LCP candidates and
+   * layout shifts keep arriving until the page is hidden, so like web-vitals this
+   * runs on visibilitychange to hidden or pagehide rather than per observer entry.
+   */
+  function flushWebVitals() {
+    const flags = window.FitTrackFlags;
+    const sampleRate = flags
+      ? flags.getParam(CONFIG.monitoring.featureFlag, 'sampleRate', CONFIG.monitoring.sampleRate)
+      : CONFIG.monitoring.sampleRate;
+
+    Object.values(state.metrics.webVitals).forEach((metric) => {
+      if (state.reportedWebVitals.has(metric.name)) {
+        return;
+      }
+      state.reportedWebVitals.add(metric.name);
+
+      // Publish on the tracking bus as a web_vitals event; immediate as the page may be unloading
+      if (window.FitTrackBus) {
+        window.FitTrackBus.publish('web_vitals', {
+          metric_name: metric.name,
+          metric_value: metric.value,
+          metric_rating: metric.rating,
+          metric_delta: metric.delta,
+          metric_id: metric.id,
+        }, { source: 'performance', dedupeKey: metric.name, immediate: true });
+      }
+
+      // Report to server if endpoint configured
+      if (CONFIG.monitoring.reportingEndpoint && Math.random() < sampleRate) {
+        sendMetricToServer(metric);
+      }
+    });
+  }
+
+  /**
+   * Report Web Vitals when the page is hidden or unloaded
+   */
+  function initWebVitalsReporting() {
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === 'hidden') {
+        flushWebVitals();
+      }
+    };
+
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    window.addEventListener('pagehide', flushWebVitals);
+
+    // cleanup() runs on beforeunload, before pagehide, so report from there too
+    state.cleanupHandlers.push(() => {
+      flushWebVitals();
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+      window.removeEventListener('pagehide', flushWebVitals);
+    });
   }
 
   /**
@@ -524,7 +587,7 @@
           id: `lcp-${Date.now()}`,
         });
       });
-      lcpObserver.observe({ entryTypes: ['largest-contentful-paint'] });
+      lcpObserver.observe({ type: 'largest-contentful-paint', buffered: true });
 
       // First Input Delay (FID)
       const fidObserver = new PerformanceObserver((list) => {
@@ -539,7 +602,7 @@
           });
         });
       });
-      fidObserver.observe({ entryTypes: ['first-input'] });
+      fidObserver.observe({ type: 'first-input', buffered: true });
 
       // Cumulative Layout Shift (CLS)
       let clsValue = 0;
@@ -559,7 +622,7 @@
           id: `cls-${Date.now()}`,
         });
       });
-      clsObserver.observe({ entryTypes: ['layout-shift'] });
+      clsObserver.observe({ type: 'layout-shift', buffered: true });
 
       // First Contentful Paint (FCP)
       const fcpObserver = new PerformanceObserver((list) => {
@@ -574,7 +637,9 @@
           });
         });
       });
-      fcpObserver.observe({ entryTypes: ['paint'] });
+      fcpObserver.observe({ type: 'paint', buffered: true });
+
+      initWebVitalsReporting();
 
       log('info', 'Web Vitals monitoring initialized');
     } catch (error) {
@@ -839,8 +904,18 @@
       log('info', 'Adaptive loading enabled, deferring lazy loading');
     }
 
-    // Initialize monitoring
-    initWebVitalsMonitoring();
+    // Initialize monitoring once the web_vitals flag is known; buffered observers
+    // still receive entries recorded before they start
+    const flags = window.FitTrackFlags;
+    (flags ? flags.ready : Promise.resolve()).then(() => {
+      if (flags && !flags.isEnabled(CONFIG.monitoring.featureFlag)) {
+        log('info', 'Web Vitals monitoring disabled by feature flag');
+        return;
+      }
+      initWebVitalsMonitoring();
+    }).catch((error) => {
+      log('error', 'Initialization failed', { error: error.message });
+    });
 
     // Collect navigation timing after page load
     if (document.readyState === 'complete') {
@@ -0,0 +1,977 @@
+/**
+ * QR Code Module
+ * Dependency-free QR code encoder (byte mode, versions 1-40, error correction
+ * levels L, M, Q and H) with SVG and canvas renderers. Desktop visitors cannot
+ * install the app from the store badges, so the send-to-phone panel in the
+ * download section shows a QR code per store, pointing at the store URL with
+ * the visitor's campaign parameters, and reports qr_code_shown once one has
+ * been on screen.
+ *
+ * @module qr-code
+ * @dependencies: js/tracking-bus.js, js/link-tracking.js (visitor platform),
+ *   js/attribution.js (optional, store URL campaign parameters),
+ *   js/feature-flags.js (optional, qr_code flag)
+ */
+
+(function () {
+  'use strict';
+
+  // ============================================
+  // CONFIGURATION
+  // ============================================
+
+  const CONFIG = Object.freeze({
+    FEATURE_FLAG: 'qr_code',
+    DEFAULT_EC_LEVEL: 'M',
+    QUIET_ZONE: 4, // Light modules around the symbol; scanners need at least 4
+    CANVAS_SCALE: 4, // Pixels per module
+    DARK_COLOR: '#000000',
+    LIGHT_COLOR: '#ffffff',
+    VISIBLE_THRESHOLD: 0.5,
+    EVENT_NAME: 'qr_code_shown',
+    DESKTOP_PLATFORM: 'desktop',
+    STORE_PLATFORMS: {
+      'apps.apple.com': 'ios',
+      'itunes.apple.com': 'ios',
+      'play.google.com': 'android',
+    },
+  });
+
+  const SELECTORS = Object.freeze({
+    QR_CODE: '[data-qr-code]',
+    STORE_BADGE: '.download__buttons [data-track-app-store]',
+  });
+
+  const DATA_ATTRIBUTES = Object.freeze({
+    STORE: 'data-qr-code', // data-track-app-store value of the badge to encode
+    RENDERER: 'data-qr-renderer', // svg (default) or canvas
+    URL: 'data-qr-code-url', // Encoded URL, set once rendered
+    BASE_HREF: 'data-attribution-base-href', // Set by js/attribution.js
+    VISITOR_PLATFORM: 'data-visitor-platform', // Set on <html> by js/link-tracking.js
+  });
+
+  // Format indicator bits of each error correction level
+  const EC_LEVELS = Object.freeze({
+    L: { index: 0, formatBits: 1 },
+    M: { index: 1, formatBits: 0 },
+    Q: { index: 2, formatBits: 3 },
+    H: { index: 3, formatBits: 2 },
+  });
+
+  // Error correction codewords per block, by level (L, M, Q, H) and version (index 1-40)
+  const EC_CODEWORDS_PER_BLOCK = Object.freeze([
+    [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+    [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  ]);
+
+  // Error correction blocks, by level (L, M, Q, H) and version (index 1-40)
+  const EC_BLOCKS = Object.freeze([
+    [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+    [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+    [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+    [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81],
+  ]);
+
+  const MIN_VERSION = 1;
+  const MAX_VERSION = 40;
+  const BYTE_MODE = 0x4;
+  const PAD_CODEWORDS = [0xEC, 0x11];
+
+  // Mask conditions by mask number; a module is flipped when its condition holds
+  const MASKS = Object.freeze([
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+    (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+    (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0,
+  ]);
+
+  // Mask penalty weights (N1-N4 in ISO/IEC 18004)
+  const PENALTY = Object.freeze({
+    RUN: 3,
+    BLOCK: 3,
+    FINDER_LIKE: 40,
+    BALANCE: 10,
+  });
+
+  // Galois field GF(2^8) with the QR primitive polynomial x^8 + x^4 + x^3 + x^2 + 1
+  const GF_EXP = new Uint8Array(512);
+  const GF_LOG = new Uint8Array(256);
+
+  // ============================================
+  // STATE MANAGEMENT
+  // ============================================
+
+  const state = {
+    initialized: false,
+    observer: null,
+    rendered: [], // { element, store, platform, url, version }
+    shown: new Set(), // Elements that reported qr_code_shown
+  };
+
+  // ============================================
+  // UTILITY FUNCTIONS
+  // ============================================
+
+  /**
+   * Logs structured messages with context
+   * @param {string} level - Log level (info, warn, error)
+   * @param {string} message - Log message
+   * @param {Object} context - Additional context
+   */
+  function log(level, message, context = {}) {
+    if (level === 'error') {
+      console.error(`[QRCode] ${message}`, context);
+    } else if (level === 'warn') {
+      console.warn(`[QRCode] ${message}`, context);
+    } else {
+      console.log(`[QRCode] ${message}`, context);
+    }
+  }
+
+  /**
+   * Gets bit i of a number
+   * @param {number} value - Number
+   * @param {number} i - Bit index, 0 is the least significant bit
+   * @returns {boolean} True when the bit is set
+   */
+  function getBit(value, i) {
+    return ((value >>> i) & 1) !== 0;
+  }
+
+  /**
+   * Escapes text for use in an XML attribute
+   * @param {string} text - Text
+   * @returns {string} Escaped text
+   */
+  function escapeAttribute(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+  }
+
+  // ============================================
+  // REED-SOLOMON ERROR CORRECTION
+  // ============================================
+
+  /**
+   * Fills the GF(2^8) exponent and logarithm tables
+   * The exponent table is doubled so products never need a modulo
+   */
+  function initGaloisField() {
+    let value = 1;
+    for (let i = 0; i < 255; i++) {
+      GF_EXP[i] = value;
+      GF_LOG[value] = i;
+      value <<= 1;
+      if (value & 0x100) {
+        value ^= 0x11D;
+      }
+    }
+    for (let i = 255; i < GF_EXP.length; i++) {
+      GF_EXP[i] = GF_EXP[i - 255];
+    }
+  }
+
+  /**
+   * Multiplies two GF(2^8) elements
+   * @param {number} a - Element
+   * @param {number} b - Element
+   * @returns {number} Product
+   */
+  function gfMultiply(a, b) {
+    return a === 0 || b === 0 ? 0 : GF_EXP[GF_LOG[a] + GF_LOG[b]];
+  }
+
+  /**
+   * Computes the generator polynomial (x - a^0)(x - a^1)...(x - a^(degree-1))
+   * @param {number} degree - Number of error correction codewords
+   * @returns {Uint8Array} Coefficients from highest to lowest power, leading 1 omitted
+   */
+  function getGeneratorPolynomial(degree) {
+    const result = new Uint8Array(degree);
+    result[degree - 1] = 1;
+
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+      for (let j = 0; j < degree; j++) {
+        result[j] = gfMultiply(result[j], root);
+        if (j + 1 < degree) {
+          result[j] ^= result[j + 1];
+        }
+      }
+      root = gfMultiply(root, 0x02);
+    }
+
+    return result;
+  }
+
+  /**
+   * Computes the error correction codewords of a data block
+   * @param {number[]} data - Data codewords
+   * @param {Uint8Array} generator - Generator polynomial from getGeneratorPolynomial()
+   * @returns {number[]} Error correction codewords
+   */
+  function getErrorCorrection(data, generator) {
+    const result = new Array(generator.length).fill(0);
+
+    data.forEach((codeword) => {
+      const factor = codeword ^ result.shift();
+      result.push(0);
+      generator.forEach((coefficient, i) => {
+        result[i] ^= gfMultiply(coefficient, factor);
+      });
+    });
+
+    return result;
+  }
+
+  // ============================================
+  // DATA ENCODING
+  // ============================================
+
+  /**
+   * Gets the symbol size in modules for a version
+   * @param {number} version - Version 1-40
+   * @returns {number} Modules per side
+   */
+  function getSize(version) {
+    return version * 4 + 17;
+  }
+
+  /**
+   * Counts the modules available for data and error correction codewords
+   * (everything except function patterns and format and version information)
+   * @param {number} version - Version 1-40
+   * @returns {number} Module count, including remainder bits
+   */
+  function getRawDataModules(version) {
+    let result = (16 * version + 128) * version + 64;
+    if (version >= 2) {
+      const alignmentCount = Math.floor(version / 7) + 2;
+      result -= (25 * alignmentCount - 10) * alignmentCount - 55;
+      if (version >= 7) {
+        result -= 36;
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Counts the data codewords a symbol holds
+   * @param {number} version - Version 1-40
+   * @param {Object} ecLevel - Entry of EC_LEVELS
+   * @returns {number} Data codewords
+   */
+  function getDataCodewords(version, ecLevel) {
+    return Math.floor(getRawDataModules(version) / 8)
+      - EC_CODEWORDS_PER_BLOCK[ecLevel.index][version] * EC_BLOCKS[ecLevel.index][version];
+  }
+
+  /**
+   * Gets the width of the byte mode character count field
+   * @param {number} version - Version 1-40
+   * @returns {number} Bits
+   */
+  function getCountBits(version) {
+    return version <= 9 ? 8 : 16;
+  }
+
+  /**
+   * Encodes bytes as byte mode data codewords, with terminator and padding
+   * @param {Uint8Array} bytes - Data
+   * @param {number} version - Version 1-40
+   * @param {Object} ecLevel - Entry of EC_LEVELS
+   * @returns {number[]} Data codewords
+   */
+  function getDataCodewordsFor(bytes, version, ecLevel) {
+    const capacityBits = getDataCodewords(version, ecLevel) * 8;
+    const bits = [];
+    const append = (value, length) => {
+      for (let i = length - 1; i >= 0; i--) {
+        bits.push(getBit(value, i) ? 1 : 0);
+      }
+    };
+
+    append(BYTE_MODE, 4);
+    append(bytes.length, getCountBits(version));
+    bytes.forEach((byte) => append(byte, 8));
+
+    // Terminator of up to four zero bits, then zero bits up to a byte boundary
+    append(0, Math.min(4, capacityBits - bits.length));
+    append(0, (8 - (bits.length % 8)) % 8);
+
+    const codewords = [];
+    for (let i = 0; i < bits.length; i += 8) {
+      codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+    }
+    for (let i = 0; codewords.length < capacityBits / 8; i++) {
+      codewords.push(PAD_CODEWORDS[i % 2]);
+    }
+
+    return codewords;
+  }
+
+  /**
+   * Splits data codewords into blocks, adds error correction to each and
+   * interleaves them in the order they are placed in the symbol
+   * @param {number[]} data - Data codewords
+   * @param {number} version - Version 1-40
+   * @param {Object} ecLevel - Entry of EC_LEVELS
+   * @returns {number[]} All codewords
+   */
+  function addErrorCorrection(data, version, ecLevel) {
+    const blockCount = EC_BLOCKS[ecLevel.index][version];
+    const ecLength = EC_CODEWORDS_PER_BLOCK[ecLevel.index][version];
+    const rawCodewords = Math.floor(getRawDataModules(version) / 8);
+    // Short blocks come first; long blocks hold one more data codeword
+    const shortBlockCount = blockCount - (rawCodewords % blockCount);
+    const shortBlockLength = Math.floor(rawCodewords / blockCount);
+    const generator = getGeneratorPolynomial(ecLength);
+
+    const blocks = [];
+    let offset = 0;
+    for (let i = 0; i < blockCount; i++) {
+      const length = shortBlockLength - ecLength + (i < shortBlockCount ? 0 : 1);
+      const block = data.slice(offset, offset + length);
+      offset += length;
+      const ec = getErrorCorrection(block, generator);
+      if (i < shortBlockCount) {
+        block.push(null); // Keeps the error correction columns aligned
+      }
+      blocks.push(block.concat(ec));
+    }
+
+    const result = [];
+    for (let i = 0; i < blocks[0].length; i++) {
+      blocks.forEach((block) => {
+        if (block[i] !== null) {
+          result.push(block[i]);
+        }
+      });
+    }
+
+    return result;
+  }
+
+  // ============================================
+  // SYMBOL LAYOUT
+  // ============================================
+
+  /**
+   * Gets the row/column centres of the alignment patterns
+   * @param {number} version - Version 1-40
+   * @returns {number[]} Positions, ascending
+   */
+  function getAlignmentPositions(version) {
+    if (version === 1) {
+      return [];
+    }
+
+    const count = Math.floor(version / 7) + 2;
+    const step = Math.floor((version * 8 + count * 3 + 5) / (count * 4 - 4)) * 2;
+    const positions = [6];
+    for (let i = count - 2; i >= 0; i--) {
+      positions.push(getSize(version) - 7 - i * step);
+    }
+
+    return positions;
+  }
+
+  /**
+   * Creates an empty symbol grid
+   * @param {number} version - Version 1-40
+   * @returns {Object} Grid: { size, modules, reserved }, indexed [y][x]
+   */
+  function createGrid(version) {
+    const size = getSize(version);
+    const createRows = () => Array.from({ length: size }, () => new Array(size).fill(false));
+
+    return { size, modules: createRows(), reserved: createRows() };
+  }
+
+  /**
+   * Sets a function pattern module, which data placement and masking skip
+   * @param {Object} grid - Grid from createGrid()
+   * @param {number} x - Column
+   * @param {number} y - Row
+   * @param {boolean} dark - Module colour
+   */
+  function setFunctionModule(grid, x, y, dark) {
+    grid.modules[y][x] = dark;
+    grid.reserved[y][x] = true;
+  }
+
+  /**
+   * Draws a finder pattern with its light separator
+   * @param {Object} grid - Grid from createGrid()
+   * @param {number} centerX - Centre column
+   * @param {number} centerY - Centre row
+   */
+  function drawFinderPattern(grid, centerX, centerY) {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const x = centerX + dx;
+        const y = centerY + dy;
+        if (x >= 0 && x < grid.size && y >= 0 && y < grid.size) {
+          const distance = Math.max(Math.abs(dx), Math.abs(dy));
+          setFunctionModule(grid, x, y, distance !== 2 && distance !== 4);
+        }
+      }
+    }
+  }
+
+  /**
+   * Draws an alignment pattern
+   * @param {Object} grid - Grid from createGrid()
+   * @param {number} centerX - Centre column
+   * @param {number} centerY - Centre row
+   */
+  function drawAlignmentPattern(grid, centerX, centerY) {
+    for (let dy = -2; dy <= 2; dy++) {
+      for (let dx = -2; dx <= 2; dx++) {
+        setFunctionModule(grid, centerX + dx, centerY + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+      }
+    }
+  }
+
+  /**
+   * Draws the error correction level and mask, twice, with their BCH code
+   * Also sets the dark module next to the bottom-left finder pattern
+   * @param {Object} grid - Grid from createGrid()
+   * @param {Object} ecLevel - Entry of EC_LEVELS
+   * @param {number} mask - Mask 0-7
+   */
+  function drawFormatInformation(grid, ecLevel, mask) {
+    const data = (ecLevel.formatBits << 3) | mask;
+    let remainder = data;
+    for (let i = 0; i < 10; i++) {
+      remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+    }
+    const bits = ((data << 10) | remainder) ^ 0x5412;
+    const { size } = grid;
+
+    // Around the top-left finder pattern
+    for (let i = 0; i <= 5; i++) {
+      setFunctionModule(grid, 8, i, getBit(bits, i));
+    }
+    setFunctionModule(grid, 8, 7, getBit(bits, 6));
+    setFunctionModule(grid, 8, 8, getBit(bits, 7));
+    setFunctionModule(grid, 7, 8, getBit(bits, 8));
+    for (let i = 9; i < 15; i++) {
+      setFunctionModule(grid, 14 - i, 8, getBit(bits, i));
+    }
+
+    // Split between the top-right and bottom-left finder patterns
+    for (let i = 0; i < 8; i++) {
+      setFunctionModule(grid, size - 1 - i, 8, getBit(bits, i));
+    }
+    for (let i = 8; i < 15; i++) {
+      setFunctionModule(grid, 8, size - 15 + i, getBit(bits, i));
+    }
+    setFunctionModule(grid, 8, size - 8, true);
+  }
+
+  /**
+   * Draws the version and its BCH code, twice (versions 7 and up)
+   * @param {Object} grid - Grid from createGrid()
+   * @param {number} version - Version 1-40
+   */
+  function drawVersionInformation(grid, version) {
+    if (version < 7) {
+      return;
+    }
+
+    let remainder = version;
+    for (let i = 0; i < 12; i++) {
+      remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+    }
+    const bits = (version << 12) | remainder;
+
+    for (let i = 0; i < 18; i++) {
+      const a = grid.size - 11 + (i % 3);
+      const b = Math.floor(i / 3);
+      setFunctionModule(grid, a, b, getBit(bits, i));
+      setFunctionModule(grid, b, a, getBit(bits, i));
+    }
+  }
+
+  /**
+   * Draws the finder, timing and alignment patterns and reserves the
+   * format and version information areas
+   * @param {Object} grid - Grid from createGrid()
+   * @param {number} version - Version 1-40
+   * @param {Object} ecLevel - Entry of EC_LEVELS
+   */
+  function drawFunctionPatterns(grid, version, ecLevel) {
+    const { size } = grid;
+
+    for (let i = 0; i < size; i++) {
+      setFunctionModule(grid, 6, i, i % 2 === 0);
+      setFunctionModule(grid, i, 6, i % 2 === 0);
+    }
+
+    drawFinderPattern(grid, 3, 3);
+    drawFinderPattern(grid, size - 4, 3);
+    drawFinderPattern(grid, 3, size - 4);
+
+    const positions = getAlignmentPositions(version);
+    const last = positions.length - 1;
+    positions.forEach((y, i) => {
+      positions.forEach((x, j) => {
+        // The three corners overlap the finder patterns
+        if (!(i === 0 && j === 0) && !(i === 0 && j === last) && !(i === last && j === 0)) {
+          drawAlignmentPattern(grid, x, y);
+        }
+      });
+    });
+
+    drawFormatInformation(grid, ecLevel, 0); // Placeholder until the mask is chosen
+    drawVersionInformation(grid, version);
+  }
+
+  /**
+   * Places codewords in two-module columns, zigzagging up and down from the
+   * bottom-right corner and skipping function patterns
+   * @param {Object} grid - Grid from createGrid()
+   * @param {number[]} codewords - Interleaved codewords
+   */
+  function placeCodewords(grid, codewords) {
+    const { size } = grid;
+    const totalBits = codewords.length * 8;
+    let bitIndex = 0;
+
+    for (let right = size - 1; right >= 1; right -= 2) {
+      if (right === 6) {
+        right = 5; // Skip the vertical timing pattern
+      }
+      const upward = ((right + 1) & 2) === 0;
+      for (let vertical = 0; vertical < size; vertical++) {
+        const y = upward ? size - 1 - vertical : vertical;
+        for (let j = 0; j < 2; j++) {
+          const x = right - j;
+          // Remainder bits past the last codeword stay light
+          if (!grid.reserved[y][x] && bitIndex < totalBits) {
+            grid.modules[y][x] = getBit(codewords[bitIndex >>> 3], 7 - (bitIndex & 7));
+            bitIndex++;
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * Flips the data modules selected by a mask; applying it twice undoes it
+   * @param {Object} grid - Grid from createGrid()
+   * @param {number} mask - Mask 0-7
+   */
+  function applyMask(grid, mask) {
+    const condition = MASKS[mask];
+    for (let y = 0; y < grid.size; y++) {
+      for (let x = 0; x < grid.size; x++) {
+        if (!grid.reserved[y][x] && condition(x, y)) {
+          grid.modules[y][x] = !grid.modules[y][x];
+        }
+      }
+    }
+  }
+
+  // ============================================
+  // MASK SELECTION
+  // ============================================
+
+  /**
+   * Scores one row or column for long runs and finder-like patterns
+   * @param {boolean[]} line - Modules
+   * @returns {number} Penalty
+   */
+  function getLinePenalty(line) {
+    let penalty = 0;
+    let runLength = 1;
+
+    for (let i = 1; i <= line.length; i++) {
+      if (i < line.length && line[i] === line[i - 1]) {
+        runLength++;
+      } else {
+        if (runLength >= 5) {
+          penalty += PENALTY.RUN + (runLength - 5);
+        }
+        runLength = 1;
+      }
+    }
+
+    // Dark-light-dark-dark-dark-light-dark with four light modules on either side;
+    // modules outside the symbol count as light (the quiet zone)
+    const isLight = (i) => i < 0 || i >= line.length || !line[i];
+    const lightRun = (from) => [0, 1, 2, 3].every((k) => isLight(from + k));
+    for (let i = 0; i + 7 <= line.length; i++) {
+      if (line[i] && isLight(i + 1) && line[i + 2] && line[i + 3] && line[i + 4] && isLight(i + 5) && line[i + 6]
+        && (lightRun(i - 4) || lightRun(i + 7))) {
+        penalty += PENALTY.FINDER_LIKE;
+      }
+    }
+
+    return penalty;
+  }
+
+  /**
+   * Scores a masked symbol; the mask with the lowest score is used
+   * @param {boolean[][]} modules - Modules, indexed [y][x]
+   * @returns {number} Penalty
+   */
+  function getPenalty(modules) {
+    const size = modules.length;
+    let penalty = 0;
+    let dark = 0;
+
+    for (let i = 0; i < size; i++) {
+      penalty += getLinePenalty(modules[i]);
+      penalty += getLinePenalty(modules.map((row) => row[i]));
+    }
+
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        if (modules[y][x]) {
+          dark++;
+        }
+        if (x < size - 1 && y < size - 1) {
+          const color = modules[y][x];
+          if (modules[y][x + 1] === color && modules[y + 1][x] === color && modules[y + 1][x + 1] === color) {
+            penalty += PENALTY.BLOCK;
+          }
+        }
+      }
+    }
+
+    // 10 points for every 5% the dark share is away from 50%
+    const total = size * size;
+    const deviation = Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1;
+    penalty += Math.max(0, deviation) * PENALTY.BALANCE;
+
+    return penalty;
+  }
+
+  // ============================================
+  // ENCODER
+  // ============================================
+
+  /**
+   * Encodes text as a QR code
+   * Text is encoded as UTF-8 in byte mode, in the smallest version that fits.
+   * @param {string} text - Text to encode, usually a URL
+   * @param {Object} [options]
+   * @param {string} [options.ecLevel='M'] - Error correction level: L, M, Q or H
+   * @param {number} [options.minVersion=1] - Smallest version to use
+   * @param {number} [options.mask] - Mask 0-7; chosen by penalty score when omitted
+   * @returns {Object} Frozen QR code: { version, size, ecLevel, mask, modules }, modules indexed [y][x]
+   * @throws {RangeError} When the text does not fit in version 40 or an option is invalid
+   */
+  function encode(text, options = {}) {
+    const ecLevelName = String(options.ecLevel || CONFIG.DEFAULT_EC_LEVEL).toUpperCase();
+    const ecLevel = EC_LEVELS[ecLevelName];
+    const minVersion = options.minVersion || MIN_VERSION;
+    const hasMask = options.mask !== undefined && options.mask !== null;
+
+    if (!ecLevel) {
+      throw new RangeError(`Unknown error correction level: ${options.ecLevel}`);
+    }
+    if (!Number.isInteger(minVersion) || minVersion < MIN_VERSION || minVersion > MAX_VERSION) {
+      throw new RangeError(`Version must be ${MIN_VERSION}-${MAX_VERSION}: ${minVersion}`);
+    }
+    if (hasMask && !(Number.isInteger(options.mask) && options.mask >= 0 && options.mask < MASKS.length)) {
+      throw new RangeError(`Mask must be 0-${MASKS.length - 1}: ${options.mask}`);
+    }
+
+    const bytes = new TextEncoder().encode(String(text));
+    let version = minVersion;
+    while (4 + getCountBits(version) + bytes.length * 8 > getDataCodewords(version, ecLevel) * 8) {
+      if (version === MAX_VERSION) {
+        throw new RangeError(`Text is too long for a QR code: ${bytes.length} bytes`);
+      }
+      version++;
+    }
+
+    const codewords = addErrorCorrection(getDataCodewordsFor(bytes, version, ecLevel), version, ecLevel);
+    const grid = createGrid(version);
+    drawFunctionPatterns(grid, version, ecLevel);
+    placeCodewords(grid, codewords);
+
+    let mask = options.mask;
+    if (!hasMask) {
+      let lowestPenalty = Infinity;
+      MASKS.forEach((condition, candidate) => {
+        applyMask(grid, candidate);
+        drawFormatInformation(grid, ecLevel, candidate);
+        const penalty = getPenalty(grid.modules);
+        if (penalty < lowestPenalty) {
+          lowestPenalty = penalty;
+          mask = candidate;
+        }
+        applyMask(grid, candidate);
+      });
+    }
+
+    applyMask(grid, mask);
+    drawFormatInformation(grid, ecLevel, mask);
+
+    return Object.freeze({
+      version,
+      size: grid.size,
+      ecLevel: ecLevelName,
+      mask,
+      modules: Object.freeze(grid.modules.map((row) => Object.freeze(row))),
+    });
+  }
+
+  // ============================================
+  // RENDERING
+  // ============================================
+
+  /**
+   * Renders a QR code as SVG markup, one path for all dark modules
+   * @param {Object} qr - QR code from encode()
+   * @param {Object} [options]
+   * @param {number} [options.margin=4] - Quiet zone in modules
+   * @param {string} [options.label] - Accessible name; the SVG is hidden from assistive technology without one
+   * @param {string} [options.dark] - Dark module colour
+   * @param {string} [options.light] - Background colour
+   * @returns {string} SVG markup
+   */
+  function toSVG(qr, options = {}) {
+    const margin = options.margin === undefined ? CONFIG.QUIET_ZONE : options.margin;
+    const dimension = qr.size + margin * 2;
+    const accessibility = options.label
+      ? `role="img" aria-label="${escapeAttribute(options.label)}"`
+      : 'aria-hidden="true"';
+    let path = '';
+
+    qr.modules.forEach((row, y) => {
+      for (let x = 0; x < qr.size; x++) {
+        if (row[x]) {
+          // Merge horizontal runs into one rectangle
+          let run = 1;
+          while (x + run < qr.size && row[x + run]) {
+            run++;
+          }
+          path += `M${x + margin} ${y + margin}h${run}v1h-${run}z`;
+          x += run - 1;
+        }
+      }
+    });
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${dimension} ${dimension}" shape-rendering="crispEdges" ${accessibility}>`
+      + `<rect width="${dimension}" height="${dimension}" fill="${escapeAttribute(options.light || CONFIG.LIGHT_COLOR)}"/>`
+      + `<path d="${path}" fill="${escapeAttribute(options.dark || CONFIG.DARK_COLOR)}"/>`
+      + '</svg>';
+  }
+
+  /**
+   * Draws a QR code on a canvas, resizing the canvas to fit
+   * @param {Object} qr - QR code from encode()
+   * @param {HTMLCanvasElement} canvas - Canvas
+   * @param {Object} [options]
+   * @param {number} [options.scale=4] - Pixels per module
+   * @param {number} [options.margin=4] - Quiet zone in modules
+   * @param {string} [options.dark] - Dark module colour
+   * @param {string} [options.light] - Background colour
+   * @returns {HTMLCanvasElement} The canvas
+   */
+  function toCanvas(qr, canvas, options = {}) {
+    const scale = options.scale || CONFIG.CANVAS_SCALE;
+    const margin = options.margin === undefined ? CONFIG.QUIET_ZONE : options.margin;
+    const dimension = (qr.size + margin * 2) * scale;
+    const context = canvas.getContext('2d');
+
+    canvas.width = dimension;
+    canvas.height = dimension;
+    context.fillStyle = options.light || CONFIG.LIGHT_COLOR;
+    context.fillRect(0, 0, dimension, dimension);
+    context.fillStyle = options.dark || CONFIG.DARK_COLOR;
+    qr.modules.forEach((row, y) => {
+      row.forEach((dark, x) => {
+        if (dark) {
+          context.fillRect((x + margin) * scale, (y + margin) * scale, scale, scale);
+        }
+      });
+    });
+
+    return canvas;
+  }
+
+  // ============================================
+  // DOWNLOAD SECTION
+  // ============================================
+
+  /**
+   * Gets the store URL for a QR code, with the visitor's campaign parameters
+   * @param {string} store - data-track-app-store value of the badge
+   * @returns {string|null} URL, or null without a matching badge
+   */
+  function getStoreUrl(store) {
+    const badge = Array.from(document.querySelectorAll(SELECTORS.STORE_BADGE))
+      .find((element) => element.getAttribute('data-track-app-store') === store);
+
+    if (!badge || !badge.hasAttribute('href')) {
+      return null;
+    }
+
+    // Start from the undecorated href, in case attribution.js already ran
+    const baseHref = badge.getAttribute(DATA_ATTRIBUTES.BASE_HREF) || badge.getAttribute('href');
+    const url = new URL(baseHref, window.location.href).toString();
+
+    return window.FitTrackAttribution ? window.FitTrackAttribution.decorateStoreUrl(url) : url;
+  }
+
+  /**
+   * Gets the platform of a store URL
+   * @param {string} url - Store URL
+   * @returns {string|null} ios, android, or null for other hosts
+   */
+  function getStorePlatform(url) {
+    return CONFIG.STORE_PLATFORMS[new URL(url).hostname] || null;
+  }
+
+  /**
+   * Renders the QR code for one data-qr-code element
+   * @param {HTMLElement} element - Element marked with data-qr-code
+   * @param {string} ecLevel - Error correction level
+   */
+  function renderElement(element, ecLevel) {
+    const store = element.getAttribute(DATA_ATTRIBUTES.STORE);
+    const url = getStoreUrl(store);
+
+    if (!url) {
+      log('warn', 'No store badge to encode', { store });
+      return;
+    }
+
+    const qr = encode(url, { ecLevel });
+    const label = `QR code for ${store}`;
+
+    if (element.getAttribute(DATA_ATTRIBUTES.RENDERER) === 'canvas') {
+      const canvas = document.createElement('canvas');
+      canvas.setAttribute('role', 'img');
+      canvas.setAttribute('aria-label', label);
+      element.prepend(toCanvas(qr, canvas));
+    } else {
+      element.insertAdjacentHTML('afterbegin', toSVG(qr, { label }));
+    }
+
+    element.setAttribute(DATA_ATTRIBUTES.URL, url);
+    state.rendered.push({ element, store, platform: getStorePlatform(url), url, version: qr.version });
+  }
+
+  /**
+   * Reports qr_code_shown for QR codes that came into view, once each
+   * @param {IntersectionObserverEntry[]} entries - Observer entries
+   */
+  function handleIntersection(entries) {
+    entries.forEach((entry) => {
+      if (!entry.isIntersecting || state.shown.has(entry.target)) {
+        return;
+      }
+
+      const rendered = state.rendered.find((item) => item.element === entry.target);
+      state.shown.add(entry.target);
+      state.observer.unobserve(entry.target);
+
+      if (!window.FitTrackBus) {
+        log('warn', 'Tracking bus not available', { event: CONFIG.EVENT_NAME });
+        return;
+      }
+
+      window.FitTrackBus.publish(CONFIG.EVENT_NAME, {
+        store_name: rendered.store,
+        platform: rendered.platform,
+        link_url: rendered.url,
+        qr_version: rendered.version,
+      }, { source: 'qr-code' });
+    });
+  }
+
+  // ============================================
+  // INITIALIZATION
+  // ============================================
+
+  /**
+   * Render the download section QR codes for desktop visitors
+   * Runs after js/link-tracking.js has detected the visitor's platform.
+   */
+  function init() {
+    if (state.initialized) {
+      log('warn', 'QR codes already initialized');
+      return;
+    }
+
+    const flags = window.FitTrackFlags;
+    if (flags && !flags.isEnabled(CONFIG.FEATURE_FLAG)) {
+      log('info', 'Disabled by feature flag');
+      return;
+    }
+
+    // Phones install from the badges; a QR code only helps on another screen
+    const platform = document.documentElement.getAttribute(DATA_ATTRIBUTES.VISITOR_PLATFORM);
+    if (platform !== CONFIG.DESKTOP_PLATFORM) {
+      return;
+    }
+
+    try {
+      const ecLevel = flags ? flags.getParam(CONFIG.FEATURE_FLAG, 'ecLevel', CONFIG.DEFAULT_EC_LEVEL) : CONFIG.DEFAULT_EC_LEVEL;
+      document.querySelectorAll(SELECTORS.QR_CODE).forEach((element) => renderElement(element, ecLevel));
+
+      if ('IntersectionObserver' in window) {
+        state.observer = new IntersectionObserver(handleIntersection, { threshold: CONFIG.VISIBLE_THRESHOLD });
+        state.rendered.forEach(({ element }) => state.observer.observe(element));
+      }
+
+      state.initialized = true;
+    } catch (error) {
+      log('error', 'QR code initialization failed', { error: error.message });
+    }
+  }
+
+  /**
+   * Stop watching for QR codes coming into view
+   */
+  function destroy() {
+    if (state.observer) {
+      state.observer.disconnect();
+      state.observer = null;
+    }
+    state.initialized = false;
+  }
+
+  initGaloisField();
+
+  // ============================================
+  // AUTO-INITIALIZATION
+  // ============================================
+
+  // Initialize when feature flags are resolved and the DOM is ready
+  const flagsReady = window.FitTrackFlags ? window.FitTrackFlags.ready : Promise.resolve();
+  flagsReady.then(() => {
+    if (document.readyState === 'loading') {
+      document.addEventListener('DOMContentLoaded', init);
+    } else {
+      init();
+    }
+  }).catch((error) => {
+    log('error', 'Initialization failed', { error: error.message });
+  });
+
+  // ============================================
+  // PUBLIC API
+  // ============================================
+
+  window.FitTrackQR = Object.freeze({
+    init,
+    destroy,
+    encode,
+    toSVG,
+    toCanvas,
+  });
+
+})();
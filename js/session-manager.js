@@ -0,0 +1,293 @@
+/**
+ * Session Manager Module
+ * Cookie-less session and client identity for analytics events. Sessions live in
+ * sessionStorage and end after 30 minutes of inactivity or when the visitor arrives
+ * with different UTM parameters. The client id is kept in localStorage only while
+ * analytics consent is granted; otherwise it lasts for the session.
+ *
+ * @module session-manager
+ * @dependencies: none (loaded before js/analytics.js, which drives persistence)
+ */
+
+(function () {
+  'use strict';
+
+  // ============================================
+  // CONFIGURATION
+  // ============================================
+
+  const CONFIG = Object.freeze({
+    sessionStorageKey: 'fittrack_session',
+    clientStorageKey: 'fittrack_client',
+    inactivityTimeout: 30 * 60 * 1000, // 30 minutes
+    utmParams: ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content'],
+  });
+
+  // ============================================
+  // STATE MANAGEMENT
+  // ============================================
+
+  const state = {
+    persistent: null, // Unknown until analytics.js reports consent
+    client: null,
+    session: null,
+  };
+
+  // ============================================
+  // UTILITY FUNCTIONS
+  // ============================================
+
+  /**
+   * Logs structured messages with context
+   * @param {string} level - Log level (info, warn, error)
+   * @param {string} message - Log message
+   * @param {Object} context - Additional context
+   */
+  function log(level, message, context = {}) {
+    if (level === 'error') {
+      console.error(`[Session] ${message}`, context);
+    } else if (level === 'warn') {
+      console.warn(`[Session] ${message}`, context);
+    } else {
+      console.log(`[Session] ${message}`, context);
+    }
+  }
+
+  /**
+   * Reads a JSON value from web storage
+   * The storage is looked up inside the try: reading window.localStorage throws when
+   * the browser blocks storage
+   * @param {string} storageName - "localStorage" or "sessionStorage"
+   * @param {string} key - Storage key
+   * @returns {Object|null} Parsed value
+   */
+  function readStorage(storageName, key) {
+    try {
+      const value = window[storageName].getItem(key);
+      return value ? JSON.parse(value) : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Writes a JSON value to web storage
+   * @param {string} storageName - "localStorage" or "sessionStorage"
+   * @param {string} key - Storage key
+   * @param {Object|null} value - Value to store, null removes the key
+   */
+  function writeStorage(storageName, key, value) {
+    try {
+      const storage = window[storageName];
+      if (value === null) {
+        storage.removeItem(key);
+      } else {
+        storage.setItem(key, JSON.stringify(value));
+      }
+    } catch (error) {
+      log('warn', 'Storage unavailable, identity kept in memory', { key, error: error.message });
+    }
+  }
+
+  /**
+   * Generates a client id in the GA "random.timestamp" format
+   * @returns {string} Client id
+   */
+  function generateClientId() {
+    const random = Math.floor(Math.random() * 2147483647);
+    return `${random}.${Math.floor(Date.now() / 1000)}`;
+  }
+
+  /**
+   * Builds a stable signature of the UTM parameters in the current URL
+   * @returns {string|null} Signature, or null when the URL carries no UTM parameters
+   */
+  function getUtmSignature() {
+    const params = new URLSearchParams(window.location.search);
+    const values = CONFIG.utmParams.map((name) => `${name}=${params.get(name) || ''}`);
+    const hasUtm = CONFIG.utmParams.some((name) => params.has(name));
+
+    return hasUtm ? values.join('&') : null;
+  }
+
+  // ============================================
+  // CLIENT IDENTITY
+  // ============================================
+
+  /**
+   * Loads the client record, preferring the consented localStorage copy
+   * @returns {{id: string, sessionCount: number}} Client record
+   */
+  function loadClient() {
+    const stored = readStorage('localStorage', CONFIG.clientStorageKey);
+    if (stored && stored.id) {
+      return stored;
+    }
+
+    const session = readStorage('sessionStorage', CONFIG.sessionStorageKey);
+    if (session && session.clientId) {
+      return { id: session.clientId, sessionCount: session.number || 0 };
+    }
+
+    return { id: generateClientId(), sessionCount: 0 };
+  }
+
+  /**
+   * Saves the client record to localStorage when persistence is allowed
+   */
+  function saveClient() {
+    if (state.persistent) {
+      writeStorage('localStorage', CONFIG.clientStorageKey, state.client);
+    }
+  }
+
+  // ============================================
+  // SESSIONS
+  // ============================================
+
+  /**
+   * Starts a new session on the current page
+   * @param {string|null} utmSignature - UTM signature of the landing URL
+   * @param {string} reason - Why the session started (new, timeout, campaign)
+   */
+  function startSession(utmSignature, reason) {
+    const now = Date.now();
+
+    state.client.sessionCount += 1;
+    state.session = {
+      id: String(Math.floor(now / 1000)),
+      number: state.client.sessionCount,
+      clientId: state.client.id,
+      startedAt: now,
+      lastActivity: now,
+      landingPage: window.location.pathname + window.location.search,
+      pageViewSequence: 1,
+      utm: utmSignature,
+    };
+
+    saveClient();
+    saveSession();
+
+    log('info', 'Session started', { reason, id: state.session.id, number: state.session.number });
+  }
+
+  /**
+   * Saves the session to sessionStorage
+   */
+  function saveSession() {
+    writeStorage('sessionStorage', CONFIG.sessionStorageKey, state.session);
+  }
+
+  /**
+   * Checks whether the session has been inactive too long
+   * @param {Object} session - Session record
+   * @param {number} now - Current time in milliseconds
+   * @returns {boolean}
+   */
+  function isExpired(session, now) {
+    return now - session.lastActivity > CONFIG.inactivityTimeout;
+  }
+
+  /**
+   * Resumes the stored session for this page view or starts a new one
+   */
+  function resumeOrStartSession() {
+    const stored = readStorage('sessionStorage', CONFIG.sessionStorageKey);
+    const utmSignature = getUtmSignature();
+    const now = Date.now();
+
+    if (!stored || !stored.id) {
+      startSession(utmSignature, 'new');
+      return;
+    }
+
+    if (isExpired(stored, now)) {
+      startSession(utmSignature, 'timeout');
+      return;
+    }
+
+    if (utmSignature !== null && utmSignature !== stored.utm) {
+      startSession(utmSignature, 'campaign');
+      return;
+    }
+
+    state.session = {
+      ...stored,
+      clientId: state.client.id,
+      lastActivity: now,
+      pageViewSequence: (stored.pageViewSequence || 0) + 1,
+    };
+    saveSession();
+  }
+
+  // ============================================
+  // PUBLIC OPERATIONS
+  // ============================================
+
+  /**
+   * Records activity, starting a new session after the inactivity timeout
+   */
+  function touch() {
+    const now = Date.now();
+
+    if (isExpired(state.session, now)) {
+      startSession(state.session.utm, 'timeout');
+      return;
+    }
+
+    state.session.lastActivity = now;
+    saveSession();
+  }
+
+  /**
+   * Allows or revokes keeping the client id in localStorage
+   * Called by analytics.js whenever analytics consent changes
+   * @param {boolean} persistent - True when analytics consent is granted
+   */
+  function setPersistent(persistent) {
+    if (state.persistent === persistent) {
+      return;
+    }
+
+    state.persistent = persistent;
+
+    if (persistent) {
+      saveClient();
+    } else {
+      writeStorage('localStorage', CONFIG.clientStorageKey, null);
+    }
+  }
+
+  /**
+   * Gets the identity fields attached to every analytics event
+   * @returns {{client_id: string, session_id: string, session_number: number,
+   *   landing_page: string, page_view_sequence: number}} Identity params
+   */
+  function getIdentity() {
+    return {
+      client_id: state.client.id,
+      session_id: state.session.id,
+      session_number: state.session.number,
+      landing_page: state.session.landingPage,
+      page_view_sequence: state.session.pageViewSequence,
+    };
+  }
+
+  // ============================================
+  // INITIALIZATION
+  // ============================================
+
+  state.client = loadClient();
+  resumeOrStartSession();
+
+  // ============================================
+  // PUBLIC API
+  // ============================================
+
+  window.FitTrackSession = Object.freeze({
+    touch,
+    setPersistent,
+    getIdentity,
+    isPersistent: () => state.persistent === true,
+  });
+})();
@@ -661,6 +661,34 @@ class TestimonialsCarousel {
     }
   }
 
+  /**
+   * Change the auto-play settings, e.g. when the carousel_autoplay flag arrives
+   * A carousel the visitor paused stays paused.
+   * @param {boolean} enabled - Whether auto-play is allowed
+   * @param {number} [interval] - Time per slide (ms)
+   */
+  setAutoPlay(enabled, interval = this.config.autoPlayInterval) {
+    const wasEnabled = this.config.autoPlayEnabled;
+    if (enabled === wasEnabled && interval === this.config.autoPlayInterval) {
+      return;
+    }
+
+    this.stopAutoPlay();
+    this.config.autoPlayEnabled = enabled;
+    this.config.autoPlayInterval = interval;
+
+    if (!enabled) {
+      this.state.isPlaying = false;
+    } else if (!wasEnabled) {
+      this.state.isPlaying = true;
+    }
+
+    if (this.state.isPlaying) {
+      this.startAutoPlay();
+    }
+    this.updatePlayPauseButton();
+  }
+
   /**
    * Reset auto-play timer
    */
@@ -809,18 +837,32 @@ class TestimonialsCarousel {
   }
 }
 
+/**
+ * Read the carousel_autoplay feature flag
+ * @returns {{enabled: boolean, interval: number}} Auto-play settings
+ */
+function getAutoPlaySettings() {
+  const flags = typeof window !== 'undefined' ? window.FitTrackFlags : null;
+  return {
+    enabled: flags ? flags.isEnabled('carousel_autoplay') : true,
+    interval: flags ? flags.getParam('carousel_autoplay', 'interval', 5000) : 5000
+  };
+}
+
 /**
  * Initialize all carousels on the page
+ * Auto-play and its interval come from the carousel_autoplay feature flag
  */
 function initTestimonialsCarousels() {
   const carousels = document.querySelectorAll('.testimonials-carousel');
   const instances = [];
+  const autoPlay = getAutoPlaySettings();
 
   carousels.forEach((container) => {
     try {
       const carousel = new TestimonialsCarousel(container, {
-        autoPlayInterval: 5000,
-        autoPlayEnabled: true,
+        autoPlayInterval: autoPlay.interval,
+        autoPlayEnabled: autoPlay.enabled,
         transitionDuration: 500,
         swipeThreshold: 50,
         pauseOnHover: true,
@@ -839,12 +881,26 @@ function initTestimonialsCarousels() {
   return instances;
 }
 
-// Auto-initialize on DOM ready
+// Auto-initialize when the DOM is ready, with the cached flags or the defaults,
+// and apply the fetched flag config once it arrives
 if (typeof document !== 'undefined') {
+  const start = () => {
+    const instances = initTestimonialsCarousels();
+
+    if (window.FitTrackFlags) {
+      window.FitTrackFlags.ready.then(() => {
+        const { enabled, interval } = getAutoPlaySettings();
+        instances.forEach((carousel) => carousel.setAutoPlay(enabled, interval));
+      }).catch((error) => {
+        console.error('[TestimonialsCarousel] Failed to apply feature flags', error);
+      });
+    }
+  };
+
   if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', initTestimonialsCarousels);
+    document.addEventListener('DOMContentLoaded', start);
   } else {
-    initTestimonialsCarousels();
+    start();
   }
 }
 
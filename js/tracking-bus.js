@@ -0,0 +1,455 @@
+/**
+ * Tracking Bus Module
+ * Single entry point for analytics events. Modules publish one canonical event per
+ * user action; the bus validates it against the schema registry, enriches it and
+ * fans it out to pluggable destinations (GA4 and the first-party collector via
+ * analytics.js; dataLayer and console, both off by default).
+ *
+ * @module tracking-bus
+ * @dependencies: js/event-schema.js (optional, validates events);
+ *   loaded before every module that publishes events
+ */
+
+(function () {
+  'use strict';
+
+  // ============================================
+  // CONFIGURATION
+  // ============================================
+
+  const CONFIG = Object.freeze({
+    dataLayerName: 'dataLayer',
+    dedupeWindow: 1000, // Same event name and dedupe key within this window counts once
+    historySize: 50,
+  });
+
+  const DESTINATIONS = Object.freeze({
+    GA4: 'ga4',
+    FIRST_PARTY: 'first-party',
+    DATA_LAYER: 'dataLayer',
+    CONSOLE: 'console',
+  });
+
+  // Delivery status of an event per destination, shown by the debug overlay
+  const DELIVERY = Object.freeze({
+    SENT: 'sent',
+    SENDING: 'sending', // Request in flight, the destination reports the outcome
+    QUEUED: 'queued', // Held until consent, transport or network is available
+    BLOCKED: 'blocked', // Transport blocked and no fallback available
+    DUPLICATE: 'duplicate',
+    DISABLED: 'disabled',
+    NO_CONSENT: 'no-consent',
+    REJECTED: 'rejected', // Failed schema validation
+    SKIPPED: 'skipped', // Destination chose not to handle the event
+    FAILED: 'failed',
+  });
+
+  // ============================================
+  // STATE MANAGEMENT
+  // ============================================
+
+  const state = {
+    debug: false,
+    destinations: new Map(),
+    enrichers: [],
+    subscribers: new Set(),
+    deliverySubscribers: new Set(),
+    deliveries: new Map(), // event id -> { destination: status }
+    recentKeys: new Map(),
+    history: [],
+  };
+
+  // ============================================
+  // UTILITY FUNCTIONS
+  // ============================================
+
+  /**
+   * Logs structured messages with context
+   * @param {string} level - Log level (info, warn, error)
+   * @param {string} message - Log message
+   * @param {Object} context - Additional context
+   */
+  function log(level, message, context = {}) {
+    if (level === 'error') {
+      console.error(`[TrackingBus] ${message}`, context);
+    } else if (level === 'warn') {
+      console.warn(`[TrackingBus] ${message}`, context);
+    } else {
+      console.log(`[TrackingBus] ${message}`, context);
+    }
+  }
+
+  /**
+   * Generates a unique event id
+   * @returns {string} Event id
+   */
+  function generateEventId() {
+    if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+      return window.crypto.randomUUID();
+    }
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+  }
+
+  /**
+   * Checks whether a consent purpose is granted
+   * @param {string|null} purpose - Consent purpose, null when none is required
+   * @returns {boolean}
+   */
+  function hasConsent(purpose) {
+    if (!purpose) {
+      return true;
+    }
+    const analytics = window.FitTrackAnalytics;
+    return Boolean(analytics && analytics.hasConsent(purpose));
+  }
+
+  /**
+   * Validates an event against the schema registry
+   * @param {string} name - Event name or deprecated alias
+   * @param {Object} params - Publisher params
+   * @returns {{valid: boolean, name: string, errors: string[], warnings: string[]}} Validation result
+   */
+  function validateEvent(name, params) {
+    const schema = window.FitTrackEventSchema;
+    if (!schema) {
+      return { valid: true, name, errors: [], warnings: [] };
+    }
+
+    const result = schema.validate(name, params);
+    return { ...result, name: result.name || name };
+  }
+
+  /**
+   * Checks and records the dedupe key of an event
+   * @param {string} name - Event name
+   * @param {string|undefined} dedupeKey - Key identifying the user action
+   * @returns {boolean} True if the same action was already published
+   */
+  function isDuplicate(name, dedupeKey) {
+    if (dedupeKey === undefined || dedupeKey === null) {
+      return false;
+    }
+
+    const key = `${name}:${dedupeKey}`;
+    const now = Date.now();
+    const lastSeen = state.recentKeys.get(key);
+
+    state.recentKeys.set(key, now);
+    return lastSeen !== undefined && now - lastSeen < CONFIG.dedupeWindow;
+  }
+
+  // ============================================
+  // DESTINATIONS
+  // ============================================
+
+  /**
+   * Registers a destination; a destination with the same name is replaced
+   * @param {string} name - Destination name
+   * @param {Function} handler - Receives each event ({id, name, params, timestamp, source, immediate});
+   *   may return a DELIVERY status, anything else counts as sent
+   * @param {Object} [options] - Destination options
+   * @param {boolean} [options.enabled=true] - Whether events are delivered
+   * @param {string|null} [options.consentPurpose=null] - Consent purpose required for delivery
+   */
+  function registerDestination(name, handler, options = {}) {
+    if (!name || typeof handler !== 'function') {
+      log('error', 'Invalid destination', { name });
+      return;
+    }
+
+    state.destinations.set(name, {
+      name,
+      handler,
+      enabled: options.enabled !== false,
+      consentPurpose: options.consentPurpose || null,
+    });
+  }
+
+  /**
+   * Removes a destination
+   * @param {string} name - Destination name
+   */
+  function unregisterDestination(name) {
+    state.destinations.delete(name);
+  }
+
+  /**
+   * Enables or disables a destination
+   * @param {string} name - Destination name
+   * @param {boolean} enabled - Whether events are delivered
+   */
+  function setDestinationEnabled(name, enabled) {
+    const destination = state.destinations.get(name);
+    if (!destination) {
+      log('warn', 'Unknown destination', { name });
+      return;
+    }
+    destination.enabled = enabled === true;
+  }
+
+  /**
+   * Lists registered destinations
+   * @returns {Array<{name: string, enabled: boolean, consentPurpose: (string|null)}>}
+   */
+  function getDestinations() {
+    return Array.from(state.destinations.values()).map((destination) => ({
+      name: destination.name,
+      enabled: destination.enabled,
+      consentPurpose: destination.consentPurpose,
+    }));
+  }
+
+  /**
+   * Pushes events to the dataLayer for Google Tag Manager, as { event, event_id, ...params }
+   * @param {Object} event - Bus event
+   */
+  function sendToDataLayer(event) {
+    window[CONFIG.dataLayerName] = window[CONFIG.dataLayerName] || [];
+    window[CONFIG.dataLayerName].push({
+      event: event.name,
+      event_id: event.id,
+      ...event.params,
+    });
+  }
+
+  /**
+   * Logs events to the console for debugging
+   * @param {Object} event - Bus event
+   */
+  function sendToConsole(event) {
+    log('info', `Event: ${event.name}`, { source: event.source, params: event.params });
+  }
+
+  // ============================================
+  // DELIVERY STATUS
+  // ============================================
+
+  /**
+   * Records the delivery status of an event for one destination
+   * Destinations that deliver asynchronously return DELIVERY.SENDING from their
+   * handler and report the outcome here; unknown event ids are ignored
+   * @param {string} eventId - Bus event id
+   * @param {string} destination - Destination name
+   * @param {string} status - DELIVERY status
+   */
+  function reportDelivery(eventId, destination, status) {
+    const deliveries = state.deliveries.get(eventId);
+    if (!deliveries) {
+      return;
+    }
+
+    deliveries[destination] = status;
+
+    state.deliverySubscribers.forEach((listener) => {
+      try {
+        listener(eventId, destination, status);
+      } catch (error) {
+        log('error', 'Delivery subscriber failed', { destination, error: error.message });
+      }
+    });
+  }
+
+  /**
+   * Gets the delivery status of a recent event per destination
+   * @param {string} eventId - Bus event id
+   * @returns {Object|null} Destination name -> DELIVERY status, null when not in the history
+   */
+  function getDeliveries(eventId) {
+    const deliveries = state.deliveries.get(eventId);
+    return deliveries ? { ...deliveries } : null;
+  }
+
+  /**
+   * Subscribes to delivery status changes of recent events
+   * @param {Function} listener - Receives (eventId, destination, status)
+   * @returns {Function} Unsubscribe function
+   */
+  function subscribeDeliveries(listener) {
+    state.deliverySubscribers.add(listener);
+    return () => state.deliverySubscribers.delete(listener);
+  }
+
+  /**
+   * Delivers an event to one destination
+   * @param {Object} destination - Registered destination
+   * @param {Object} event - Bus event
+   * @returns {string} DELIVERY status
+   */
+  function deliver(destination, event) {
+    if (!event.validation.valid) {
+      return DELIVERY.REJECTED;
+    }
+    if (!destination.enabled) {
+      return DELIVERY.DISABLED;
+    }
+    if (!hasConsent(destination.consentPurpose)) {
+      return DELIVERY.NO_CONSENT;
+    }
+
+    try {
+      const status = destination.handler(event);
+      return Object.values(DELIVERY).includes(status) ? status : DELIVERY.SENT;
+    } catch (error) {
+      log('error', 'Destination failed', { destination: destination.name, event: event.name, error: error.message });
+      return DELIVERY.FAILED;
+    }
+  }
+
+  // ============================================
+  // PUBLISHING
+  // ============================================
+
+  /**
+   * Registers a function that adds params to published events
+   * Enricher params never overwrite params set by the publisher
+   * @param {Function} enricher - Receives (name, params), returns extra params or null
+   */
+  function addEnricher(enricher) {
+    if (typeof enricher === 'function') {
+      state.enrichers.push(enricher);
+    }
+  }
+
+  /**
+   * Subscribes to every published event, whatever the destinations
+   * @param {Function} listener - Receives each event
+   * @returns {Function} Unsubscribe function
+   */
+  function subscribe(listener) {
+    state.subscribers.add(listener);
+    return () => state.subscribers.delete(listener);
+  }
+
+  /**
+   * Publishes an event to all enabled destinations
+   * Events failing schema validation are rejected; in debug mode they are kept in
+   * the history and passed to subscribers with their validation errors, but still
+   * never reach the destinations
+   * @param {string} name - Canonical event name (deprecated aliases are renamed)
+   * @param {Object} [params] - Event params
+   * @param {Object} [options] - Publish options
+   * @param {string} [options.source] - Publishing module, for debugging
+   * @param {string} [options.dedupeKey] - Identifies the user action; repeats are dropped
+   * @param {boolean} [options.immediate] - Page is unloading, destinations should beacon
+   * @returns {Object|null} Published event, or null when dropped
+   */
+  function publish(name, params = {}, options = {}) {
+    if (!name || typeof name !== 'string') {
+      log('error', 'Invalid event name provided', { name });
+      return null;
+    }
+
+    const validation = validateEvent(name, params);
+    const eventName = validation.name;
+
+    if (!validation.valid && !state.debug) {
+      log('error', 'Invalid event rejected', { event: name, errors: validation.errors });
+      return null;
+    }
+
+    if (state.debug && (validation.errors.length > 0 || validation.warnings.length > 0)) {
+      log('warn', `Schema issues for ${name}`, { errors: validation.errors, warnings: validation.warnings });
+    }
+
+    if (isDuplicate(eventName, options.dedupeKey)) {
+      return null;
+    }
+
+    const enrichedParams = { ...params };
+    state.enrichers.forEach((enricher) => {
+      try {
+        const extra = enricher(eventName, enrichedParams) || {};
+        Object.keys(extra).forEach((key) => {
+          if (enrichedParams[key] === undefined) {
+            enrichedParams[key] = extra[key];
+          }
+        });
+      } catch (error) {
+        log('error', 'Enricher failed', { event: eventName, error: error.message });
+      }
+    });
+
+    const event = Object.freeze({
+      id: generateEventId(),
+      name: eventName,
+      params: enrichedParams,
+      timestamp: new Date().toISOString(),
+      source: options.source || 'unknown',
+      immediate: options.immediate === true,
+      validation: Object.freeze({
+        valid: validation.valid,
+        errors: validation.errors,
+        warnings: validation.warnings,
+      }),
+    });
+
+    // Registered before delivery so asynchronous reports for this event are kept
+    const deliveries = {};
+    state.deliveries.set(event.id, deliveries);
+
+    state.destinations.forEach((destination) => {
+      const status = deliver(destination, event);
+      if (deliveries[destination.name] === undefined) {
+        deliveries[destination.name] = status;
+      }
+    });
+
+    state.history.push(event);
+    if (state.history.length > CONFIG.historySize) {
+      state.deliveries.delete(state.history.shift().id);
+    }
+
+    state.subscribers.forEach((listener) => {
+      try {
+        listener(event);
+      } catch (error) {
+        log('error', 'Subscriber failed', { event: eventName, error: error.message });
+      }
+    });
+
+    return event;
+  }
+
+  /**
+   * Enables or disables debug mode
+   * In debug mode schema issues are logged, invalid events are kept for inspection
+   * and the console destination is enabled
+   * @param {boolean} enabled - Whether debug mode is on
+   */
+  function setDebug(enabled) {
+    state.debug = enabled === true;
+    setDestinationEnabled(DESTINATIONS.CONSOLE, state.debug);
+  }
+
+  // ============================================
+  // BUILT-IN DESTINATIONS
+  // ============================================
+
+  // Off by default: the ga4 destination's gtag() calls already write every event to the
+  // same dataLayer, so a GTM container would see each action twice. Enable it only for a
+  // GTM setup that replaces the ga4 destination, and disable that one.
+  registerDestination(DESTINATIONS.DATA_LAYER, sendToDataLayer, { enabled: false, consentPurpose: 'analytics' });
+  registerDestination(DESTINATIONS.CONSOLE, sendToConsole, { enabled: false });
+
+  // ============================================
+  // PUBLIC API
+  // ============================================
+
+  window.FitTrackBus = Object.freeze({
+    DESTINATIONS,
+    DELIVERY,
+    publish,
+    subscribe,
+    subscribeDeliveries,
+    reportDelivery,
+    getDeliveries,
+    addEnricher,
+    registerDestination,
+    unregisterDestination,
+    setDestinationEnabled,
+    getDestinations,
+    setDebug,
+    isDebug: () => state.debug,
+    getHistory: () => state.history.slice(),
+  });
+})();
@@ -0,0 +1,197 @@
+/**
+ * Reference First-Party Analytics Collector
+ * Minimal Node.js server that accepts the collector payloads sent by
+ * js/analytics.js when gtag.js is blocked and appends one NDJSON line per event.
+ * Meant to sit behind the site's origin (e.g. proxied at /collect).
+ *
+ * Usage: npm run collector
+ * Environment: COLLECTOR_PORT (default 8787), COLLECTOR_PATH (default /collect),
+ *              COLLECTOR_OUTPUT (default data/events.ndjson)
+ *
+ * @module collector
+ * @dependencies: none (Node.js built-ins only)
+ */
+
+import { createServer } from 'node:http';
+import { appendFile, mkdir } from 'node:fs/promises';
+import { dirname, resolve } from 'node:path';
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+const CONFIG = Object.freeze({
+  port: Number(process.env.COLLECTOR_PORT) || 8787,
+  path: process.env.COLLECTOR_PATH || '/collect',
+  output: resolve(process.env.COLLECTOR_OUTPUT || 'data/events.ndjson'),
+  schemaVersion: 1,
+  maxBodyBytes: 64 * 1024,
+  maxEventsPerRequest: 50,
+});
+
+// ============================================
+// UTILITY FUNCTIONS
+// ============================================
+
+/**
+ * Logs structured messages with context
+ * @param {string} level - Log level (info, warn, error)
+ * @param {string} message - Log message
+ * @param {Object} context - Additional context
+ */
+function log(level, message, context = {}) {
+  const line = `[Collector] ${message}`;
+  if (level === 'error') {
+    console.error(line, context);
+  } else if (level === 'warn') {
+    console.warn(line, context);
+  } else {
+    console.log(line, context);
+  }
+}
+
+/**
+ * Reads a request body up to the configured size limit
+ * @param {import('node:http').IncomingMessage} request - Incoming request
+ * @returns {Promise<string>} Request body
+ */
+function readBody(request) {
+  return new Promise((resolveBody, rejectBody) => {
+    const chunks = [];
+    let size = 0;
+
+    request.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > CONFIG.maxBodyBytes) {
+        rejectBody(new Error('Payload too large'));
+        request.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    request.on('end', () => resolveBody(Buffer.concat(chunks).toString('utf8')));
+    request.on('error', rejectBody);
+  });
+}
+
+// ============================================
+// VALIDATION
+// ============================================
+
+/**
+ * Validates a collector payload against schema version 1
+ * @param {*} payload - Parsed request body
+ * @returns {string|null} Error description, or null when valid
+ */
+function validatePayload(payload) {
+  if (!payload || typeof payload !== 'object') {
+    return 'payload must be an object';
+  }
+  if (payload.schema_version !== CONFIG.schemaVersion) {
+    return `unsupported schema_version ${payload.schema_version}`;
+  }
+  if (!payload.page || typeof payload.page.location !== 'string') {
+    return 'page.location is required';
+  }
+  if (!Array.isArray(payload.events) || payload.events.length === 0) {
+    return 'events must be a non-empty array';
+  }
+  if (payload.events.length > CONFIG.maxEventsPerRequest) {
+    return `at most ${CONFIG.maxEventsPerRequest} events per request`;
+  }
+
+  const invalid = payload.events.find((event) => !event
+    || typeof event.id !== 'string'
+    || typeof event.name !== 'string'
+    || typeof event.timestamp !== 'string'
+    || (event.params !== undefined && (typeof event.params !== 'object' || event.params === null)));
+
+  return invalid ? 'each event needs string id, name and timestamp and an object params' : null;
+}
+
+/**
+ * Flattens a payload into one record per event
+ * @param {Object} payload - Valid collector payload
+ * @returns {Object[]} NDJSON records
+ */
+function toRecords(payload) {
+  const receivedAt = new Date().toISOString();
+
+  return payload.events.map((event) => ({
+    received_at: receivedAt,
+    sent_at: payload.sent_at || null,
+    measurement_id: payload.measurement_id || null,
+    page: payload.page,
+    consent: payload.consent || null,
+    event_id: event.id,
+    event_name: event.name,
+    event_timestamp: event.timestamp,
+    params: event.params || {},
+  }));
+}
+
+// ============================================
+// REQUEST HANDLING
+// ============================================
+
+/**
+ * Handles a collector request
+ * @param {import('node:http').IncomingMessage} request - Incoming request
+ * @param {import('node:http').ServerResponse} response - Server response
+ */
+async function handleRequest(request, response) {
+  const { pathname } = new URL(request.url, 'http://localhost');
+
+  if (pathname !== CONFIG.path) {
+    response.writeHead(404).end();
+    return;
+  }
+  if (request.method !== 'POST') {
+    response.writeHead(405, { Allow: 'POST' }).end();
+    return;
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(await readBody(request));
+  } catch (error) {
+    response.writeHead(400).end();
+    log('warn', 'Rejected unreadable payload', { error: error.message });
+    return;
+  }
+
+  const validationError = validatePayload(payload);
+  if (validationError) {
+    response.writeHead(422, { 'Content-Type': 'application/json' });
+    response.end(JSON.stringify({ error: validationError }));
+    log('warn', 'Rejected invalid payload', { error: validationError });
+    return;
+  }
+
+  try {
+    const records = toRecords(payload);
+    await appendFile(CONFIG.output, records.map((record) => JSON.stringify(record)).join('\n') + '\n');
+    response.writeHead(204).end();
+    log('info', 'Stored events', { count: records.length });
+  } catch (error) {
+    response.writeHead(500).end();
+    log('error', 'Failed to store events', { error: error.message });
+  }
+}
+
+// ============================================
+// SERVER
+// ============================================
+
+await mkdir(dirname(CONFIG.output), { recursive: true });
+
+createServer((request, response) => {
+  handleRequest(request, response).catch((error) => {
+    log('error', 'Unhandled collector error', { error: error.message });
+    if (!response.headersSent) {
+      response.writeHead(500).end();
+    }
+  });
+}).listen(CONFIG.port, () => {
+  log('info', `Listening on http://localhost:${CONFIG.port}${CONFIG.path}`, { output: CONFIG.output });
+});
@@ -0,0 +1,36 @@
+/**
+ * Tracking Plan Export
+ * Writes the event schema registry (js/event-schema.js) as a JSON tracking plan
+ * for analysts to review.
+ *
+ * Usage: npm run tracking-plan [-- <output.json>]
+ * Prints to stdout when no output path is given.
+ *
+ * @module export-tracking-plan
+ * @dependencies: none (Node.js built-ins only)
+ */
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import vm from 'node:vm';
+
+const SCHEMA_PATH = new URL('../js/event-schema.js', import.meta.url);
+
+/**
+ * Loads the browser schema registry in an isolated context
+ * @returns {Object} FitTrackEventSchema API
+ */
+function loadSchema() {
+  const context = { window: {} };
+  vm.runInNewContext(readFileSync(SCHEMA_PATH, 'utf8'), context);
+  return context.window.FitTrackEventSchema;
+}
+
+const plan = JSON.stringify(loadSchema().getTrackingPlan(), null, 2) + '\n';
+const outputPath = process.argv[2];
+
+if (outputPath) {
+  writeFileSync(outputPath, plan);
+  console.log(`[TrackingPlan] Written to ${outputPath}`);
+} else {
+  process.stdout.write(plan);
+}
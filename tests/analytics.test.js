@@ -0,0 +1,402 @@
+/**
+ * Analytics Tests
+ * Checks that events wait for consent and gtag.js, are dropped when consent is refused,
+ * and go to the first-party collector when gtag.js is blocked, and that the conversion
+ * funnel follows published events.
+ */
+
+import { afterEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createBrowser, flush, readSource } from './helpers/browser.js';
+
+describe('analytics consent queueing', () => {
+  let browser;
+  let analytics;
+
+  afterEach(() => browser.close());
+
+  /**
+   * Creates index.html in a region and runs analytics.js without the tracking bus
+   * @param {string} region - Region code passed as ?fittrack_region=
+   * @param {string[]} [before] - Scripts to load before analytics.js
+   */
+  async function setup(region, before = []) {
+    browser = await createBrowser({ url: `https://fittrack.example.com/?fittrack_region=${region}` });
+    browser.load(...before, 'js/analytics.js');
+    analytics = browser.window.FitTrackAnalytics;
+    await flush(); // Regional consent defaults resolve asynchronously
+  }
+
+  /**
+   * Finishes loading the gtag.js script added by analytics.js
+   */
+  function loadGtag() {
+    const script = Array.from(browser.document.querySelectorAll('script[src*="googletagmanager.com/gtag/js"]')).pop();
+    assert.equal(typeof script.onload, 'function', 'gtag.js was requested');
+    script.onload();
+  }
+
+  /**
+   * Lists the events pushed to the data layer with gtag('event', ...)
+   * The page also tracks events of its own (page scroll in jsdom reads as 100%)
+   * @param {string[]} names - Event names to include
+   * @returns {string[]} Event names, in order
+   */
+  function sentEvents(names = ['cta_click', 'section_view', 'user_engagement']) {
+    return Array.from(browser.window.dataLayer, (entry) => Array.from(entry))
+      .filter((args) => args[0] === 'event' && names.includes(args[1]))
+      .map((args) => args[1]);
+  }
+
+  /**
+   * Reads a Blob sent with sendBeacon; jsdom Blobs have no text()
+   * @param {Blob} blob - Beacon data
+   * @returns {Promise<string>} Blob contents
+   */
+  function readBlob(blob) {
+    return new Promise((resolve, reject) => {
+      const reader = new browser.window.FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsText(blob);
+    });
+  }
+
+  test('sets the consent default before GA is configured or gtag.js is requested', async () => {
+    // analytics.js is the only gtag.js loader; an inline tag in index.html would configure GA first
+    assert.doesNotMatch(readSource('index.html'), /googletagmanager\.com\/gtag\/js|gtag\(\s*'config'/);
+
+    await setup('DE');
+    const commands = Array.from(browser.window.dataLayer, (entry) => Array.from(entry).slice(0, 2).join(' '));
+
+    assert.equal(commands[0], 'consent default');
+    assert.ok(commands.indexOf('config G-XXXXXXXXXX') > 0);
+    assert.equal(browser.document.querySelector('script[src*="googletagmanager.com/gtag/js"]'), null);
+  });
+
+  test('queues events while consent is pending in opt-in regions', async () => {
+    await setup('DE');
+    const queued = analytics.getQueueSize();
+
+    analytics.trackEvent('cta_click', { cta_name: 'Hero Primary CTA' });
+
+    assert.equal(analytics.hasConsent('analytics'), false);
+    assert.equal(analytics.getQueueSize(), queued + 1);
+    assert.equal(analytics.getTransport(), 'pending');
+    assert.deepEqual(sentEvents(), []);
+  });
+
+  test('sends queued events once consent is granted and gtag.js has loaded', async () => {
+    await setup('DE');
+    analytics.trackEvent('cta_click', { cta_name: 'Hero Primary CTA' });
+    analytics.trackEvent('section_view', { section_name: 'features' });
+
+    analytics.updateConsent(true);
+    assert.ok(analytics.getQueueSize() >= 2);
+
+    loadGtag();
+
+    assert.equal(analytics.getQueueSize(), 0);
+    assert.deepEqual(sentEvents(), ['cta_click', 'section_view']);
+  });
+
+  test('drops queued events when consent is refused', async () => {
+    await setup('DE');
+    analytics.trackEvent('cta_click', { cta_name: 'Hero Primary CTA' });
+
+    analytics.updateConsent(false);
+    assert.equal(analytics.getQueueSize(), 0);
+
+    analytics.updateConsent(true);
+    loadGtag();
+    assert.deepEqual(sentEvents(), []);
+  });
+
+  test('sends events queued on an earlier page view once consent is granted', async () => {
+    await setup('DE', ['js/event-queue-store.js']);
+    analytics.trackEvent('cta_click', { cta_name: 'Hero Primary CTA' });
+    await flush();
+    const persisted = browser.window.localStorage.getItem('fittrack_event_queue');
+    assert.match(persisted, /cta_click/);
+    browser.close();
+
+    browser = await createBrowser({ url: 'https://fittrack.example.com/?fittrack_region=DE' });
+    browser.window.localStorage.setItem('fittrack_event_queue', persisted);
+    browser.load('js/event-queue-store.js', 'js/analytics.js');
+    analytics = browser.window.FitTrackAnalytics;
+    await flush();
+
+    analytics.updateConsent(true);
+    loadGtag();
+    await flush();
+
+    assert.deepEqual(sentEvents(), ['cta_click']);
+    assert.equal(browser.window.localStorage.getItem('fittrack_event_queue'), null);
+  });
+
+  test('keeps analytics-only consent separate from marketing', async () => {
+    await setup('DE');
+
+    analytics.updateConsent({ analytics: true, marketing: false });
+
+    const status = analytics.getConsentStatus();
+    assert.equal(status.purposes.analytics, true);
+    assert.equal(status.purposes.marketing, false);
+    assert.equal(status.decided, true);
+  });
+
+  test('grants consent by default in opt-out regions but still waits for gtag.js', async () => {
+    await setup('US');
+    analytics.trackEvent('cta_click', { cta_name: 'Hero Primary CTA' });
+
+    assert.equal(analytics.hasConsent('analytics'), true);
+    assert.ok(analytics.getQueueSize() >= 1);
+    assert.deepEqual(sentEvents(), []);
+
+    loadGtag();
+    assert.deepEqual(sentEvents(), ['cta_click']);
+  });
+
+  test('applies the region of a resolver set after init', async () => {
+    browser = await createBrowser();
+    browser.load('js/analytics.js');
+    analytics = browser.window.FitTrackAnalytics;
+    await flush();
+    assert.equal(analytics.getConsentStatus().consentModel, 'opt-in'); // Unknown region
+
+    await analytics.setRegionResolver(() => Promise.resolve('us'));
+
+    const status = analytics.getConsentStatus();
+    assert.equal(status.region, 'US');
+    assert.equal(status.consentModel, 'opt-out');
+    assert.equal(analytics.hasConsent('analytics'), true);
+
+    analytics.updateConsent(false);
+    await analytics.setRegionResolver(() => 'US');
+    assert.equal(analytics.hasConsent('analytics'), false); // The visitor's choice stands
+  });
+
+  test('keeps the experiment and rollout ids out of localStorage until analytics consent', async () => {
+    browser = await createBrowser({ url: 'https://fittrack.example.com/?fittrack_region=DE' });
+    const { localStorage, sessionStorage } = browser.window;
+    localStorage.setItem('fittrack_flags_config', JSON.stringify({ flags: { new_pricing: { rollout: 50 } } }));
+    browser.load('js/feature-flags.js', 'js/experiments.js', 'js/analytics.js');
+    analytics = browser.window.FitTrackAnalytics;
+    await flush();
+    browser.window.FitTrackFlags.isEnabled('new_pricing'); // Rollouts create the rollout id
+
+    const keys = ['fittrack_experiment_uid', 'fittrack_flags_uid'];
+    const ids = keys.map((key) => sessionStorage.getItem(key));
+    assert.ok(ids.every(Boolean));
+    assert.deepEqual(keys.map((key) => localStorage.getItem(key)), [null, null]);
+
+    analytics.updateConsent(true);
+    assert.deepEqual(keys.map((key) => localStorage.getItem(key)), ids);
+    assert.deepEqual(keys.map((key) => sessionStorage.getItem(key)), [null, null]);
+
+    analytics.updateConsent(false);
+    assert.deepEqual(keys.map((key) => localStorage.getItem(key)), [null, null]);
+    assert.deepEqual(keys.map((key) => sessionStorage.getItem(key)), ids);
+  });
+
+  test('counts the consent re-prompt on the collector even when the visitor rejects', async () => {
+    browser = await createBrowser({ url: 'https://fittrack.example.com/?fittrack_region=DE' });
+    browser.window.localStorage.setItem('fittrack_analytics_consent', JSON.stringify({
+      version: 2,
+      policyVersion: '2023-06-01',
+      purposes: { analytics: true, marketing: false, personalization: false },
+      expiry: new Date(Date.now() + 86400000).toISOString(),
+    }));
+    browser.load('js/session-manager.js', 'js/analytics.js');
+    analytics = browser.window.FitTrackAnalytics;
+    await flush();
+    analytics.updateConsent(false);
+
+    const beacons = browser.sendBeacon.calls.filter((call) => call.url === '/collect');
+    assert.equal(beacons.length, 1);
+    const payload = JSON.parse(await readBlob(beacons[0].data));
+    assert.equal(payload.events[0].name, 'consent_reprompt');
+    assert.deepEqual(payload.events[0].params, { previous_policy_version: '2023-06-01', current_policy_version: '2024-01-01' });
+    assert.equal(analytics.getQueueSize(), 0);
+  });
+
+  test('sends events fired while the page unloads with sendBeacon', async () => {
+    await setup('US', ['js/measurement-protocol.js']);
+    loadGtag();
+
+    analytics.trackEvent('user_engagement', { engagement_time_msec: 1200 }, true);
+
+    assert.equal(browser.sendBeacon.calls.length, 1);
+    assert.match(browser.sendBeacon.calls[0].url, /\/g\/collect\?v=2&tid=G-XXXXXXXXXX&.*en=user_engagement/);
+    assert.deepEqual(sentEvents(), []);
+  });
+
+  describe('when gtag.js is blocked', () => {
+    /**
+     * Fails every attempt to load gtag.js, including the delayed retries
+     */
+    function blockGtag() {
+      for (let attempt = 1; attempt <= 3; attempt += 1) {
+        const script = Array.from(browser.document.querySelectorAll('script[src*="googletagmanager.com/gtag/js"]')).pop();
+        script.onerror();
+        browser.clock.tick(1000 * attempt);
+      }
+    }
+
+    /**
+     * Replaces fetch, which jsdom lacks, with a recorder of collector requests
+     * @param {boolean} ok - Whether the collector accepts the requests
+     * @returns {Object[]} Request bodies, parsed
+     */
+    function stubFetch(ok) {
+      const bodies = [];
+      browser.window.fetch = (url, init) => {
+        assert.equal(url, '/collect');
+        bodies.push(JSON.parse(init.body));
+        return Promise.resolve({ ok });
+      };
+      return bodies;
+    }
+
+    /**
+     * Lists the event names in collector payloads
+     * @param {Object[]} payloads - Collector payloads
+     * @returns {string[]} Event names, in order
+     */
+    function collectedEvents(payloads) {
+      return payloads.flatMap((payload) => payload.events.map((event) => event.name)).filter((name) => name === 'cta_click');
+    }
+
+    test('sends queued events to the first-party collector', async () => {
+      await setup('US');
+      analytics.trackEvent('cta_click', { cta_name: 'Hero Primary CTA' });
+
+      blockGtag();
+      await flush();
+
+      const beacons = browser.sendBeacon.calls.filter((call) => call.url === '/collect');
+      const payloads = await Promise.all(beacons.map(async (call) => JSON.parse(await readBlob(call.data))));
+      const [event] = payloads.flatMap((payload) => payload.events).filter((entry) => entry.name === 'cta_click');
+      assert.equal(event.params.cta_name, 'Hero Primary CTA');
+      assert.ok(event.id);
+      assert.equal(analytics.getTransport(), 'first-party');
+      assert.equal(analytics.getQueueSize(), 0);
+      assert.deepEqual(sentEvents(), []);
+    });
+
+    test('sends new events straight to the collector and queues them again when it fails', async () => {
+      await setup('US');
+      blockGtag();
+      await flush();
+
+      const accepted = stubFetch(true);
+      analytics.trackEvent('cta_click', { cta_name: 'Hero Primary CTA' });
+      await flush();
+      assert.deepEqual(collectedEvents(accepted), ['cta_click']);
+      assert.equal(analytics.getQueueSize(), 0);
+
+      stubFetch(false);
+      analytics.trackEvent('cta_click', { cta_name: 'Footer CTA' });
+      await flush();
+      assert.equal(analytics.getQueueSize(), 1);
+    });
+
+    test('reports the collector outcome as the ga4 delivery on the tracking bus', async () => {
+      await setup('US', ['js/event-schema.js', 'js/tracking-bus.js']);
+      blockGtag();
+      await flush();
+      stubFetch(true);
+      const bus = browser.window.FitTrackBus;
+
+      const event = bus.publish('cta_click', { cta_name: 'Hero Primary CTA', cta_location: 'hero' });
+      assert.equal(bus.getDeliveries(event.id).ga4, 'sending');
+
+      await flush();
+      assert.equal(bus.getDeliveries(event.id).ga4, 'sent');
+    });
+  });
+});
+
+describe('conversion funnel', () => {
+  const FUNNEL_KEY = 'fittrack_funnel';
+  let browser;
+  let bus;
+
+  afterEach(() => browser.close());
+
+  /**
+   * Creates a page without tracked sections and runs analytics.js on the tracking bus
+   * @param {Object} [stored] - Funnel progress stored earlier in the session
+   */
+  async function setup(stored = null) {
+    browser = await createBrowser({ html: '<!DOCTYPE html><html lang="en"><body></body></html>', url: 'https://fittrack.example.com/?fittrack_region=US' });
+    if (stored) {
+      browser.window.sessionStorage.setItem(FUNNEL_KEY, JSON.stringify(stored));
+    }
+    browser.load('js/event-schema.js', 'js/tracking-bus.js', 'js/analytics.js');
+    bus = browser.window.FitTrackBus;
+    await flush();
+  }
+
+  /**
+   * Publishes a section_view
+   * @param {string} sectionName - Section name
+   */
+  function viewSection(sectionName) {
+    bus.publish('section_view', { section_name: sectionName, scroll_depth: 50 });
+  }
+
+  /**
+   * Lists the published funnel steps
+   * @returns {Array<[number, string]>} Step index and name, in order
+   */
+  function funnelSteps() {
+    return Array.from(bus.getHistory().filter((event) => event.name === 'funnel_step'), (event) => (
+      [event.params.step_index, event.params.step_name]
+    ));
+  }
+
+  test('reports each step once it is reached in order', async () => {
+    await setup();
+
+    viewSection('hero');
+    viewSection('workout-plans'); // Skips features_view, not a step yet
+    viewSection('features');
+    viewSection('hero'); // Already reached
+
+    assert.deepEqual(funnelSteps(), [[1, 'hero_view'], [2, 'features_view']]);
+    const [first] = bus.getHistory().filter((event) => event.name === 'funnel_step');
+    assert.equal(first.params.funnel_name, 'app_download');
+    assert.equal(first.params.time_since_previous_step_msec, 0);
+    assert.equal(first.validation.valid, true);
+
+    const funnel = browser.window.FitTrackAnalytics.getFunnelState();
+    assert.equal(funnel.furthestStep, 2);
+    assert.equal(funnel.furthestStepName, 'features_view');
+    assert.equal(funnel.completed, false);
+  });
+
+  test('carries progress over to the next page view of the session', async () => {
+    await setup();
+    viewSection('hero');
+    viewSection('features');
+    const stored = JSON.parse(browser.window.sessionStorage.getItem(FUNNEL_KEY));
+    browser.close();
+
+    await setup(stored);
+    viewSection('workout-plans');
+    viewSection('download');
+    bus.publish('app_store_click', { link_url: 'https://apps.apple.com/app/fittrack', store_name: 'ios', location: 'download' });
+
+    assert.deepEqual(funnelSteps(), [[3, 'workout_plans_view'], [4, 'download_view'], [5, 'app_store_click']]);
+    assert.equal(browser.window.FitTrackAnalytics.getFunnelState().completed, true);
+  });
+
+  test('starts over in a new session', async () => {
+    await setup({ name: 'app_download', sessionId: 'earlier-session', reachedAt: [Date.now() - 1000] });
+
+    assert.equal(browser.window.FitTrackAnalytics.getFunnelState().furthestStep, 0);
+    viewSection('hero');
+    assert.deepEqual(funnelSteps(), [[1, 'hero_view']]);
+  });
+});
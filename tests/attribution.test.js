@@ -0,0 +1,115 @@
+/**
+ * Attribution Tests
+ * Checks first- and last-touch capture, store link decoration, and that touches
+ * only stay in localStorage while analytics consent is granted.
+ */
+
+import { afterEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createBrowser, flush } from './helpers/browser.js';
+
+const STORAGE_KEY = 'fittrack_attribution';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('campaign attribution', () => {
+  let browser;
+
+  afterEach(() => browser.close());
+
+  /**
+   * Opens index.html and runs attribution.js
+   * @param {string} [search] - Landing query string
+   * @param {Object} [stored] - Touches stored in localStorage on an earlier visit
+   */
+  async function setup(search = '', stored = null) {
+    browser = await createBrowser({ url: `https://fittrack.example.com/${search}` });
+    if (stored) {
+      browser.window.localStorage.setItem(STORAGE_KEY, JSON.stringify(stored));
+    }
+    browser.load('js/attribution.js');
+    await flush();
+  }
+
+  /**
+   * Builds a stored touch that is still valid
+   * @param {Object} fields - Touch fields
+   * @returns {Object} Touch
+   */
+  function storedTouch(fields) {
+    return { ...fields, landing_page: '/', timestamp: new Date().toISOString(), expiresAt: Date.now() + DAY_MS };
+  }
+
+  test('records the landing campaign as first and last touch', async () => {
+    await setup('?utm_source=newsletter&utm_medium=email&utm_campaign=spring');
+    const attribution = browser.window.FitTrackAttribution;
+
+    assert.equal(attribution.getFirstTouch().source, 'newsletter');
+    assert.equal(attribution.getLastTouch().campaign, 'spring');
+    assert.deepEqual({ ...attribution.getEventParams() }, {
+      first_touch_source: 'newsletter',
+      first_touch_medium: 'email',
+      first_touch_campaign: 'spring',
+      last_touch_source: 'newsletter',
+      last_touch_medium: 'email',
+      last_touch_campaign: 'spring',
+    });
+  });
+
+  test('keeps the first touch and replaces the last touch on a later campaign', async () => {
+    await setup('?gclid=abc', { firstTouch: storedTouch({ source: 'newsletter', medium: 'email' }), lastTouch: null });
+    const attribution = browser.window.FitTrackAttribution;
+
+    assert.equal(attribution.getFirstTouch().source, 'newsletter');
+    assert.equal(attribution.getLastTouch().source, 'google');
+    assert.equal(attribution.getLastTouch().medium, 'cpc');
+    assert.equal(attribution.getEventParams().gclid, 'abc');
+  });
+
+  test('drops expired touches', async () => {
+    await setup('', { firstTouch: { ...storedTouch({ source: 'newsletter' }), expiresAt: Date.now() - 1 }, lastTouch: null });
+
+    assert.equal(browser.window.FitTrackAttribution.getFirstTouch(), null);
+  });
+
+  test('adds the campaign to store links without forwarding click ids', async () => {
+    await setup('?utm_source=newsletter&utm_medium=email&gclid=abc');
+    const attribution = browser.window.FitTrackAttribution;
+
+    const appStore = new URL(attribution.decorateStoreUrl('https://apps.apple.com/app/fittrack'));
+    const googlePlay = new URL(attribution.decorateStoreUrl('https://play.google.com/store/apps/details?id=com.fittrack'));
+
+    assert.equal(appStore.searchParams.get('ct'), 'newsletter_email');
+    assert.equal(googlePlay.searchParams.get('referrer'), 'utm_source=newsletter&utm_medium=email');
+    assert.doesNotMatch(appStore.href + googlePlay.href, /abc/);
+  });
+
+  test('moves touches between sessionStorage and localStorage with consent', async () => {
+    await setup('?utm_source=newsletter');
+    const { localStorage, sessionStorage } = browser.window;
+    const attribution = browser.window.FitTrackAttribution;
+
+    attribution.setPersistent(false);
+    assert.equal(localStorage.getItem(STORAGE_KEY), null);
+    assert.match(sessionStorage.getItem(STORAGE_KEY), /newsletter/);
+
+    attribution.setPersistent(true);
+    assert.match(localStorage.getItem(STORAGE_KEY), /newsletter/);
+    assert.equal(sessionStorage.getItem(STORAGE_KEY), null);
+  });
+
+  test('removes touches stored on a consented visit once consent is denied', async () => {
+    const stored = { firstTouch: storedTouch({ source: 'google', medium: 'cpc', gclid: 'abc' }), lastTouch: null };
+    browser = await createBrowser({ url: 'https://fittrack.example.com/?fittrack_region=DE' });
+    browser.window.localStorage.setItem(STORAGE_KEY, JSON.stringify(stored));
+    browser.load('js/attribution.js', 'js/analytics.js');
+    await flush();
+
+    const analytics = browser.window.FitTrackAnalytics;
+    assert.equal(analytics.hasConsent('analytics'), false); // Opt-in region, no decision yet
+    assert.equal(browser.window.localStorage.getItem(STORAGE_KEY), null);
+    assert.match(browser.window.sessionStorage.getItem(STORAGE_KEY), /"gclid":"abc"/); // Kept for this session
+
+    analytics.updateConsent(false);
+    assert.equal(browser.window.localStorage.getItem(STORAGE_KEY), null);
+  });
+});
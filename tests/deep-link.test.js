@@ -0,0 +1,194 @@
+/**
+ * Deep Link Tests
+ * Checks that store badge clicks on phones try the app first, and that
+ * link-tracking records whether it opened, fell back to the store or was cancelled.
+ */
+
+import { afterEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createBrowser, flush, readSource, recordBusEvents } from './helpers/browser.js';
+
+const IPHONE = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 Mobile/15E148';
+const DESKTOP = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 Chrome/120.0 Safari/537.36';
+const TIMEOUT = 1500;
+const PROMPT_TIMEOUT = 10000;
+
+describe('deep link handoff', () => {
+  let browser;
+  let published;
+
+  afterEach(() => browser.close());
+
+  /**
+   * Creates index.html for a visitor's device and runs link-tracking.js and deep-link.js
+   * @param {string} userAgent - navigator.userAgent
+   * @param {string} [status] - Run the real tracking bus with a ga4 destination that
+   *   returns this DELIVERY status, instead of recording published events
+   * @param {string} [search] - Query string; turns the deep_link flag on by default
+   */
+  async function setup(userAgent, status, search = '?fittrack_flags=deep_link:on') {
+    browser = await createBrowser({ url: `https://fittrack.example.com/${search}` });
+    browser.load('js/feature-flags.js');
+    if (status) {
+      browser.load('js/event-schema.js', 'js/tracking-bus.js');
+      browser.window.FitTrackBus.registerDestination(browser.window.FitTrackBus.DESTINATIONS.GA4, () => status);
+    } else {
+      published = recordBusEvents(browser.window);
+    }
+    Object.defineProperty(browser.window.navigator, 'userAgent', { value: userAgent });
+    browser.load('js/link-rules.js', 'js/link-tracking.js', 'js/deep-link.js');
+    await flush();
+  }
+
+  /**
+   * Clicks a download section badge
+   * @param {string} store - data-track-app-store value
+   * @returns {MouseEvent} The dispatched click
+   */
+  function clickBadge(store) {
+    const event = new browser.window.MouseEvent('click', { bubbles: true, cancelable: true, button: 0 });
+    browser.document.querySelector(`.download__buttons [data-track-app-store="${store}"]`).dispatchEvent(event);
+    return event;
+  }
+
+  /**
+   * Sets the page visibility and announces the change
+   * @param {string} visibilityState - visible or hidden
+   */
+  function setVisibility(visibilityState) {
+    Object.defineProperty(browser.document, 'visibilityState', { value: visibilityState, configurable: true });
+    browser.document.dispatchEvent(new browser.window.Event('visibilitychange'));
+  }
+
+  /**
+   * Gets the published deep_link_result events
+   * @returns {Object[]} Events
+   */
+  function results() {
+    return published.filter((event) => event.name === 'deep_link_result');
+  }
+
+  test('tries the app before the store on the visitor\'s own platform', async () => {
+    await setup(IPHONE);
+
+    const click = clickBadge('App Store');
+
+    assert.equal(click.defaultPrevented, true);
+    assert.deepEqual({ ...browser.window.FitTrackDeepLink.getPendingAttempt() }, {
+      appUrl: 'fittrack://open/download',
+      storeUrl: 'https://apps.apple.com/app/fittrack',
+    });
+    assert.deepEqual(results(), []);
+  });
+
+  test('falls back to the store when the page is still visible after the timeout', async () => {
+    await setup(IPHONE);
+    clickBadge('App Store');
+    const navigations = browser.navigations.length; // The app URL
+    let navigationsAtResult = null;
+    browser.document.addEventListener('fittrack:deeplink:result', () => {
+      navigationsAtResult = browser.navigations.length;
+    });
+
+    browser.clock.tick(TIMEOUT);
+    await flush();
+
+    // The result is announced, and sent for sendBeacon, before the store opens
+    assert.equal(navigationsAtResult, navigations);
+    assert.equal(browser.navigations.length, navigations + 1);
+
+    const [result] = results();
+    assert.equal(result.options.immediate, true);
+    assert.equal(result.params.outcome, 'store_fallback');
+    assert.equal(result.params.method, 'scheme');
+    assert.equal(result.params.platform, 'ios');
+    assert.equal(result.params.store_name, 'App Store');
+    assert.equal(result.params.location, 'download');
+    assert.ok(result.params.wait_msec >= 0);
+    assert.equal(browser.window.FitTrackDeepLink.getPendingAttempt(), null);
+
+    // The app is missing, so later clicks this session go straight to the store
+    assert.equal(clickBadge('App Store').defaultPrevented, false);
+  });
+
+  test('holds the store fallback until the result is delivered', async () => {
+    await setup(IPHONE, 'sending');
+    const bus = browser.window.FitTrackBus;
+    clickBadge('App Store');
+    const navigations = browser.navigations.length;
+
+    browser.clock.tick(TIMEOUT);
+    assert.equal(browser.navigations.length, navigations);
+
+    const result = bus.getHistory().find((event) => event.name === 'deep_link_result');
+    bus.reportDelivery(result.id, bus.DESTINATIONS.GA4, bus.DELIVERY.SENT);
+
+    assert.equal(browser.navigations.length, navigations + 1);
+    assert.equal(browser.window.LinkTracking.getStats().outbound.delivered, 1);
+  });
+
+  test('records opened when the app hides the page', async () => {
+    await setup(IPHONE);
+    clickBadge('App Store');
+
+    browser.window.dispatchEvent(new browser.window.Event('blur'));
+    setVisibility('hidden');
+    browser.clock.tick(TIMEOUT);
+    await flush();
+
+    assert.deepEqual(results().map((event) => event.params.outcome), ['opened']);
+    assert.equal(browser.window.sessionStorage.length, 0);
+  });
+
+  test('records cancelled when the open-in-app prompt is dismissed', async () => {
+    await setup(IPHONE);
+    clickBadge('App Store');
+
+    browser.window.dispatchEvent(new browser.window.Event('blur'));
+    browser.clock.tick(TIMEOUT); // Prompt still open: keep waiting for the answer
+    assert.deepEqual(results(), []);
+
+    browser.window.dispatchEvent(new browser.window.Event('focus'));
+    await flush();
+
+    assert.deepEqual(results().map((event) => event.params.outcome), ['cancelled']);
+  });
+
+  test('records cancelled when focus never comes back, and lets later taps through', async () => {
+    await setup(IPHONE);
+    clickBadge('App Store');
+
+    browser.window.dispatchEvent(new browser.window.Event('blur'));
+    browser.clock.tick(TIMEOUT);
+    browser.clock.tick(PROMPT_TIMEOUT);
+    await flush();
+
+    assert.deepEqual(results().map((event) => event.params.outcome), ['cancelled']);
+    assert.equal(browser.window.FitTrackDeepLink.getPendingAttempt(), null);
+
+    clickBadge('App Store');
+    assert.ok(browser.window.FitTrackDeepLink.getPendingAttempt()); // A new attempt starts
+  });
+
+  test('leaves the other store\'s badge to the plain store link', async () => {
+    await setup(IPHONE);
+
+    assert.equal(clickBadge('Google Play').defaultPrevented, false);
+    assert.equal(browser.window.FitTrackDeepLink.getPendingAttempt(), null);
+  });
+
+  test('stays off until the deep_link flag is turned on', async () => {
+    assert.equal(JSON.parse(readSource('config/feature-flags.json')).flags.deep_link.enabled, false);
+    await setup(IPHONE, undefined, '');
+
+    assert.equal(clickBadge('App Store').defaultPrevented, false);
+    assert.equal(browser.window.FitTrackDeepLink.getPendingAttempt(), null);
+  });
+
+  test('leaves desktop visitors to the plain store link', async () => {
+    await setup(DESKTOP);
+
+    assert.equal(clickBadge('App Store').defaultPrevented, false);
+    assert.equal(browser.window.FitTrackDeepLink.getPendingAttempt(), null);
+  });
+});
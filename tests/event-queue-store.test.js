@@ -0,0 +1,113 @@
+/**
+ * Event Queue Store Tests
+ * Checks that queued events survive a reload and stay within the size and
+ * time-to-live limits. jsdom has no IndexedDB, so the localStorage fallback is used.
+ */
+
+import { afterEach, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createBrowser } from './helpers/browser.js';
+
+const STORAGE_KEY = 'fittrack_event_queue';
+const TTL = 24 * 60 * 60 * 1000;
+
+describe('event queue store', () => {
+  let browser;
+  let queue;
+
+  beforeEach(async () => {
+    browser = await createBrowser({ url: 'https://fittrack.example.com/' });
+    queue = reload();
+  });
+
+  afterEach(() => browser.close());
+
+  /**
+   * Runs event-queue-store.js again, as a new page view with the same storage would
+   * @returns {Object} FitTrackEventQueue API
+   */
+  function reload() {
+    browser.load('js/event-queue-store.js');
+    return browser.window.FitTrackEventQueue;
+  }
+
+  /**
+   * Builds a queued cta_click
+   * @param {string} id - Event id
+   * @param {number} [queuedAt] - Queue time in milliseconds
+   * @returns {Object} Queue item
+   */
+  function item(id, queuedAt) {
+    return { id, eventName: 'cta_click', eventParams: { event_id: id, cta_name: 'Download Now' }, queuedAt };
+  }
+
+  /**
+   * Lists the ids of the stored items
+   * @param {Object} store - FitTrackEventQueue API
+   * @returns {Promise<string[]>} Ids, oldest first
+   */
+  async function storedIds(store) {
+    return Array.from(await store.getAll(), (stored) => stored.id);
+  }
+
+  test('keeps queued events across reloads', async () => {
+    await queue.add(item('a'));
+    await queue.add(item('b'));
+    assert.equal(queue.getBackend(), 'localStorage');
+
+    const items = await reload().getAll();
+
+    assert.deepEqual(Array.from(items, (stored) => stored.id), ['a', 'b']);
+    assert.equal(items[0].eventParams.cta_name, 'Download Now');
+    assert.equal(typeof items[0].queuedAt, 'number');
+  });
+
+  test('replaces an event queued again under the same id', async () => {
+    await queue.add(item('a'));
+    await queue.add({ ...item('a'), eventName: 'section_view' });
+
+    const items = await reload().getAll();
+
+    assert.equal(items.length, 1);
+    assert.equal(items[0].eventName, 'section_view');
+  });
+
+  test('removes sent events and clears the store', async () => {
+    await queue.add(item('a'));
+    await queue.add(item('b'));
+    await queue.add(item('c'));
+
+    await queue.remove(['a', 'c']);
+    assert.deepEqual(await storedIds(reload()), ['b']);
+
+    await queue.clear();
+    assert.equal(browser.window.localStorage.getItem(STORAGE_KEY), null);
+  });
+
+  test('drops events older than a day on the next read', async () => {
+    const now = Date.now();
+    browser.window.localStorage.setItem(STORAGE_KEY, JSON.stringify([item('old', now - TTL - 1), item('new', now)]));
+
+    assert.deepEqual(await storedIds(reload()), ['new']);
+    assert.doesNotMatch(browser.window.localStorage.getItem(STORAGE_KEY), /old/);
+  });
+
+  test('keeps the newest 200 events', async () => {
+    const now = Date.now();
+    for (let index = 0; index < 201; index += 1) {
+      await queue.add(item(`e${index}`, now - 201 + index));
+    }
+
+    const ids = await storedIds(reload());
+
+    assert.equal(ids.length, 200);
+    assert.equal(ids[0], 'e1');
+    assert.equal(ids[199], 'e200');
+  });
+
+  test('refuses events without an id', async () => {
+    await queue.add({ eventName: 'cta_click', eventParams: {} });
+
+    assert.deepEqual(await storedIds(queue), []);
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * Event Schema Tests
+ * Checks validation against the tracking plan and that the tracking bus keeps
+ * invalid events away from the destinations.
+ */
+
+import { afterEach, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createBrowser } from './helpers/browser.js';
+
+const CTA = { cta_name: 'Download Now', cta_location: 'hero' };
+
+describe('event schema', () => {
+  let browser;
+  let schema;
+
+  beforeEach(async () => {
+    browser = await createBrowser({ url: 'https://fittrack.example.com/' });
+    browser.load('js/event-schema.js');
+    schema = browser.window.FitTrackEventSchema;
+  });
+
+  afterEach(() => browser.close());
+
+  test('accepts events that match the plan', () => {
+    const result = schema.validate('cta_click', { ...CTA, event_id: 'e1', session_number: 2 });
+
+    assert.equal(result.valid, true);
+    assert.equal(result.name, 'cta_click');
+    assert.deepEqual([...result.errors], []);
+    assert.deepEqual([...result.warnings], []);
+  });
+
+  test('reports missing, mistyped and out-of-range params as errors', () => {
+    assert.deepEqual([...schema.validate('cta_click', { cta_name: 'Download Now' }).errors], ['cta_location is required']);
+    assert.deepEqual([...schema.validate('scroll_milestone', { percent_scrolled: '50' }).errors], ['percent_scrolled must be integer']);
+    assert.deepEqual([...schema.validate('scroll_milestone', { percent_scrolled: 60 }).errors], ['percent_scrolled must be one of 25, 50, 75, 90, 100']);
+    assert.deepEqual([...schema.validate('cta_click', { ...CTA, cta_location: 'x'.repeat(51) }).errors], ['cta_location exceeds 50 characters']);
+  });
+
+  test('rejects unknown events', () => {
+    const result = schema.validate('made_up_event', {});
+
+    assert.equal(result.valid, false);
+    assert.equal(result.name, null);
+    assert.deepEqual([...result.errors], ['unknown event made_up_event']);
+  });
+
+  test('renames deprecated aliases and warns about params outside the plan', () => {
+    const result = schema.validate('app_store_badge_click', {
+      link_url: 'https://apps.apple.com/app/fittrack',
+      store_name: 'app_store',
+      location: 'download',
+      badge_color: 'black',
+    });
+
+    assert.equal(result.valid, true);
+    assert.equal(result.name, 'app_store_click');
+    assert.equal(result.deprecated, true);
+    assert.deepEqual([...result.warnings], [
+      'badge_color is not in the tracking plan',
+      'app_store_badge_click is deprecated, use app_store_click',
+    ]);
+  });
+
+  test('warns once a param exceeds its cardinality on the page', () => {
+    const names = Array.from({ length: 51 }, (_, index) => `cta_${index}`);
+    const warnings = names.map((name) => schema.validate('cta_click', { ...CTA, cta_name: name }).warnings);
+
+    assert.deepEqual([...warnings[49]], []);
+    assert.deepEqual([...warnings[50]], ['cta_name exceeds 50 distinct values']);
+  });
+
+  test('lists the params GA may receive without the internal global params', () => {
+    const names = schema.getParamNames('cta_click');
+
+    assert.ok(names.includes('cta_name'));
+    assert.ok(names.includes('session_number'));
+    assert.equal(names.includes('event_id'), false);
+    assert.equal(names.includes('gclid'), false);
+    assert.equal(schema.getParamNames('made_up_event'), null);
+  });
+
+  describe('on the tracking bus', () => {
+    let bus;
+    let received;
+
+    beforeEach(() => {
+      browser.load('js/tracking-bus.js');
+      bus = browser.window.FitTrackBus;
+      received = [];
+      bus.registerDestination('collector', (event) => {
+        received.push(event);
+      });
+    });
+
+    test('drops invalid events before any destination', () => {
+      assert.equal(bus.publish('cta_click', { cta_name: 'Download Now' }), null);
+      assert.equal(bus.publish('made_up_event', {}), null);
+
+      assert.equal(received.length, 0);
+      assert.equal(bus.getHistory().length, 0);
+    });
+
+    test('keeps invalid events for inspection in debug mode, still undelivered', () => {
+      bus.setDebug(true);
+
+      const event = bus.publish('cta_click', { cta_name: 'Download Now' });
+
+      assert.equal(received.length, 0);
+      assert.equal(event.validation.valid, false);
+      assert.deepEqual([...event.validation.errors], ['cta_location is required']);
+      assert.equal(bus.getDeliveries(event.id).collector, 'rejected');
+    });
+
+    test('delivers deprecated aliases under the canonical name', () => {
+      bus.publish('app_store_badge_click', {
+        link_url: 'https://apps.apple.com/app/fittrack',
+        store_name: 'app_store',
+        location: 'download',
+      });
+
+      assert.equal(received[0].name, 'app_store_click');
+    });
+  });
+});
@@ -0,0 +1,114 @@
+/**
+ * Experiments Tests
+ * Checks deterministic variant assignment, the QA override and the event params.
+ * The example experiments ship inactive, so assignment tests run a copy of
+ * experiments.js with them switched on.
+ */
+
+import { afterEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createBrowser, readSource } from './helpers/browser.js';
+
+const UID_KEY = 'fittrack_experiment_uid';
+const ACTIVE_SOURCE = readSource('js/experiments.js').replace(/active: false/g, 'active: true');
+
+describe('experiments', () => {
+  let browser;
+
+  afterEach(() => browser.close());
+
+  /**
+   * Opens index.html with a stored assignment id and runs experiments.js
+   * @param {Object} [options]
+   * @param {string} [options.uid] - Assignment id stored on an earlier visit
+   * @param {string} [options.search] - Query string
+   * @param {boolean} [options.active] - Switch the example experiments on
+   * @returns {Promise<Object>} FitTrackExperiments API
+   */
+  async function setup({ uid = null, search = '', active = false } = {}) {
+    browser = await createBrowser({ url: `https://fittrack.example.com/${search}` });
+    if (uid) {
+      browser.window.localStorage.setItem(UID_KEY, uid);
+    }
+    runExperiments(active);
+    return browser.window.FitTrackExperiments;
+  }
+
+  /**
+   * Runs experiments.js in the current page, as a new page view would
+   * @param {boolean} active - Switch the example experiments on
+   */
+  function runExperiments(active) {
+    if (active) {
+      browser.window.eval(ACTIVE_SOURCE);
+    } else {
+      browser.load('js/experiments.js');
+    }
+  }
+
+  /**
+   * Builds a fixed assignment id shaped like the generated ones (time and random part in base 36)
+   * @param {number} index - Visitor number
+   * @returns {string} Assignment id
+   */
+  function uidAt(index) {
+    return (1700000000000 + index * 7919).toString(36) + (Math.imul(index + 1, 2654435761) >>> 0).toString(36);
+  }
+
+  test('ships the example experiments inactive', async () => {
+    const experiments = await setup({ uid: 'visitor-1' });
+
+    assert.deepEqual({ ...experiments.getAssignments() }, {});
+    assert.equal(experiments.getEventParams(), null);
+    assert.match(browser.document.querySelector('.hero__headline').textContent, /Transform Your Fitness Journey/);
+  });
+
+  test('assigns the same variants to the same visitor on every page view', async () => {
+    const first = { ...(await setup({ uid: 'visitor-1', active: true })).getAssignments() };
+    browser.close();
+    const second = { ...(await setup({ uid: 'visitor-1', active: true })).getAssignments() };
+
+    assert.deepEqual(Object.keys(first), ['hero_copy_v1', 'cta_label_v1']);
+    assert.deepEqual(second, first);
+    assert.equal(browser.window.localStorage.getItem(UID_KEY), 'visitor-1');
+  });
+
+  test('splits visitors between the variants by weight', async () => {
+    const experiments = await setup({ uid: uidAt(0), active: true });
+    const counts = { control: 0, benefit_headline: 0 };
+    counts[experiments.getVariant('hero_copy_v1')] += 1;
+
+    for (let index = 1; index < 200; index += 1) {
+      browser.window.localStorage.setItem(UID_KEY, uidAt(index));
+      runExperiments(true);
+      counts[browser.window.FitTrackExperiments.getVariant('hero_copy_v1')] += 1;
+    }
+
+    assert.equal(counts.control + counts.benefit_headline, 200);
+    assert.ok(counts.control > 70 && counts.benefit_headline > 70, JSON.stringify(counts));
+  });
+
+  test('forces variants with the QA override, even for inactive experiments', async () => {
+    const experiments = await setup({ search: '?fittrack_exp=hero_copy_v1:benefit_headline,cta_label_v1:unknown' });
+
+    assert.equal(experiments.getVariant('hero_copy_v1'), 'benefit_headline');
+    assert.equal(experiments.isOverridden('hero_copy_v1'), true);
+    assert.equal(experiments.getVariant('cta_label_v1'), null);
+    assert.deepEqual({ ...experiments.getEventParams() }, { experiment_id: 'hero_copy_v1', variant: 'benefit_headline' });
+    assert.equal(browser.document.querySelector('.hero__headline').textContent, 'Get Stronger With a Plan Built for You');
+    assert.equal(browser.document.documentElement.classList.contains('fittrack-experiments-loading'), false);
+  });
+
+  test('keeps the assignment id in sessionStorage until analytics consent', async () => {
+    const experiments = await setup();
+    const { localStorage, sessionStorage } = browser.window;
+    const uid = sessionStorage.getItem(UID_KEY);
+
+    assert.ok(uid);
+    assert.equal(localStorage.getItem(UID_KEY), null);
+
+    experiments.setPersistent(true);
+    assert.equal(localStorage.getItem(UID_KEY), uid);
+    assert.equal(sessionStorage.getItem(UID_KEY), null);
+  });
+});
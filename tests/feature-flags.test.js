@@ -0,0 +1,148 @@
+/**
+ * Feature Flags Tests
+ * Checks the resolution order (query string, QA overrides, config, default), the
+ * cached and fetched config, and that percentage rollouts are stable per visitor.
+ */
+
+import { afterEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createBrowser, flush, readSource } from './helpers/browser.js';
+
+const CACHE_KEY = 'fittrack_flags_config';
+const UID_KEY = 'fittrack_flags_uid';
+const SHIPPED_CONFIG = JSON.parse(readSource('config/feature-flags.json'));
+
+describe('feature flags', () => {
+  let browser;
+
+  afterEach(() => browser.close());
+
+  /**
+   * Opens index.html and runs feature-flags.js
+   * @param {Object} [options]
+   * @param {string} [options.search] - Query string
+   * @param {Object} [options.cached] - Config cached on an earlier page view
+   * @param {Function} [options.fetch] - Stand-in for fetch, which jsdom lacks
+   * @returns {Promise<Object>} FitTrackFlags API
+   */
+  async function setup({ search = '', cached = null, fetch = null } = {}) {
+    browser = await createBrowser({ url: `https://fittrack.example.com/${search}` });
+    if (cached) {
+      browser.window.localStorage.setItem(CACHE_KEY, JSON.stringify(cached));
+    }
+    if (fetch) {
+      browser.window.fetch = fetch;
+    }
+    browser.load('js/feature-flags.js');
+    return browser.window.FitTrackFlags;
+  }
+
+  /**
+   * Builds a fetch stand-in answering with a config
+   * @param {Object} config - Config to serve
+   * @param {number} [status] - HTTP status
+   * @returns {Function} fetch
+   */
+  function serve(config, status = 200) {
+    return () => Promise.resolve({ ok: status === 200, status, json: () => Promise.resolve(config) });
+  }
+
+  /**
+   * Builds a fixed rollout id shaped like the generated ones (time and random part in base 36)
+   * @param {number} index - Visitor number
+   * @returns {string} Rollout id
+   */
+  function uidAt(index) {
+    return (1700000000000 + index * 7919).toString(36) + (Math.imul(index + 1, 2654435761) >>> 0).toString(36);
+  }
+
+  test('starts with the cached config and sets the classes of flags that are off', async () => {
+    const flags = await setup({
+      cached: { flags: { hero_animations: { enabled: false, disabledClass: 'no-animations' } } },
+    });
+
+    assert.equal(flags.isEnabled('hero_animations'), false);
+    assert.equal(browser.document.documentElement.classList.contains('no-animations'), true);
+    assert.equal(flags.isEnabled('unconfigured'), true);
+    assert.equal(flags.isEnabled('unconfigured', false), false);
+  });
+
+  test('applies the fetched config and caches it for the next page view', async () => {
+    const flags = await setup({ fetch: serve(SHIPPED_CONFIG) });
+    await flags.ready;
+
+    assert.equal(flags.isConfigLoaded(), true);
+    assert.equal(flags.getParam('carousel_autoplay', 'interval', 0), 5000);
+    assert.equal(flags.getParam('carousel_autoplay', 'missing', 'fallback'), 'fallback');
+    assert.equal(flags.isEnabled('deep_link'), false);
+    assert.deepEqual(JSON.parse(browser.window.localStorage.getItem(CACHE_KEY)), SHIPPED_CONFIG);
+  });
+
+  test('keeps the cached config when the fetch fails', async () => {
+    const flags = await setup({
+      cached: { flags: { qr_code: { enabled: false } } },
+      fetch: serve(null, 500),
+    });
+    await flags.ready;
+
+    assert.equal(flags.isConfigLoaded(), false);
+    assert.equal(flags.isEnabled('qr_code'), false);
+  });
+
+  test('stops waiting for a slow config after the timeout', async () => {
+    const flags = await setup({ fetch: () => new Promise(() => {}) });
+    let ready = false;
+    flags.ready.then(() => {
+      ready = true;
+    });
+
+    await flush();
+    assert.equal(ready, false);
+
+    browser.clock.tick(1000);
+    await flush();
+    assert.equal(ready, true);
+    assert.equal(flags.isConfigLoaded(), false);
+  });
+
+  test('lets the query string win over QA overrides, and overrides win over the config', async () => {
+    const flags = await setup({
+      search: '?fittrack_flags=hero_animations:off,qr_code:maybe',
+      cached: SHIPPED_CONFIG,
+    });
+
+    flags.setOverride('hero_animations', true);
+    flags.setOverride('qr_code', false);
+
+    const all = flags.getAll();
+    assert.equal(all.hero_animations.enabled, false);
+    assert.equal(all.hero_animations.source, 'query');
+    assert.equal(all.qr_code.enabled, false);
+    assert.equal(all.qr_code.source, 'override');
+    assert.equal(browser.document.documentElement.classList.contains('no-animations'), true);
+
+    flags.setOverride('qr_code', null);
+    assert.equal(flags.isEnabled('qr_code'), true);
+    assert.equal(browser.window.localStorage.getItem('fittrack_flag_overrides'), JSON.stringify({ hero_animations: true }));
+  });
+
+  test('keeps each visitor in or out of a rollout on every page view', async () => {
+    await setup({ cached: { flags: { new_pricing: { rollout: 50 }, everyone: { rollout: 100 }, nobody: { rollout: 0 } } } });
+    let enrolled = 0;
+
+    for (let index = 0; index < 100; index += 1) {
+      const views = [0, 1].map(() => {
+        browser.window.sessionStorage.setItem(UID_KEY, JSON.stringify(uidAt(index)));
+        browser.load('js/feature-flags.js');
+        return browser.window.FitTrackFlags;
+      });
+
+      assert.equal(views[0].isEnabled('new_pricing'), views[1].isEnabled('new_pricing'), `visitor ${index}`);
+      assert.equal(views[0].isEnabled('everyone'), true);
+      assert.equal(views[0].isEnabled('nobody'), false);
+      enrolled += views[0].isEnabled('new_pricing') ? 1 : 0;
+    }
+
+    assert.ok(enrolled > 30 && enrolled < 70, `${enrolled} of 100 enrolled`);
+  });
+});
@@ -0,0 +1,148 @@
+/**
+ * Browser Test Harness
+ * Runs the classic scripts in js/ inside a jsdom window, the way index.html loads
+ * them after parsing, with fakes for the APIs jsdom lacks and a manual clock.
+ */
+
+import { readFileSync } from 'node:fs';
+import { JSDOM, VirtualConsole } from 'jsdom';
+import {
+  FakeClock,
+  createImage,
+  createIntersectionObserver,
+  createMatchMedia,
+  createPerformanceObserver,
+  createResizeObserver,
+  createSendBeacon,
+} from './fakes.js';
+
+const ROOT = new URL('../../', import.meta.url);
+
+/**
+ * Reads a file relative to the repository root
+ * @param {string} path - Relative path, e.g. "js/navigation.js"
+ * @returns {string} File contents
+ */
+export function readSource(path) {
+  return readFileSync(new URL(path, ROOT), 'utf8');
+}
+
+/**
+ * Waits until pending promise callbacks have run
+ * @returns {Promise<void>}
+ */
+export function flush() {
+  return new Promise((resolve) => setImmediate(resolve));
+}
+
+/**
+ * Creates a parsed jsdom page with browser fakes installed
+ * Scripts in the markup never run; load modules with browser.load().
+ * @param {Object} [options]
+ * @param {string} [options.html] - Page markup, defaults to index.html
+ * @param {string} [options.url] - Page URL
+ * @param {Object<string, boolean>} [options.media] - matchMedia results per query
+ * @param {function(string, number): boolean} [options.imageLoads] - Image load results, see createImage()
+ * @param {boolean} [options.intersectionObserver=true] - False leaves IntersectionObserver undefined
+ * @returns {Promise<Object>} Browser: { window, document, clock, errors, navigations, load, close, ... }
+ */
+export async function createBrowser(options = {}) {
+  const errors = [];
+  const navigations = [];
+  const virtualConsole = new VirtualConsole();
+  virtualConsole.on('error', (...args) => errors.push(args));
+  virtualConsole.on('jsdomError', (error) => {
+    // Link clicks and location changes request a navigation, which jsdom does not implement
+    if (/navigation/i.test(error.message)) {
+      navigations.push(error);
+    } else {
+      errors.push([error]);
+    }
+  });
+
+  const dom = new JSDOM(options.html === undefined ? readSource('index.html') : options.html, {
+    url: options.url || 'https://fittrack.example.com/',
+    runScripts: 'outside-only',
+    pretendToBeVisual: true,
+    virtualConsole,
+  });
+  const { window } = dom;
+
+  const clock = new FakeClock();
+  clock.install(window);
+
+  const { IntersectionObserver, IntersectionObserverEntry } = createIntersectionObserver();
+  if (options.intersectionObserver !== false) {
+    window.IntersectionObserver = IntersectionObserver;
+    window.IntersectionObserverEntry = IntersectionObserverEntry;
+  }
+
+  const ResizeObserver = createResizeObserver();
+  const PerformanceObserver = createPerformanceObserver();
+  const Image = createImage(options.imageLoads);
+  const sendBeacon = createSendBeacon();
+  const matchMedia = createMatchMedia(options.media);
+
+  window.ResizeObserver = ResizeObserver;
+  window.PerformanceObserver = PerformanceObserver;
+  window.Image = Image;
+  window.matchMedia = matchMedia;
+  window.TextEncoder = TextEncoder; // Missing from jsdom; Node's is the same standard API
+  Object.defineProperty(window.navigator, 'sendBeacon', { value: sendBeacon, configurable: true });
+
+  if (window.document.readyState === 'loading') {
+    await new Promise((resolve) => window.document.addEventListener('DOMContentLoaded', resolve, { once: true }));
+  }
+
+  return {
+    window,
+    document: window.document,
+    clock,
+    errors, // console.error calls and uncaught errors in the page
+    navigations, // Navigations requested by the page, which jsdom does not perform
+    IntersectionObserver,
+    ResizeObserver,
+    PerformanceObserver,
+    Image,
+    sendBeacon,
+    matchMedia,
+
+    /**
+     * Runs scripts in the page, in order
+     * @param {...string} paths - Paths relative to the repository root
+     * @returns {Object} CommonJS exports of the last script, if it sets module.exports
+     */
+    load(...paths) {
+      window.module = { exports: {} };
+      paths.forEach((path) => window.eval(readSource(path)));
+      const { exports } = window.module;
+      delete window.module;
+      return exports;
+    },
+
+    /**
+     * Stops the page and its timers
+     */
+    close() {
+      clock.timers.clear();
+      window.close();
+    },
+  };
+}
+
+/**
+ * Replaces the tracking bus with a recorder of published events
+ * @param {Window} window - jsdom window
+ * @returns {Object[]} Published events: { name, params, options }
+ */
+export function recordBusEvents(window) {
+  const published = [];
+  window.FitTrackBus = {
+    publish: (name, params, options) => {
+      published.push({ name, params, options });
+    },
+    isDebug: () => false,
+    addEnricher: () => {},
+  };
+  return published;
+}
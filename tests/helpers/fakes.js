@@ -0,0 +1,336 @@
+/**
+ * Browser API Fakes
+ * Stand-ins for the browser APIs jsdom does not implement, plus a manual clock.
+ * Each factory returns a fresh class or function so tests never share instances.
+ */
+
+// ============================================
+// TIMERS
+// ============================================
+
+/**
+ * Manual clock replacing the timer functions of a window
+ * Timers only run when the test advances the clock with tick(). Date is not faked.
+ */
+export class FakeClock {
+  constructor() {
+    this.now = 0;
+    this.nextId = 1;
+    this.timers = new Map(); // id -> { callback, args, at, interval }
+  }
+
+  /**
+   * Replaces setTimeout, setInterval and requestAnimationFrame on a window
+   * @param {Window} window - jsdom window
+   */
+  install(window) {
+    window.setTimeout = (callback, delay, ...args) => this.schedule(callback, delay, args, null);
+    window.setInterval = (callback, delay, ...args) => this.schedule(callback, delay, args, delay || 0);
+    window.clearTimeout = (id) => this.timers.delete(id);
+    window.clearInterval = (id) => this.timers.delete(id);
+    window.requestAnimationFrame = (callback) => this.schedule(() => callback(this.now), 16, [], null);
+    window.cancelAnimationFrame = (id) => this.timers.delete(id);
+  }
+
+  /**
+   * Registers a timer
+   * @param {Function} callback - Timer callback
+   * @param {number} delay - Delay in ms
+   * @param {Array} args - Callback arguments
+   * @param {number|null} interval - Repeat interval, null for one-shot timers
+   * @returns {number} Timer id
+   */
+  schedule(callback, delay, args, interval) {
+    const id = this.nextId;
+    this.nextId += 1;
+    this.timers.set(id, { callback, args, at: this.now + Math.max(0, delay || 0), interval });
+    return id;
+  }
+
+  /**
+   * Advances the clock, running due timers in order
+   * @param {number} ms - Time to advance
+   */
+  tick(ms) {
+    const end = this.now + ms;
+
+    for (;;) {
+      let nextId = null;
+      this.timers.forEach((timer, id) => {
+        if (timer.at <= end && (nextId === null || timer.at < this.timers.get(nextId).at)) {
+          nextId = id;
+        }
+      });
+      if (nextId === null) {
+        break;
+      }
+
+      const timer = this.timers.get(nextId);
+      this.now = timer.at;
+      if (timer.interval === null) {
+        this.timers.delete(nextId);
+      } else {
+        timer.at += Math.max(1, timer.interval);
+      }
+      timer.callback(...timer.args);
+    }
+
+    this.now = end;
+  }
+
+  /**
+   * Counts pending timers
+   * @returns {number}
+   */
+  get pending() {
+    return this.timers.size;
+  }
+}
+
+// ============================================
+// OBSERVERS
+// ============================================
+
+/**
+ * Creates an IntersectionObserver fake and its entry class
+ * Tests report visibility changes with FakeIntersectionObserver.trigger()
+ * @returns {{IntersectionObserver: Function, IntersectionObserverEntry: Function}}
+ */
+export function createIntersectionObserver() {
+  class IntersectionObserverEntry {
+    constructor(init) {
+      Object.assign(this, init);
+    }
+  }
+  IntersectionObserverEntry.prototype.intersectionRatio = 0;
+
+  class IntersectionObserver {
+    constructor(callback, options = {}) {
+      this.callback = callback;
+      this.options = options;
+      this.targets = new Set();
+      IntersectionObserver.instances.push(this);
+    }
+
+    observe(target) {
+      this.targets.add(target);
+    }
+
+    unobserve(target) {
+      this.targets.delete(target);
+    }
+
+    disconnect() {
+      this.targets.clear();
+    }
+
+    takeRecords() {
+      return [];
+    }
+
+    /**
+     * Reports observed targets entering or leaving the viewport, on every instance
+     * @param {Element|Element[]} targets - Targets whose visibility changed
+     * @param {number} [ratio=1] - Visible share, 0 means the targets left the viewport
+     */
+    static trigger(targets, ratio = 1) {
+      const list = [].concat(targets);
+
+      IntersectionObserver.instances.forEach((observer) => {
+        const entries = list
+          .filter((target) => observer.targets.has(target))
+          .map((target) => new IntersectionObserverEntry({
+            target,
+            isIntersecting: ratio > 0,
+            intersectionRatio: ratio,
+            boundingClientRect: target.getBoundingClientRect(),
+            time: 0,
+          }));
+
+        if (entries.length > 0) {
+          observer.callback(entries, observer);
+        }
+      });
+    }
+  }
+  IntersectionObserver.instances = [];
+
+  return { IntersectionObserver, IntersectionObserverEntry };
+}
+
+/**
+ * Creates a ResizeObserver fake
+ * @returns {Function} ResizeObserver class; trigger() reports a resize of every target
+ */
+export function createResizeObserver() {
+  class ResizeObserver {
+    constructor(callback) {
+      this.callback = callback;
+      this.targets = new Set();
+      ResizeObserver.instances.push(this);
+    }
+
+    observe(target) {
+      this.targets.add(target);
+    }
+
+    unobserve(target) {
+      this.targets.delete(target);
+    }
+
+    disconnect() {
+      this.targets.clear();
+    }
+
+    static trigger() {
+      ResizeObserver.instances.forEach((observer) => {
+        const entries = Array.from(observer.targets).map((target) => ({ target }));
+        if (entries.length > 0) {
+          observer.callback(entries, observer);
+        }
+      });
+    }
+  }
+  ResizeObserver.instances = [];
+
+  return ResizeObserver;
+}
+
+/**
+ * Creates a PerformanceObserver fake
+ * Tests deliver entries with PerformanceObserver.emit(type, entries)
+ * @returns {Function} PerformanceObserver class
+ */
+export function createPerformanceObserver() {
+  class PerformanceObserver {
+    constructor(callback) {
+      this.callback = callback;
+      this.types = new Set();
+      PerformanceObserver.instances.push(this);
+    }
+
+    observe(options = {}) {
+      (options.entryTypes || [options.type]).forEach((type) => this.types.add(type));
+    }
+
+    disconnect() {
+      this.types.clear();
+    }
+
+    takeRecords() {
+      return [];
+    }
+
+    /**
+     * Delivers entries to every observer of the entry type
+     * @param {string} type - Entry type, e.g. "largest-contentful-paint"
+     * @param {Object[]} entries - Entries to deliver
+     */
+    static emit(type, entries) {
+      PerformanceObserver.instances
+        .filter((observer) => observer.types.has(type))
+        .forEach((observer) => observer.callback({
+          getEntries: () => entries,
+          getEntriesByType: (entryType) => (entryType === type ? entries : []),
+        }, observer));
+    }
+  }
+  PerformanceObserver.instances = [];
+  PerformanceObserver.supportedEntryTypes = ['largest-contentful-paint', 'first-input', 'layout-shift', 'paint'];
+
+  return PerformanceObserver;
+}
+
+// ============================================
+// MEDIA QUERIES
+// ============================================
+
+/**
+ * Creates a matchMedia fake
+ * @param {Object<string, boolean>} [matches={}] - Query -> matches; unknown queries do not match
+ * @returns {Function} matchMedia; matchMedia.set(query, matches) changes a query and notifies listeners
+ */
+export function createMatchMedia(matches = {}) {
+  const lists = new Map();
+
+  const matchMedia = (query) => {
+    if (!lists.has(query)) {
+      const listeners = new Set();
+      lists.set(query, {
+        media: query,
+        matches: matches[query] === true,
+        onchange: null,
+        listeners,
+        addEventListener: (type, listener) => listeners.add(listener),
+        removeEventListener: (type, listener) => listeners.delete(listener),
+        addListener: (listener) => listeners.add(listener),
+        removeListener: (listener) => listeners.delete(listener),
+      });
+    }
+    return lists.get(query);
+  };
+
+  matchMedia.set = (query, value) => {
+    const list = matchMedia(query);
+    list.matches = value;
+    list.listeners.forEach((listener) => listener({ media: query, matches: value }));
+  };
+
+  return matchMedia;
+}
+
+// ============================================
+// NETWORK
+// ============================================
+
+/**
+ * Creates a navigator.sendBeacon fake that records every beacon
+ * @param {boolean} [accept=true] - Return value, false simulates a full beacon queue
+ * @returns {Function} sendBeacon; sendBeacon.calls lists { url, data }
+ */
+export function createSendBeacon(accept = true) {
+  const sendBeacon = (url, data) => {
+    sendBeacon.calls.push({ url, data });
+    return sendBeacon.accept;
+  };
+  sendBeacon.calls = [];
+  sendBeacon.accept = accept;
+
+  return sendBeacon;
+}
+
+/**
+ * Creates an Image fake whose loads succeed or fail on demand
+ * Load results are delivered in a microtask, so `await flush()` settles them.
+ * @param {function(string, number): boolean} [shouldLoad] - Receives the src and attempt number (1-based)
+ * @returns {Function} Image class; Image.requests lists the requested sources
+ */
+export function createImage(shouldLoad = () => true) {
+  class Image {
+    constructor() {
+      this.onload = null;
+      this.onerror = null;
+      this.currentSrc = '';
+    }
+
+    get src() {
+      return this.currentSrc;
+    }
+
+    set src(value) {
+      this.currentSrc = value;
+      Image.requests.push(value);
+      const attempt = Image.requests.filter((src) => src === value).length;
+
+      Promise.resolve().then(() => {
+        const handler = shouldLoad(value, attempt) ? this.onload : this.onerror;
+        if (handler) {
+          handler.call(this);
+        }
+      });
+    }
+  }
+  Image.requests = [];
+
+  return Image;
+}
@@ -0,0 +1,69 @@
+/**
+ * Hero Animations Tests
+ * Checks that hero elements animate on intersection unless motion is reduced or flagged off.
+ */
+
+import { afterEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createBrowser, flush, recordBusEvents } from './helpers/browser.js';
+
+const REDUCED_MOTION = '(prefers-reduced-motion: reduce)';
+
+describe('hero animations', () => {
+  let browser;
+  let published;
+
+  afterEach(() => browser.close());
+
+  /**
+   * Creates index.html and runs hero-animations.js
+   * @param {Object} [options] - createBrowser options
+   * @param {Object} [flags] - Feature flag states to stub, name -> enabled
+   * @returns {Promise<HTMLElement>} Hero headline
+   */
+  async function setup(options = {}, flags = null) {
+    browser = await createBrowser(options);
+    published = recordBusEvents(browser.window);
+    if (flags) {
+      browser.window.FitTrackFlags = {
+        ready: Promise.resolve(),
+        isEnabled: (name) => flags[name] !== false,
+      };
+    }
+    browser.load('js/hero-animations.js');
+    await flush();
+    return browser.document.querySelector('.hero__headline');
+  }
+
+  test('animates elements when they enter the viewport', async () => {
+    const headline = await setup();
+
+    browser.IntersectionObserver.trigger(headline);
+    browser.clock.tick(16); // Next animation frame
+
+    assert.ok(headline.classList.contains('hero-animated'));
+    assert.ok(headline.classList.contains('hero-visible'));
+    assert.deepEqual(published.map((event) => event.name), ['hero_loaded']);
+    assert.equal(published[0].params.animations_enabled, true);
+  });
+
+  test('skips animations when the visitor prefers reduced motion', async () => {
+    const headline = await setup({ media: { [REDUCED_MOTION]: true } });
+
+    browser.IntersectionObserver.trigger(headline);
+    browser.clock.tick(16);
+
+    assert.equal(headline.classList.contains('hero-animated'), false);
+    assert.equal(published[0].params.animations_enabled, false);
+  });
+
+  test('skips animations when the hero_animations flag is off', async () => {
+    const headline = await setup({}, { hero_animations: false });
+
+    browser.IntersectionObserver.trigger(headline);
+    browser.clock.tick(16);
+
+    assert.equal(headline.classList.contains('hero-animated'), false);
+    assert.equal(browser.window.heroAnimations.getState().isFeatureFlagDisabled, true);
+  });
+});
@@ -0,0 +1,129 @@
+/**
+ * Lazy Loading Tests
+ * Checks that workout images load on intersection and retry with backoff.
+ */
+
+import { afterEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createBrowser, flush } from './helpers/browser.js';
+
+const FIXTURE = `<!DOCTYPE html>
+<html lang="en">
+<body>
+  <img class="workout-card__image" data-src="/images/strength.jpg" alt="Strength plan">
+  <img class="workout-card__image" data-src="/images/cardio.jpg" alt="Cardio plan">
+</body>
+</html>`;
+
+const RETRY_DELAY = 1000;
+
+describe('lazy loading', () => {
+  let browser;
+
+  afterEach(() => browser.close());
+
+  /**
+   * Creates the page and runs lazy-loading.js
+   * @param {Object} [options] - createBrowser options
+   * @returns {Promise<HTMLImageElement[]>} Fixture images
+   */
+  async function setup(options = {}) {
+    browser = await createBrowser({ html: FIXTURE, ...options });
+    browser.load('js/lazy-loading.js');
+    await flush();
+    return Array.from(browser.document.querySelectorAll('.workout-card__image'));
+  }
+
+  /**
+   * Advances the clock and settles the image loads it triggers
+   * @param {number} ms - Time to advance
+   */
+  async function advance(ms) {
+    browser.clock.tick(ms);
+    await flush();
+  }
+
+  test('shows a placeholder until the image is near the viewport', async () => {
+    const [image] = await setup();
+
+    assert.ok(image.classList.contains('workout-card__image--loading'));
+    assert.match(image.src, /^data:image\/svg\+xml/);
+    assert.deepEqual(browser.Image.requests, []);
+  });
+
+  test('loads an image once it intersects', async () => {
+    const [image, other] = await setup();
+
+    browser.IntersectionObserver.trigger(image);
+    await flush();
+
+    assert.deepEqual(browser.Image.requests, ['/images/strength.jpg']);
+    assert.equal(image.getAttribute('src'), '/images/strength.jpg');
+    assert.equal(image.hasAttribute('data-src'), false);
+    assert.ok(image.classList.contains('workout-card__image--loaded'));
+    assert.ok(other.hasAttribute('data-src'));
+  });
+
+  test('retries failed loads with exponential backoff', async () => {
+    const [image] = await setup({ imageLoads: (src, attempt) => attempt >= 3 });
+
+    browser.IntersectionObserver.trigger(image);
+    await flush();
+    assert.equal(browser.Image.requests.length, 1);
+
+    await advance(RETRY_DELAY - 1);
+    assert.equal(browser.Image.requests.length, 1);
+    await advance(1);
+    assert.equal(browser.Image.requests.length, 2);
+
+    await advance(RETRY_DELAY * 2);
+    assert.equal(browser.Image.requests.length, 3);
+    assert.ok(image.classList.contains('workout-card__image--loaded'));
+  });
+
+  test('shows the error image after the last retry', async () => {
+    const [image] = await setup({ imageLoads: () => false });
+
+    browser.IntersectionObserver.trigger(image);
+    await flush();
+    await advance(RETRY_DELAY);
+    await advance(RETRY_DELAY * 2);
+    await advance(RETRY_DELAY * 4);
+
+    assert.equal(browser.Image.requests.length, 4); // First attempt and three retries
+    assert.ok(image.classList.contains('workout-card__image--error'));
+    assert.equal(image.getAttribute('aria-label'), 'Image failed to load');
+    assert.equal(image.hasAttribute('data-src'), false);
+    assert.equal(browser.clock.pending, 0);
+  });
+
+  test('starts before the flag config arrives and loads eagerly once it turns lazy loading off', async () => {
+    browser = await createBrowser({ html: FIXTURE });
+    let resolveFlags;
+    let enabled = true;
+    browser.window.FitTrackFlags = {
+      ready: new Promise((resolve) => { resolveFlags = resolve; }),
+      isEnabled: () => enabled,
+      getParam: (name, key, fallback) => fallback,
+    };
+    browser.load('js/lazy-loading.js');
+    await flush();
+
+    assert.equal(browser.IntersectionObserver.instances.length, 1); // Not waiting for the config
+    assert.deepEqual(browser.Image.requests, []);
+
+    enabled = false;
+    resolveFlags();
+    await flush();
+
+    assert.deepEqual(browser.Image.requests, ['/images/strength.jpg', '/images/cardio.jpg']);
+  });
+
+  test('loads every image at once without IntersectionObserver', async () => {
+    const images = await setup({ intersectionObserver: false });
+    await flush();
+
+    assert.deepEqual(browser.Image.requests, ['/images/strength.jpg', '/images/cardio.jpg']);
+    images.forEach((image) => assert.ok(image.classList.contains('workout-card__image--loaded')));
+  });
+});
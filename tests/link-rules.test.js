@@ -0,0 +1,180 @@
+/**
+ * Link Rules Tests
+ * Checks how links are classified by the built-in rules, config/link-rules.json
+ * and data-* overrides, and the events link-tracking.js publishes for them.
+ */
+
+import { afterEach, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createBrowser, flush, readSource, recordBusEvents } from './helpers/browser.js';
+
+const FIXTURE = `<!DOCTYPE html>
+<html lang="en">
+<body>
+  <section id="community">
+    <a id="tiktok" href="https://www.tiktok.com/@fittrack">TikTok</a>
+    <a id="youtube" href="https://youtu.be/abc123">YouTube</a>
+    <a id="strava" href="https://www.strava.com/clubs/fittrack">Strava</a>
+    <a id="linkedin" href="https://linkedin.com/company/fittrack">LinkedIn</a>
+    <a id="x" href="https://x.com/FitTrackApp">X</a>
+    <a id="email" href="mailto:support@fittrack.example.com">Email us</a>
+    <a id="phone" href="tel:+15551234567">Call us</a>
+    <a id="store" href="https://apps.apple.com/app/fittrack">App Store</a>
+    <a id="play-help" href="https://play.google.com/about/">Google Play help</a>
+    <a id="partner" href="https://partner.example.com/offer">Partner</a>
+    <a id="same-site" href="/blog">Blog</a>
+    <a id="in-page" href="#download">Download</a>
+    <a id="labelled" href="https://partner.example.com/" data-track-category="partners" data-track-label="gym_partner">Gym</a>
+    <a id="forced" href="https://partner.example.com/club" data-track-rule="strava">Club</a>
+    <a id="opted-out" href="https://www.tiktok.com/@fittrack" data-track-rule="none">TikTok</a>
+  </section>
+  <footer class="footer">
+    <a id="footer-social" class="footer__social-link" href="https://mastodon.social/@fittrack">Mastodon</a>
+  </footer>
+</body>
+</html>`;
+
+describe('link rules', () => {
+  let browser;
+  let rules;
+
+  beforeEach(async () => {
+    browser = await createBrowser({ html: FIXTURE, url: 'https://fittrack.example.com/' });
+    browser.load('js/link-rules.js');
+    rules = browser.window.FitTrackLinkRules;
+  });
+
+  afterEach(() => browser.close());
+
+  /**
+   * Classifies a fixture link
+   * @param {string} id - Link id
+   * @returns {Object|null} Classification as a plain object
+   */
+  function classify(id) {
+    const match = rules.classify(browser.document.getElementById(id));
+    return match && { ...match };
+  }
+
+  const cases = [
+    ['tiktok', 'social', 'tiktok'],
+    ['youtube', 'social', 'youtube'],
+    ['strava', 'social', 'strava'],
+    ['linkedin', 'social', 'linkedin'],
+    ['x', 'social', 'twitter'],
+    ['footer-social', 'social', null],
+  ];
+
+  cases.forEach(([id, type, network]) => {
+    test(`classifies ${id} as ${type} (${network})`, () => {
+      const match = classify(id);
+
+      assert.equal(match.type, type);
+      assert.equal(match.network, network);
+      assert.equal(match.category, 'social_engagement');
+    });
+  });
+
+  test('classifies email and phone links as contact links', () => {
+    assert.deepEqual(classify('email'), { rule: 'email', type: 'contact', category: 'contact', label: 'email', network: null });
+    assert.deepEqual(classify('phone'), { rule: 'phone', type: 'contact', category: 'contact', label: 'phone', network: null });
+  });
+
+  test('matches hosts and paths together', () => {
+    assert.equal(classify('store').type, 'app_store');
+    assert.equal(classify('play-help').rule, 'default'); // Not an app page
+  });
+
+  test('gives other sites the default rule and leaves own pages alone', () => {
+    assert.deepEqual(classify('partner'), { rule: 'default', type: 'external', category: 'external_navigation', label: null, network: null });
+    assert.equal(classify('same-site'), null);
+    assert.equal(classify('in-page'), null);
+  });
+
+  test('lets data-* attributes override the classification', () => {
+    assert.deepEqual(classify('labelled'), { rule: 'default', type: 'external', category: 'partners', label: 'gym_partner', network: null });
+    assert.equal(classify('forced').network, 'strava');
+    assert.equal(classify('opted-out'), null);
+  });
+
+  test('applies config/link-rules.json', () => {
+    const config = JSON.parse(readSource('config/link-rules.json'));
+    rules.setConfig({
+      ...config,
+      rules: [{ id: 'partner', type: 'external', category: 'partners', match: { host: 'partner.example.com', path: '^/offer' } }, ...config.rules],
+    });
+
+    assert.equal(rules.getRules().length, config.rules.length + 1);
+    assert.equal(classify('partner').category, 'partners');
+    assert.equal(classify('tiktok').network, 'tiktok');
+    assert.equal(classify('email').label, 'email');
+  });
+
+  test('skips invalid rules', () => {
+    rules.setConfig({
+      rules: [
+        { id: 'no-conditions', type: 'social', match: {} },
+        { id: 'bad-type', type: 'video', match: { host: 'youtube.com' } },
+        { id: 'bad-path', type: 'social', match: { path: '(' } },
+        { id: 'bad-selector', type: 'social', network: 'tiktok', match: { selector: '[[' } },
+      ],
+    });
+
+    assert.deepEqual(rules.getRules(), ['bad-selector']);
+    assert.equal(classify('tiktok').rule, 'default'); // The invalid selector never matches
+  });
+});
+
+describe('link tracking with link rules', () => {
+  let browser;
+  let published;
+
+  beforeEach(async () => {
+    browser = await createBrowser({ html: FIXTURE, url: 'https://fittrack.example.com/' });
+    published = recordBusEvents(browser.window);
+    browser.window.addEventListener('click', (event) => event.preventDefault());
+    browser.load('js/link-rules.js', 'js/link-tracking.js');
+    await flush();
+  });
+
+  afterEach(() => browser.close());
+
+  /**
+   * Clicks a fixture link and returns the event it published
+   * @param {string} id - Link id
+   * @returns {Promise<Object|undefined>} Published event
+   */
+  async function click(id) {
+    const count = published.length;
+    browser.document.getElementById(id).click();
+    await flush();
+    return published[count];
+  }
+
+  test('reports social links with their network', async () => {
+    const event = await click('tiktok');
+
+    assert.equal(event.name, 'social_media_click');
+    assert.equal(event.params.event_label, 'tiktok');
+    assert.equal(event.params.network, 'tiktok');
+    assert.equal(event.params.location, 'community');
+  });
+
+  test('reports contact links without the address', async () => {
+    const event = await click('email');
+
+    assert.equal(event.name, 'contact_link_click');
+    assert.equal(event.params.method, 'email');
+    assert.doesNotMatch(JSON.stringify(event.params), /support@/);
+  });
+
+  test('reports data-* overrides and ignores opted-out links', async () => {
+    const event = await click('labelled');
+
+    assert.equal(event.name, 'external_link_click');
+    assert.equal(event.params.event_category, 'partners');
+    assert.equal(event.params.event_label, 'gym_partner');
+    assert.equal(await click('opted-out'), undefined);
+    assert.equal(await click('same-site'), undefined);
+  });
+});
@@ -0,0 +1,456 @@
+/**
+ * Link Tracking Tests
+ * Checks app store platform detection, platform routing of the download options,
+ * outbound click delivery, rage and dead clicks, and that clicks are published
+ * without errors.
+ */
+
+import { afterEach, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createBrowser, flush, recordBusEvents } from './helpers/browser.js';
+
+const FIXTURE = `<!DOCTYPE html>
+<html lang="en">
+<body>
+  <section class="final-cta">
+    <div class="final-cta__badges">
+      <a class="app-badge" id="apple-href" href="https://apps.apple.com/app/fittrack/id123">App Store</a>
+      <a class="app-badge" id="google-href" href="https://play.google.com/store/apps/details?id=com.fittrack">Google Play</a>
+    </div>
+  </section>
+  <footer class="footer">
+    <div class="footer__app-badges">
+      <a class="footer__app-badge footer__app-badge--ios" id="ios-class" href="/download/ios">iOS</a>
+      <a class="footer__app-badge" id="android-class" href="/download/android">Android</a>
+      <a class="footer__app-badge" id="apple-alt" href="/download/a"><img src="/images/badge-a.svg" alt="Download on the App Store"></a>
+      <a class="footer__app-badge" id="google-src" href="/download/b"><img src="/images/google-play-badge.svg" alt=""></a>
+      <a class="footer__app-badge" id="unknown" href="/download">Download</a>
+    </div>
+  </footer>
+</body>
+</html>`;
+
+describe('link tracking', () => {
+  let browser;
+  let published;
+
+  beforeEach(async () => {
+    browser = await createBrowser({ html: FIXTURE });
+    published = recordBusEvents(browser.window);
+    browser.window.addEventListener('click', (event) => event.preventDefault());
+    browser.load('js/link-rules.js', 'js/link-tracking.js');
+    await flush();
+  });
+
+  afterEach(() => browser.close());
+
+  /**
+   * Clicks a badge and returns the app_store_click it published
+   * @param {string} id - Badge id
+   * @returns {Object|undefined} Published event
+   */
+  async function clickBadge(id) {
+    browser.document.getElementById(id).click();
+    await flush();
+    return published.filter((event) => event.name === 'app_store_click').pop();
+  }
+
+  describe('platform detection', () => {
+    const cases = [
+      ['apple-href', 'ios', 'store URL'],
+      ['google-href', 'android', 'store URL'],
+      ['ios-class', 'ios', 'class name'],
+      ['android-class', 'android', 'href'],
+      ['apple-alt', 'ios', 'badge image alt text'],
+      ['google-src', 'android', 'badge image source'],
+    ];
+
+    cases.forEach(([id, platform, source]) => {
+      test(`detects ${platform} from the ${source} (#${id})`, async () => {
+        const event = await clickBadge(id);
+
+        assert.equal(event.params.platform, platform);
+        assert.equal(event.params.event_label, platform);
+        assert.equal(event.params.store_name, platform);
+      });
+    });
+
+    test('reports badges without a recognisable store as unknown', async () => {
+      const event = await clickBadge('unknown');
+
+      assert.equal(event.params.platform, null);
+      assert.equal(event.params.event_label, 'unknown');
+    });
+  });
+
+  test('records where the badge was clicked', async () => {
+    assert.equal((await clickBadge('apple-href')).params.location, 'final_cta');
+    assert.equal((await clickBadge('android-class')).params.location, 'footer');
+  });
+
+  test('publishes without errors outside a Node build (no process.env)', async () => {
+    await clickBadge('apple-href');
+
+    assert.equal(published.length, 1);
+    assert.deepEqual(browser.errors, []);
+  });
+
+  test('stops tracking after destroy()', async () => {
+    browser.window.LinkTracking.destroy();
+    await clickBadge('apple-href');
+
+    assert.equal(browser.window.LinkTracking.getStats().initialized, false);
+    assert.equal(published.length, 0);
+    assert.deepEqual(browser.errors, []);
+  });
+});
+
+const USER_AGENTS = {
+  iphone: 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 Mobile/15E148',
+  android: 'Mozilla/5.0 (Linux; Android 14; Pixel 8) AppleWebKit/537.36 Chrome/120.0 Mobile Safari/537.36',
+  desktop: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 Chrome/120.0 Safari/537.36',
+};
+
+describe('platform routing', () => {
+  let browser;
+  let published;
+
+  afterEach(() => browser.close());
+
+  /**
+   * Creates index.html for a visitor's device and runs link-tracking.js
+   * @param {string} userAgent - navigator.userAgent
+   * @param {Object} [flags] - Feature flag states to stub, name -> enabled
+   * @returns {Promise<HTMLElement[]>} Download section badges, in document order
+   */
+  async function setup(userAgent, flags = null) {
+    browser = await createBrowser();
+    published = recordBusEvents(browser.window);
+    Object.defineProperty(browser.window.navigator, 'userAgent', { value: userAgent });
+    if (flags) {
+      browser.window.FitTrackFlags = {
+        ready: Promise.resolve(),
+        isEnabled: (name) => flags[name] !== false,
+        getParam: (name, key, fallback) => fallback,
+      };
+    }
+    browser.window.addEventListener('click', (event) => event.preventDefault());
+    browser.load('js/link-rules.js', 'js/link-tracking.js');
+    await flush();
+    return badges();
+  }
+
+  /**
+   * Lists the download section badges in document order
+   * @returns {HTMLElement[]} Badges
+   */
+  function badges() {
+    return Array.from(browser.document.querySelectorAll('.download__buttons .download__button'));
+  }
+
+  test('puts the App Store badge first for iPhone visitors', async () => {
+    const [first, second] = await setup(USER_AGENTS.iphone);
+
+    assert.equal(browser.window.LinkTracking.getVisitorPlatform(), 'ios');
+    assert.equal(first.dataset.trackAppStore, 'App Store');
+    assert.equal(first.dataset.promoted, 'true');
+    assert.equal(second.dataset.promoted, 'false');
+    assert.equal(browser.document.querySelector('[data-send-to-phone]').hidden, true);
+  });
+
+  test('puts the Google Play badge first for Android visitors', async () => {
+    const [first, second] = await setup(USER_AGENTS.android);
+
+    assert.equal(browser.window.LinkTracking.getVisitorPlatform(), 'android');
+    assert.equal(first.dataset.trackAppStore, 'Google Play');
+    assert.equal(first.dataset.promoted, 'true');
+    assert.equal(second.dataset.trackAppStore, 'App Store');
+  });
+
+  test('tracks the visitor platform and whether the clicked badge was promoted', async () => {
+    const [, other] = await setup(USER_AGENTS.android);
+
+    other.click();
+    await flush();
+
+    const event = published.find((entry) => entry.name === 'app_store_click');
+    assert.equal(event.params.platform, 'ios');
+    assert.equal(event.params.visitor_platform, 'android');
+    assert.equal(event.params.badge_promoted, false);
+  });
+
+  test('offers desktop visitors the send-to-phone panel', async () => {
+    const [first] = await setup(USER_AGENTS.desktop);
+    const panel = browser.document.querySelector('[data-send-to-phone]');
+    const email = panel.querySelector('[data-send-to-phone-method="email"]');
+
+    assert.equal(browser.window.LinkTracking.getVisitorPlatform(), 'desktop');
+    assert.equal(panel.hidden, false);
+    assert.equal(first.hasAttribute('data-promoted'), false);
+    assert.match(email.getAttribute('href'), /^mailto:\?subject=.+&body=.+fittrack\.example\.com%2F%23download$/);
+  });
+
+  test('copies the link when the share sheet is unavailable', async () => {
+    await setup(USER_AGENTS.desktop);
+    const copied = [];
+    Object.defineProperty(browser.window.navigator, 'clipboard', {
+      value: { writeText: async (text) => copied.push(text) },
+    });
+
+    browser.document.querySelector('[data-send-to-phone-method="share"]').click();
+    await flush();
+
+    assert.deepEqual(copied, ['https://fittrack.example.com/#download']);
+    assert.match(browser.document.querySelector('[data-send-to-phone-status]').textContent, /copied/);
+    const event = published.find((entry) => entry.name === 'send_to_phone');
+    assert.equal(event.params.method, 'copy');
+    assert.equal(event.params.visitor_platform, 'desktop');
+  });
+
+  test('leaves the download options alone when the platform_routing flag is off', async () => {
+    const [first] = await setup(USER_AGENTS.android, { platform_routing: false });
+
+    assert.equal(browser.window.LinkTracking.getVisitorPlatform(), 'android');
+    assert.equal(first.dataset.trackAppStore, 'App Store');
+    assert.equal(first.hasAttribute('data-promoted'), false);
+  });
+});
+
+// External links open in a new tab unless they ask for target="_self"
+const OUTBOUND_FIXTURE = `<!DOCTYPE html>
+<html lang="en">
+<body>
+  <section id="partners">
+    <a id="same-tab" href="https://partner.example.com/" target="_self">Partner</a>
+    <a id="new-tab" href="https://partner.example.com/new" target="_blank">Partner (new tab)</a>
+  </section>
+</body>
+</html>`;
+
+const MAX_HOLD = 300;
+
+describe('outbound click delivery', () => {
+  let browser;
+  let bus;
+
+  afterEach(() => browser.close());
+
+  /**
+   * Creates the page with the real tracking bus and an analytics destination
+   * @param {string|null} status - DELIVERY status the ga4 destination returns; null registers none
+   */
+  async function setup(status) {
+    browser = await createBrowser({ html: OUTBOUND_FIXTURE });
+    browser.load('js/event-schema.js', 'js/tracking-bus.js');
+    bus = browser.window.FitTrackBus;
+    if (status) {
+      bus.registerDestination(bus.DESTINATIONS.GA4, () => status);
+    }
+    browser.load('js/link-rules.js', 'js/link-tracking.js');
+    await flush();
+  }
+
+  /**
+   * Clicks a link
+   * @param {string} id - Link id
+   * @returns {MouseEvent} The dispatched click
+   */
+  function click(id) {
+    const event = new browser.window.MouseEvent('click', { bubbles: true, cancelable: true, button: 0 });
+    browser.document.getElementById(id).dispatchEvent(event);
+    return event;
+  }
+
+  /**
+   * Reports the delivery of the last external_link_click
+   * @param {string} status - DELIVERY status
+   */
+  function reportLastClick(status) {
+    const event = bus.getHistory().filter((entry) => entry.name === 'external_link_click').pop();
+    bus.reportDelivery(event.id, bus.DESTINATIONS.GA4, status);
+  }
+
+  /**
+   * Gets the outbound delivery counts
+   * @returns {Object} { delivered, queued, dropped }
+   */
+  function outbound() {
+    return browser.window.LinkTracking.getStats().outbound;
+  }
+
+  test('publishes for sendBeacon and lets the link go when the beacon is queued', async () => {
+    await setup('sent');
+
+    const event = click('same-tab');
+
+    const [published] = bus.getHistory().filter((entry) => entry.name === 'external_link_click');
+    assert.equal(published.immediate, true);
+    assert.equal(event.defaultPrevented, false);
+    assert.deepEqual({ ...outbound() }, { delivered: 1, queued: 0, dropped: 0 });
+  });
+
+  test('holds a same-tab navigation until delivery is confirmed', async () => {
+    await setup('sending');
+
+    const event = click('same-tab');
+    assert.equal(event.defaultPrevented, true);
+
+    browser.clock.tick(100);
+    reportLastClick('sent');
+
+    browser.clock.tick(MAX_HOLD); // Hold timer cleared
+    assert.deepEqual({ ...outbound() }, { delivered: 1, queued: 0, dropped: 0 });
+  });
+
+  test('counts the event as dropped when the hold runs out, and reports it on the next page view', async () => {
+    await setup('sending');
+
+    click('same-tab');
+    browser.clock.tick(MAX_HOLD);
+    reportLastClick('sent'); // Too late, the page has moved on
+
+    assert.deepEqual({ ...outbound() }, { delivered: 0, queued: 0, dropped: 1 });
+    assert.equal(browser.window.localStorage.getItem('fittrack_outbound_dropped'), '1');
+
+    browser.window.LinkTracking.destroy();
+    browser.window.LinkTracking.init();
+
+    const report = bus.getHistory().find((entry) => entry.name === 'outbound_events_dropped');
+    assert.equal(report.params.dropped_count, 1);
+    assert.equal(report.validation.valid, true);
+    assert.equal(browser.window.localStorage.getItem('fittrack_outbound_dropped'), null);
+  });
+
+  test('never holds links that open a new tab', async () => {
+    await setup('sending');
+
+    const event = click('new-tab');
+    browser.clock.tick(MAX_HOLD);
+    reportLastClick('failed');
+
+    assert.equal(event.defaultPrevented, false);
+    assert.equal(outbound().dropped, 1);
+  });
+
+  test('stops listening for a new-tab delivery after the deadline', async () => {
+    await setup('sending');
+
+    click('new-tab');
+    browser.clock.tick(MAX_HOLD);
+    assert.equal(outbound().dropped, 1);
+
+    reportLastClick('sent'); // Listener already removed
+    assert.deepEqual({ ...outbound() }, { delivered: 0, queued: 0, dropped: 1 });
+  });
+
+  test('counts events no analytics destination took as dropped', async () => {
+    await setup(null);
+
+    click('same-tab');
+
+    assert.equal(outbound().dropped, 1);
+    assert.deepEqual(browser.errors, []);
+  });
+});
+
+const FRUSTRATION_FIXTURE = `<!DOCTYPE html>
+<html lang="en">
+<body>
+  <section id="plans">
+    <div class="plans__grid">
+      <article class="plan-card">Basic</article>
+      <article class="plan-card">Pro <span class="plan-card__price">$9</span></article>
+    </div>
+    <button id="compare" type="button">Compare plans</button>
+  </section>
+</body>
+</html>`;
+
+describe('frustration signals', () => {
+  let browser;
+  let published;
+
+  beforeEach(async () => {
+    browser = await createBrowser({ html: FRUSTRATION_FIXTURE });
+    published = recordBusEvents(browser.window);
+    browser.load('js/link-rules.js', 'js/link-tracking.js');
+    await flush();
+  });
+
+  afterEach(() => browser.close());
+
+  /**
+   * Clicks an element with the pointer
+   * @param {HTMLElement} element - Clicked element
+   * @param {number} [x] - Pointer position
+   * @param {number} [y] - Pointer position
+   * @param {number} [detail] - Click count, 0 for keyboard activation
+   */
+  function click(element, x = 100, y = 100, detail = 1) {
+    element.dispatchEvent(new browser.window.MouseEvent('click', { bubbles: true, cancelable: true, clientX: x, clientY: y, detail }));
+  }
+
+  /**
+   * Lists the published events of one name
+   * @param {string} name - Event name
+   * @returns {Object[]} Published events
+   */
+  function eventsNamed(name) {
+    return published.filter((event) => event.name === name);
+  }
+
+  test('reports a burst of clicks on one spot once, with its click count', () => {
+    const button = browser.document.getElementById('compare');
+
+    [0, 5, 10, 5].forEach((offset) => click(button, 100 + offset, 100));
+    assert.equal(eventsNamed('rage_click').length, 0); // Reported once the burst ends
+
+    browser.clock.tick(1000);
+
+    const [rage] = eventsNamed('rage_click');
+    assert.equal(eventsNamed('rage_click').length, 1);
+    assert.equal(rage.params.selector, '#compare');
+    assert.equal(rage.params.click_count, 4);
+  });
+
+  test('ignores clicks spread across the page and keyboard activation', () => {
+    const button = browser.document.getElementById('compare');
+
+    click(button, 100, 100);
+    click(button, 200, 100);
+    click(button, 300, 100);
+    [1, 2, 3].forEach(() => click(button, 100, 100, 0));
+    browser.clock.tick(1000);
+
+    assert.deepEqual(eventsNamed('rage_click'), []);
+  });
+
+  test('reports a dead click on a card that looks interactive but does nothing', () => {
+    click(browser.document.querySelector('.plan-card__price'));
+
+    browser.clock.tick(999);
+    assert.equal(eventsNamed('dead_click').length, 0);
+    browser.clock.tick(1);
+
+    const [dead] = eventsNamed('dead_click');
+    assert.equal(dead.params.selector, '#plans > div.plans__grid > article.plan-card:nth-of-type(2)');
+  });
+
+  test('does not report a click that changes the element', async () => {
+    const card = browser.document.querySelector('.plan-card');
+
+    click(card);
+    card.classList.add('plan-card--selected');
+    await flush(); // Mutation records are delivered as a microtask
+    browser.clock.tick(1000);
+
+    assert.deepEqual(eventsNamed('dead_click'), []);
+  });
+
+  test('never treats real controls as dead clicks', () => {
+    click(browser.document.getElementById('compare'));
+    browser.clock.tick(1000);
+
+    assert.deepEqual(eventsNamed('dead_click'), []);
+  });
+});
@@ -0,0 +1,225 @@
+/**
+ * Measurement Protocol Encoder Tests
+ * Checks the exact /g/collect payload produced for each event sent by analytics.js.
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import vm from 'node:vm';
+
+const source = readFileSync(new URL('../js/measurement-protocol.js', import.meta.url), 'utf8');
+const schemaSource = readFileSync(new URL('../js/event-schema.js', import.meta.url), 'utf8');
+
+/**
+ * Loads the browser module into an isolated context
+ * @param {boolean} [withSchema=false] - Load js/event-schema.js first, as the page does
+ * @returns {Object} FitTrackMeasurementProtocol API
+ */
+function loadEncoder(withSchema = false) {
+  const context = vm.createContext({ window: {} });
+  if (withSchema) {
+    vm.runInContext(schemaSource, context);
+  }
+  vm.runInContext(source, context);
+  return context.window.FitTrackMeasurementProtocol;
+}
+
+const encoder = loadEncoder();
+
+const BASE_HIT = Object.freeze({
+  measurementId: 'G-TEST123',
+  clientId: '123456789.1700000000',
+  sessionId: '1700000000',
+  pageLocation: 'https://fittrack.example.com/?utm_source=news',
+  pageReferrer: 'https://www.google.com/',
+  pageTitle: 'FitTrack - Home',
+});
+
+const HIT_PREFIX = 'v=2&tid=G-TEST123&cid=123456789.1700000000&sid=1700000000';
+const PAGE_FIELDS = 'dl=https%3A%2F%2Ffittrack.example.com%2F%3Futm_source%3Dnews'
+  + '&dr=https%3A%2F%2Fwww.google.com%2F'
+  + '&dt=FitTrack%20-%20Home';
+
+describe('encodeEvent', () => {
+  test('user_engagement maps engagement time to _et', () => {
+    const payload = encoder.encodeEvent({
+      ...BASE_HIT,
+      eventName: 'user_engagement',
+      params: {
+        engagement_time_msec: 12345.6,
+        timestamp: '2024-01-01T12:00:00.000Z',
+        event_id: 'evt-1',
+      },
+    });
+
+    assert.equal(
+      payload,
+      `${HIT_PREFIX}&en=user_engagement&_et=12346&${PAGE_FIELDS}`
+        + '&ep.timestamp=2024-01-01T12%3A00%3A00.000Z&ep.event_id=evt-1'
+    );
+  });
+
+  test('cta_click encodes string params', () => {
+    const payload = encoder.encodeEvent({
+      ...BASE_HIT,
+      eventName: 'cta_click',
+      params: { cta_name: 'Download Now', cta_location: 'hero' },
+    });
+
+    assert.equal(
+      payload,
+      `${HIT_PREFIX}&en=cta_click&${PAGE_FIELDS}&ep.cta_name=Download%20Now&ep.cta_location=hero`
+    );
+  });
+
+  test('app_store_click encodes the store link', () => {
+    const payload = encoder.encodeEvent({
+      ...BASE_HIT,
+      eventName: 'app_store_click',
+      params: { store_name: 'ios', link_url: 'https://apps.apple.com/app/id123' },
+    });
+
+    assert.equal(
+      payload,
+      `${HIT_PREFIX}&en=app_store_click&${PAGE_FIELDS}`
+        + '&ep.store_name=ios&ep.link_url=https%3A%2F%2Fapps.apple.com%2Fapp%2Fid123'
+    );
+  });
+
+  test('section_view encodes numeric params as epn', () => {
+    const payload = encoder.encodeEvent({
+      ...BASE_HIT,
+      eventName: 'section_view',
+      params: { section_name: 'features', scroll_depth: 42 },
+    });
+
+    assert.equal(
+      payload,
+      `${HIT_PREFIX}&en=section_view&${PAGE_FIELDS}&ep.section_name=features&epn.scroll_depth=42`
+    );
+  });
+
+  test('consent_reprompt encodes policy versions', () => {
+    const payload = encoder.encodeEvent({
+      ...BASE_HIT,
+      eventName: 'consent_reprompt',
+      params: { previous_policy_version: '2023-06-01', current_policy_version: '2024-01-01' },
+    });
+
+    assert.equal(
+      payload,
+      `${HIT_PREFIX}&en=consent_reprompt&${PAGE_FIELDS}`
+        + '&ep.previous_policy_version=2023-06-01&ep.current_policy_version=2024-01-01'
+    );
+  });
+
+  test('encodes booleans as strings and skips unsupported values', () => {
+    const payload = encoder.encodeEvent({
+      measurementId: 'G-TEST123',
+      clientId: '1.2',
+      eventName: 'custom',
+      params: {
+        enabled: true,
+        ratio: 0.5,
+        missing: null,
+        nested: { a: 1 },
+        invalid: Number.NaN,
+      },
+    });
+
+    assert.equal(payload, 'v=2&tid=G-TEST123&cid=1.2&en=custom&ep.enabled=true&epn.ratio=0.5');
+  });
+
+  test('truncates param names and values to GA4 limits', () => {
+    const payload = encoder.encodeEvent({
+      measurementId: 'G-TEST123',
+      clientId: '1.2',
+      eventName: 'custom',
+      params: { ['n'.repeat(45)]: 'v'.repeat(120) },
+    });
+
+    assert.equal(payload, `v=2&tid=G-TEST123&cid=1.2&en=custom&ep.${'n'.repeat(40)}=${'v'.repeat(100)}`);
+  });
+
+  test('engagementTimeMsec overrides the param and omits empty fields', () => {
+    const payload = encoder.encodeEvent({
+      measurementId: 'G-TEST123',
+      clientId: '1.2',
+      sessionId: null,
+      eventName: 'user_engagement',
+      engagementTimeMsec: 900,
+      params: { engagement_time_msec: 100 },
+    });
+
+    assert.equal(payload, 'v=2&tid=G-TEST123&cid=1.2&en=user_engagement&_et=900');
+  });
+
+  test('throws when required fields are missing', () => {
+    assert.throws(
+      () => encoder.encodeEvent({ measurementId: 'G-TEST123', eventName: 'cta_click' }),
+      /clientId/
+    );
+  });
+});
+
+describe('encodeEvent with the tracking plan', () => {
+  const planEncoder = loadEncoder(true);
+
+  test('sends only the params the plan lists for the event', () => {
+    const payload = planEncoder.encodeEvent({
+      measurementId: 'G-TEST123',
+      clientId: '1.2',
+      eventName: 'cta_click',
+      params: {
+        cta_name: 'Download Now',
+        variant: 'control',
+        source: 'link-tracking',
+        dedupe_key: 'hero',
+        delivery_status: 'sending',
+      },
+    });
+
+    assert.equal(payload, 'v=2&tid=G-TEST123&cid=1.2&en=cta_click&ep.cta_name=Download%20Now&ep.variant=control');
+  });
+
+  test('keeps internal global params out of GA', () => {
+    const payload = planEncoder.encodeEvent({
+      measurementId: 'G-TEST123',
+      clientId: '1.2',
+      eventName: 'cta_click',
+      params: {
+        cta_name: 'Download Now',
+        event_id: 'evt-1',
+        timestamp: '2024-01-01T12:00:00.000Z',
+        client_id: '1.2',
+        session_id: '1700000000',
+        landing_page: '/?utm_source=news',
+        gclid: 'abc',
+        fbclid: 'def',
+        session_number: 2,
+      },
+    });
+
+    assert.equal(payload, 'v=2&tid=G-TEST123&cid=1.2&en=cta_click&ep.cta_name=Download%20Now&epn.session_number=2');
+  });
+
+  test('drops the params of events missing from the plan', () => {
+    const payload = planEncoder.encodeEvent({
+      measurementId: 'G-TEST123',
+      clientId: '1.2',
+      eventName: 'custom',
+      params: { enabled: true },
+    });
+
+    assert.equal(payload, 'v=2&tid=G-TEST123&cid=1.2&en=custom');
+  });
+});
+
+describe('buildUrl', () => {
+  test('prefixes the collect endpoint', () => {
+    const url = encoder.buildUrl({ measurementId: 'G-TEST123', clientId: '1.2', eventName: 'page_view' });
+
+    assert.equal(url, 'https://www.google-analytics.com/g/collect?v=2&tid=G-TEST123&cid=1.2&en=page_view');
+  });
+});
@@ -0,0 +1,120 @@
+/**
+ * Navigation Tests
+ * Checks the mobile menu on index.html: opening, closing and focus trapping.
+ */
+
+import { afterEach, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createBrowser } from './helpers/browser.js';
+
+const MENU_TRANSITION = 300;
+
+describe('navigation menu', () => {
+  let browser;
+  let document;
+  let toggle;
+  let menu;
+  let links;
+
+  beforeEach(async () => {
+    browser = await createBrowser();
+    browser.load('js/navigation.js');
+
+    ({ document } = browser);
+    toggle = document.querySelector('.nav__toggle');
+    menu = document.querySelector('.nav__menu');
+    links = Array.from(menu.querySelectorAll('a[href]'));
+  });
+
+  afterEach(() => browser.close());
+
+  /**
+   * Dispatches a keydown from the focused element
+   * @param {string} key - Key name
+   * @param {Object} [init] - Extra event init, e.g. { shiftKey: true }
+   * @returns {KeyboardEvent} Dispatched event
+   */
+  function pressKey(key, init = {}) {
+    const event = new browser.window.KeyboardEvent('keydown', { key, bubbles: true, cancelable: true, ...init });
+    (document.activeElement || document.body).dispatchEvent(event);
+    return event;
+  }
+
+  /**
+   * Opens the menu and waits for the first link to get focus
+   */
+  function openMenu() {
+    toggle.focus();
+    toggle.click();
+    browser.clock.tick(MENU_TRANSITION);
+  }
+
+  test('initializes on index.html', () => {
+    assert.equal(menu.getAttribute('aria-hidden'), 'true');
+    assert.equal(toggle.getAttribute('aria-expanded'), 'false');
+    assert.deepEqual(browser.errors, []);
+  });
+
+  test('toggle opens the menu and focuses the first link', () => {
+    openMenu();
+
+    assert.equal(toggle.getAttribute('aria-expanded'), 'true');
+    assert.equal(menu.getAttribute('data-visible'), 'true');
+    assert.equal(document.body.style.overflow, 'hidden');
+    assert.equal(document.activeElement, links[0]);
+  });
+
+  describe('focus trap', () => {
+    test('Tab on the last link wraps to the first', () => {
+      openMenu();
+      links[links.length - 1].focus();
+
+      const event = pressKey('Tab');
+
+      assert.equal(event.defaultPrevented, true);
+      assert.equal(document.activeElement, links[0]);
+    });
+
+    test('Shift+Tab on the first link wraps to the last', () => {
+      openMenu();
+
+      const event = pressKey('Tab', { shiftKey: true });
+
+      assert.equal(event.defaultPrevented, true);
+      assert.equal(document.activeElement, links[links.length - 1]);
+    });
+
+    test('Tab inside the menu moves focus normally', () => {
+      openMenu();
+
+      assert.equal(pressKey('Tab').defaultPrevented, false);
+    });
+
+    test('is released once the menu is closed', () => {
+      openMenu();
+      toggle.click();
+      links[links.length - 1].focus();
+
+      assert.equal(pressKey('Tab').defaultPrevented, false);
+    });
+  });
+
+  test('Escape closes the menu and returns focus to the toggle', () => {
+    openMenu();
+
+    pressKey('Escape');
+
+    assert.equal(toggle.getAttribute('aria-expanded'), 'false');
+    assert.equal(menu.getAttribute('aria-hidden'), 'true');
+    assert.equal(document.body.style.overflow, '');
+    assert.equal(document.activeElement, toggle);
+  });
+
+  test('clicking the overlay closes the menu', () => {
+    openMenu();
+
+    document.querySelector('.nav__overlay').click();
+
+    assert.equal(toggle.getAttribute('aria-expanded'), 'false');
+  });
+});
@@ -0,0 +1,99 @@
+/**
+ * Performance Module Tests
+ * Checks initialization and Core Web Vitals reporting from PerformanceObserver entries.
+ */
+
+import { afterEach, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createBrowser, flush, recordBusEvents } from './helpers/browser.js';
+
+describe('performance monitoring', () => {
+  let browser;
+  let published;
+
+  beforeEach(async () => {
+    browser = await createBrowser();
+    published = recordBusEvents(browser.window);
+    browser.load('js/performance.js');
+    await flush(); // Web Vitals observers start once feature flags are resolved
+  });
+
+  afterEach(() => browser.close());
+
+  /**
+   * Gets the reported Web Vital metrics
+   * @returns {Object} Metric name -> metric
+   */
+  function webVitals() {
+    return browser.window.PerformanceAPI.getMetrics().webVitals;
+  }
+
+  /**
+   * Hides the page, which reports the Web Vitals
+   */
+  function hidePage() {
+    Object.defineProperty(browser.document, 'visibilityState', { value: 'hidden', configurable: true });
+    browser.document.dispatchEvent(new browser.window.Event('visibilitychange'));
+  }
+
+  /**
+   * Gets the published web_vitals events
+   * @returns {Object[]} Published events
+   */
+  function webVitalsEvents() {
+    return published.filter((entry) => entry.name === 'web_vitals');
+  }
+
+  test('initializes without errors', () => {
+    assert.deepEqual(browser.errors, []);
+    assert.ok(browser.PerformanceObserver.instances.length > 0);
+  });
+
+  test('rates LCP and publishes it as web_vitals', () => {
+    browser.PerformanceObserver.emit('largest-contentful-paint', [{ renderTime: 3100, loadTime: 3000 }]);
+
+    assert.equal(webVitals().LCP.value, 3100);
+    assert.equal(webVitals().LCP.rating, 'needs-improvement');
+
+    hidePage();
+
+    const event = webVitalsEvents()[0];
+    assert.equal(event.params.metric_name, 'LCP');
+    assert.equal(event.params.metric_value, 3100);
+    assert.equal(event.options.dedupeKey, 'LCP');
+    assert.equal(event.options.immediate, true);
+  });
+
+  test('publishes the final LCP once, when the page is hidden', () => {
+    browser.PerformanceObserver.emit('largest-contentful-paint', [{ renderTime: 900 }]);
+    browser.PerformanceObserver.emit('largest-contentful-paint', [{ renderTime: 1500 }]);
+    browser.PerformanceObserver.emit('largest-contentful-paint', [{ renderTime: 2000 }]);
+    assert.deepEqual(webVitalsEvents(), []);
+
+    hidePage();
+    browser.window.dispatchEvent(new browser.window.Event('pagehide'));
+
+    const events = webVitalsEvents();
+    assert.equal(events.length, 1);
+    assert.equal(events[0].params.metric_value, 2000);
+    assert.equal(events[0].params.metric_rating, 'good');
+  });
+
+  test('adds up layout shifts, ignoring those after user input', () => {
+    browser.PerformanceObserver.emit('layout-shift', [
+      { value: 0.05, hadRecentInput: false },
+      { value: 0.5, hadRecentInput: true },
+    ]);
+    browser.PerformanceObserver.emit('layout-shift', [{ value: 0.1, hadRecentInput: false }]);
+
+    assert.equal(Math.round(webVitals().CLS.value * 100) / 100, 0.15);
+    assert.equal(webVitals().CLS.rating, 'needs-improvement');
+  });
+
+  test('rates FID from the first input delay', () => {
+    browser.PerformanceObserver.emit('first-input', [{ startTime: 100, processingStart: 150 }]);
+
+    assert.equal(webVitals().FID.value, 50);
+    assert.equal(webVitals().FID.rating, 'good');
+  });
+});
@@ -0,0 +1,247 @@
+/**
+ * QR Code Tests
+ * Checks the encoder against reference symbols and the values tabulated in
+ * ISO/IEC 18004, and the store QR codes shown to desktop visitors.
+ */
+
+import { after, afterEach, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createBrowser, flush, recordBusEvents } from './helpers/browser.js';
+
+// Reference symbols from an independent encoder (Kazuhiko Arase's QRCode), same mask
+const VECTORS = [
+  {
+    text: 'fittrack.app',
+    options: { ecLevel: 'M', mask: 2 },
+    version: 1,
+    rows: [
+      '#######...#.#.#######',
+      '#.....#..###..#.....#',
+      '#.###.#.#.###.#.###.#',
+      '#.###.#.#.###.#.###.#',
+      '#.###.#.#.###.#.###.#',
+      '#.....#.#.#.#.#.....#',
+      '#######.#.#.#.#######',
+      '........#####........',
+      '#.#####..#..#.#####..',
+      '.#..#.......#.###...#',
+      '##..#.####.#.##..###.',
+      '######..........###.#',
+      '.###..##.###..##.#.#.',
+      '........##..#######.#',
+      '#######..##.#.#...##.',
+      '#.....#.#.#.##...##..',
+      '#.###.#.###.#.##.#.##',
+      '#.###.#.#..#...####..',
+      '#.###.#.##.###....#..',
+      '#.....#..##.##.####..',
+      '#######.###.####.#.#.',
+    ],
+  },
+  {
+    text: 'https://fittrack.app/#download',
+    options: { ecLevel: 'L', mask: 5 },
+    version: 2,
+    rows: [
+      '#######..##..##...#######',
+      '#.....#...#.......#.....#',
+      '#.###.#..#..#.#.#.#.###.#',
+      '#.###.#.#.#.##.##.#.###.#',
+      '#.###.#.#..#..#...#.###.#',
+      '#.....#..##.....#.#.....#',
+      '#######.#.#.#.#.#.#######',
+      '.........#.#...#.........',
+      '##...###.######.....##...',
+      '.....#.#..##...#...#####.',
+      '.##...####..#..##...##.##',
+      '.#####..#.#....#.###.#..#',
+      '.##.#######.#.###.##....#',
+      '#.#.......##.#.###.#...#.',
+      '#.###.#####.##########.##',
+      '#.#..#.#...#....#.##.##.#',
+      '#..#..#..#.###.######.#..',
+      '........#..#....#...#....',
+      '#######.#.##..#.#.#.#...#',
+      '#.....#.#.##..###...#....',
+      '#.###.#......########.##.',
+      '#.###.#....#..#..##....##',
+      '#.###.#..#....##.#...##.#',
+      '#.....#.#.##...######...#',
+      '#######.#.#.#...###..#..#',
+    ],
+  },
+];
+
+// Format information after masking, most significant bit first (ISO/IEC 18004 annex C)
+const FORMAT_INFORMATION = [
+  ['L', 0, '111011111000100'],
+  ['M', 0, '101010000010010'],
+  ['M', 5, '100000011001110'],
+  ['Q', 0, '011010101011111'],
+  ['H', 0, '001011010001001'],
+];
+
+// Version information of version 7, most significant bit first (ISO/IEC 18004 annex D)
+const VERSION_7_INFORMATION = '000111110010010100';
+
+/**
+ * Draws a QR code as rows of # (dark) and . (light)
+ * @param {Object} qr - QR code from FitTrackQR.encode()
+ * @returns {string[]} Rows
+ */
+function draw(qr) {
+  return Array.from(qr.modules, (row) => Array.from(row, (dark) => (dark ? '#' : '.')).join(''));
+}
+
+/**
+ * Reads the copy of the format information next to the top-right and bottom-left finders
+ * @param {Object} qr - QR code from FitTrackQR.encode()
+ * @returns {string} Bits, most significant first
+ */
+function readFormatInformation(qr) {
+  const bits = [];
+  for (let i = 0; i < 8; i++) {
+    bits[i] = qr.modules[8][qr.size - 1 - i];
+  }
+  for (let i = 8; i < 15; i++) {
+    bits[i] = qr.modules[qr.size - 15 + i][8];
+  }
+  return bits.map(Number).reverse().join('');
+}
+
+/**
+ * Reads the copy of the version information above the bottom-left finder
+ * @param {Object} qr - QR code from FitTrackQR.encode()
+ * @returns {string} Bits, most significant first
+ */
+function readVersionInformation(qr) {
+  const bits = [];
+  for (let i = 0; i < 18; i++) {
+    bits[i] = qr.modules[qr.size - 11 + (i % 3)][Math.floor(i / 3)];
+  }
+  return bits.map(Number).reverse().join('');
+}
+
+describe('QR code encoder', () => {
+  let browser;
+  let QR;
+
+  before(async () => {
+    browser = await createBrowser({ html: '<!DOCTYPE html><html lang="en"><body></body></html>' });
+    browser.load('js/qr-code.js');
+    QR = browser.window.FitTrackQR;
+  });
+
+  after(() => browser.close());
+
+  VECTORS.forEach(({ text, options, version, rows }) => {
+    test(`matches the reference symbol for "${text}" (${version}-${options.ecLevel})`, () => {
+      const qr = QR.encode(text, options);
+
+      assert.equal(qr.version, version);
+      assert.equal(qr.size, rows.length);
+      assert.deepEqual(draw(qr), rows);
+    });
+  });
+
+  FORMAT_INFORMATION.forEach(([ecLevel, mask, bits]) => {
+    test(`writes the format information for level ${ecLevel}, mask ${mask}`, () => {
+      assert.equal(readFormatInformation(QR.encode('FitTrack', { ecLevel, mask })), bits);
+    });
+  });
+
+  test('writes the version information from version 7', () => {
+    const qr = QR.encode('FitTrack', { minVersion: 7 });
+
+    assert.equal(qr.size, 45);
+    assert.equal(readVersionInformation(qr), VERSION_7_INFORMATION);
+  });
+
+  test('uses the smallest version that fits the UTF-8 bytes', () => {
+    assert.equal(QR.encode('a'.repeat(14)).version, 1); // 1-M holds 14 bytes
+    assert.equal(QR.encode('a'.repeat(15)).version, 2);
+    assert.equal(QR.encode('é'.repeat(7)).version, 1);
+    assert.equal(QR.encode('é'.repeat(8)).version, 2);
+    assert.equal(QR.encode('a'.repeat(2953), { ecLevel: 'L' }).version, 40);
+  });
+
+  test('rejects text longer than version 40 holds and invalid options', () => {
+    const { RangeError } = browser.window;
+
+    assert.throws(() => QR.encode('a'.repeat(2954), { ecLevel: 'L' }), RangeError);
+    assert.throws(() => QR.encode('FitTrack', { ecLevel: 'X' }), RangeError);
+    assert.throws(() => QR.encode('FitTrack', { mask: 8 }), RangeError);
+  });
+
+  test('picks a mask when none is given', () => {
+    const qr = QR.encode('https://fittrack.app/#download');
+    const forced = QR.encode('https://fittrack.app/#download', { mask: qr.mask });
+
+    assert.ok(qr.mask >= 0 && qr.mask <= 7);
+    assert.deepEqual(draw(qr), draw(forced));
+  });
+
+  test('renders SVG with a quiet zone and an accessible name', () => {
+    const svg = QR.toSVG(QR.encode('fittrack.app', { mask: 2 }), { label: 'QR code for "FitTrack"' });
+
+    assert.match(svg, /viewBox="0 0 29 29"/); // 21 modules and 4 on each side
+    assert.match(svg, /role="img" aria-label="QR code for &quot;FitTrack&quot;"/);
+    assert.match(svg, /<path d="M4 4h7v1h-7z/); // Top row of the top-left finder
+  });
+});
+
+const DESKTOP = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 Chrome/120.0 Safari/537.36';
+const IPHONE = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 Mobile/15E148';
+
+describe('download section QR codes', () => {
+  let browser;
+  let published;
+
+  afterEach(() => browser.close());
+
+  /**
+   * Creates index.html for a visitor's device and runs the download modules
+   * @param {string} userAgent - navigator.userAgent
+   * @param {string} [url] - Landing URL
+   * @returns {Promise<HTMLElement[]>} QR code figures
+   */
+  async function setup(userAgent, url) {
+    browser = await createBrowser({ url });
+    published = recordBusEvents(browser.window);
+    Object.defineProperty(browser.window.navigator, 'userAgent', { value: userAgent });
+    browser.load('js/attribution.js', 'js/link-rules.js', 'js/link-tracking.js', 'js/qr-code.js');
+    await flush();
+    return Array.from(browser.document.querySelectorAll('[data-qr-code]'));
+  }
+
+  test('shows a QR code per store to desktop visitors, with campaign parameters', async () => {
+    const [appStore, googlePlay] = await setup(DESKTOP, 'https://fittrack.example.com/?utm_source=newsletter&utm_medium=email');
+
+    assert.ok(appStore.querySelector('svg[role="img"]'));
+    assert.ok(googlePlay.querySelector('svg[role="img"]'));
+    assert.equal(appStore.dataset.qrCodeUrl, 'https://apps.apple.com/app/fittrack?ct=newsletter_email&mt=8');
+    assert.match(googlePlay.dataset.qrCodeUrl, /^https:\/\/play\.google\.com\/.*&referrer=utm_source%3Dnewsletter%26utm_medium%3Demail$/);
+    assert.deepEqual(browser.errors, []);
+  });
+
+  test('reports qr_code_shown once when a QR code comes into view', async () => {
+    const [appStore] = await setup(DESKTOP);
+
+    browser.IntersectionObserver.trigger(appStore);
+    browser.IntersectionObserver.trigger(appStore);
+
+    const shown = published.filter((event) => event.name === 'qr_code_shown');
+    assert.equal(shown.length, 1);
+    assert.equal(shown[0].params.store_name, 'App Store');
+    assert.equal(shown[0].params.platform, 'ios');
+    assert.equal(shown[0].params.link_url, 'https://apps.apple.com/app/fittrack');
+    assert.equal(shown[0].params.qr_version, 3);
+  });
+
+  test('shows no QR codes to phone visitors', async () => {
+    const figures = await setup(IPHONE);
+
+    figures.forEach((figure) => assert.equal(figure.querySelector('svg'), null));
+    assert.equal(browser.IntersectionObserver.instances.length, 0);
+  });
+});
@@ -0,0 +1,37 @@
+/**
+ * Session Manager Tests
+ * Checks the client identity and sessions when web storage is blocked.
+ */
+
+import { afterEach, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createBrowser } from './helpers/browser.js';
+
+describe('session manager', () => {
+  let browser;
+
+  beforeEach(async () => {
+    browser = await createBrowser();
+  });
+
+  afterEach(() => browser.close());
+
+  test('keeps the identity in memory when reading localStorage throws', () => {
+    // Browsers that block storage throw a SecurityError from the window.localStorage getter
+    Object.defineProperty(browser.window, 'localStorage', {
+      configurable: true,
+      get() {
+        throw new browser.window.DOMException('The operation is insecure.', 'SecurityError');
+      },
+    });
+    browser.load('js/session-manager.js');
+
+    const session = browser.window.FitTrackSession;
+    session.setPersistent(true);
+    session.setPersistent(false);
+
+    assert.deepEqual(browser.errors, []);
+    assert.match(session.getIdentity().client_id, /^\d+\.\d+$/);
+    assert.equal(session.getIdentity().session_number, 1);
+  });
+});
@@ -0,0 +1,200 @@
+/**
+ * Testimonials Carousel Tests
+ * Checks navigation, looping and auto-play of TestimonialsCarousel.
+ */
+
+import { afterEach, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createBrowser, flush } from './helpers/browser.js';
+
+const FIXTURE = `
+  <div class="testimonials-carousel">
+    <button class="testimonials-carousel__nav--prev" type="button">Previous</button>
+    <ul class="testimonials-carousel__track" id="carousel-track">
+      <li class="testimonials-carousel__slide">One</li>
+      <li class="testimonials-carousel__slide">Two</li>
+      <li class="testimonials-carousel__slide">Three</li>
+    </ul>
+    <button class="testimonials-carousel__nav--next" type="button">Next</button>
+    <div class="testimonials-carousel__dots">
+      <button class="testimonials-carousel__dot" type="button"></button>
+      <button class="testimonials-carousel__dot" type="button"></button>
+      <button class="testimonials-carousel__dot" type="button"></button>
+    </div>
+  </div>`;
+
+describe('TestimonialsCarousel', () => {
+  let browser;
+  let TestimonialsCarousel;
+  let container;
+
+  beforeEach(async () => {
+    browser = await createBrowser({ html: '<!DOCTYPE html><html lang="en"><body></body></html>' });
+    ({ TestimonialsCarousel } = browser.load('js/testimonials-carousel.js'));
+    await flush(); // Auto-initialization runs on the empty page
+
+    browser.document.body.innerHTML = FIXTURE;
+    container = browser.document.querySelector('.testimonials-carousel');
+  });
+
+  afterEach(() => browser.close());
+
+  /**
+   * Creates a carousel on the fixture
+   * @param {Object} [options] - Carousel options
+   * @returns {TestimonialsCarousel}
+   */
+  function createCarousel(options = {}) {
+    return new TestimonialsCarousel(container, { autoPlayEnabled: false, ...options });
+  }
+
+  /**
+   * Clicks a control and finishes the slide transition
+   * @param {string} selector - Control selector
+   */
+  function clickAndSettle(selector) {
+    container.querySelector(selector).click();
+    container.querySelector('.testimonials-carousel__track').dispatchEvent(new browser.window.Event('transitionend'));
+  }
+
+  /**
+   * Gets the index of the active slide from the DOM
+   * @returns {number}
+   */
+  function activeSlide() {
+    return Array.from(container.querySelectorAll('.testimonials-carousel__slide'))
+      .findIndex((slide) => slide.classList.contains('is-active'));
+  }
+
+  test('rejects a missing container', () => {
+    assert.throws(() => new TestimonialsCarousel(null), /valid HTMLElement/);
+  });
+
+  test('starts on the first slide', () => {
+    createCarousel();
+
+    assert.equal(activeSlide(), 0);
+    assert.equal(container.querySelector('[aria-live]').textContent, 'Showing testimonial 1 of 3');
+  });
+
+  describe('navigation', () => {
+    test('next and previous buttons move one slide', () => {
+      const carousel = createCarousel();
+
+      clickAndSettle('.testimonials-carousel__nav--next');
+      assert.equal(carousel.state.currentIndex, 1);
+      assert.equal(activeSlide(), 1);
+
+      clickAndSettle('.testimonials-carousel__nav--prev');
+      assert.equal(carousel.state.currentIndex, 0);
+    });
+
+    test('dots jump to their slide and mark it current', () => {
+      createCarousel();
+
+      clickAndSettle('.testimonials-carousel__dot:nth-child(3)');
+
+      const dots = container.querySelectorAll('.testimonials-carousel__dot');
+      assert.equal(activeSlide(), 2);
+      assert.equal(dots[2].getAttribute('aria-current'), 'true');
+      assert.equal(dots[0].hasAttribute('aria-current'), false);
+    });
+
+    test('arrow, Home and End keys navigate', () => {
+      const carousel = createCarousel();
+      const press = (key) => {
+        container.dispatchEvent(new browser.window.KeyboardEvent('keydown', { key, bubbles: true }));
+        carousel.handleTransitionEnd();
+      };
+
+      press('End');
+      assert.equal(carousel.state.currentIndex, 2);
+      press('ArrowLeft');
+      assert.equal(carousel.state.currentIndex, 1);
+      press('Home');
+      assert.equal(carousel.state.currentIndex, 0);
+      press('ArrowRight');
+      assert.equal(carousel.state.currentIndex, 1);
+    });
+
+    test('ignores navigation while a transition is running', () => {
+      const carousel = createCarousel();
+
+      container.querySelector('.testimonials-carousel__nav--next').click();
+      container.querySelector('.testimonials-carousel__nav--next').click();
+
+      assert.equal(carousel.state.currentIndex, 1);
+    });
+  });
+
+  describe('looping', () => {
+    test('wraps from the last slide to the first and back', () => {
+      const carousel = createCarousel();
+
+      clickAndSettle('.testimonials-carousel__nav--prev');
+      assert.equal(carousel.state.currentIndex, 2);
+
+      clickAndSettle('.testimonials-carousel__nav--next');
+      assert.equal(carousel.state.currentIndex, 0);
+    });
+
+    test('stops at both ends and disables the buttons when loop is off', () => {
+      const carousel = createCarousel({ loop: false });
+      const prev = container.querySelector('.testimonials-carousel__nav--prev');
+      const next = container.querySelector('.testimonials-carousel__nav--next');
+
+      assert.equal(prev.disabled, true);
+      clickAndSettle('.testimonials-carousel__dot:nth-child(3)');
+      assert.equal(next.getAttribute('aria-disabled'), 'true');
+
+      carousel.goToNext();
+      assert.equal(carousel.state.currentIndex, 2);
+    });
+  });
+
+  describe('auto-play', () => {
+    test('advances every interval and pauses on hover', () => {
+      const carousel = createCarousel({ autoPlayEnabled: true, autoPlayInterval: 4000 });
+      const settle = () => carousel.handleTransitionEnd();
+
+      browser.clock.tick(4000);
+      settle();
+      assert.equal(carousel.state.currentIndex, 1);
+
+      container.dispatchEvent(new browser.window.Event('mouseenter'));
+      browser.clock.tick(8000);
+      assert.equal(carousel.state.currentIndex, 1);
+
+      container.dispatchEvent(new browser.window.Event('mouseleave'));
+      browser.clock.tick(4000);
+      assert.equal(carousel.state.currentIndex, 2);
+    });
+
+    test('does not start when disabled', () => {
+      createCarousel();
+      browser.clock.tick(20000);
+
+      assert.equal(activeSlide(), 0);
+      assert.equal(browser.clock.pending, 0);
+    });
+
+    test('setAutoPlay() applies a later flag config', () => {
+      const carousel = createCarousel();
+
+      carousel.setAutoPlay(true, 3000);
+      browser.clock.tick(3000);
+      assert.equal(carousel.state.currentIndex, 1);
+
+      carousel.setAutoPlay(false);
+      assert.equal(carousel.state.isPlaying, false);
+      assert.equal(browser.clock.pending, 0);
+    });
+
+    test('destroy() stops the timer', () => {
+      const carousel = createCarousel({ autoPlayEnabled: true });
+      carousel.destroy();
+
+      assert.equal(browser.clock.pending, 0);
+    });
+  });
+});
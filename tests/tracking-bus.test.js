@@ -0,0 +1,124 @@
+/**
+ * Tracking Bus Tests
+ * Checks that published events fan out to the registered destinations and that
+ * each destination's delivery status is recorded and reported.
+ */
+
+import { afterEach, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createBrowser } from './helpers/browser.js';
+
+const CTA = { cta_name: 'Download Now', cta_location: 'hero' };
+
+describe('tracking bus', () => {
+  let browser;
+  let bus;
+
+  beforeEach(async () => {
+    browser = await createBrowser({ url: 'https://fittrack.example.com/' });
+    browser.load('js/tracking-bus.js');
+    bus = browser.window.FitTrackBus;
+  });
+
+  afterEach(() => browser.close());
+
+  /**
+   * Registers a destination that records the events it receives
+   * @param {string} name - Destination name
+   * @param {Object} [options] - registerDestination options
+   * @param {string} [status] - Status the handler returns
+   * @returns {Object[]} Received events
+   */
+  function recordDestination(name, options = {}, status) {
+    const received = [];
+    bus.registerDestination(name, (event) => {
+      received.push(event);
+      return status;
+    }, options);
+    return received;
+  }
+
+  test('delivers each event to every enabled destination', () => {
+    const first = recordDestination('first');
+    const second = recordDestination('second');
+
+    const event = bus.publish('cta_click', CTA, { source: 'test' });
+
+    assert.equal(first.length, 1);
+    assert.equal(second[0], event);
+    assert.equal(event.name, 'cta_click');
+    assert.equal(event.params.cta_name, 'Download Now');
+    assert.equal(event.source, 'test');
+    assert.deepEqual({ ...bus.getDeliveries(event.id) }, { dataLayer: 'disabled', console: 'disabled', first: 'sent', second: 'sent' });
+    assert.deepEqual([...bus.getHistory()], [event]);
+  });
+
+  test('leaves the dataLayer to gtag unless the destination is enabled', () => {
+    bus.publish('cta_click', CTA);
+    assert.equal(browser.window.dataLayer, undefined);
+
+    browser.window.FitTrackAnalytics = { hasConsent: () => true };
+    bus.setDestinationEnabled(bus.DESTINATIONS.DATA_LAYER, true);
+    const event = bus.publish('cta_click', CTA);
+
+    assert.deepEqual({ ...browser.window.dataLayer[0] }, { event: 'cta_click', event_id: event.id, ...CTA });
+  });
+
+  test('records disabled, no-consent and failed destinations without stopping the others', () => {
+    const disabled = recordDestination('disabled', { enabled: false });
+    const gated = recordDestination('gated', { consentPurpose: 'analytics' });
+    bus.registerDestination('broken', () => {
+      throw new Error('offline');
+    });
+    const healthy = recordDestination('healthy');
+    browser.window.FitTrackAnalytics = { hasConsent: () => false };
+
+    const event = bus.publish('cta_click', CTA);
+    const deliveries = bus.getDeliveries(event.id);
+
+    assert.equal(disabled.length + gated.length, 0);
+    assert.equal(healthy.length, 1);
+    assert.equal(deliveries.disabled, 'disabled');
+    assert.equal(deliveries.gated, 'no-consent');
+    assert.equal(deliveries.broken, 'failed');
+    assert.equal(deliveries.healthy, 'sent');
+  });
+
+  test('reports the outcome of asynchronous deliveries to subscribers', () => {
+    recordDestination('collector', {}, bus.DELIVERY.SENDING);
+    const reports = [];
+    const unsubscribe = bus.subscribeDeliveries((...report) => reports.push(report));
+
+    const event = bus.publish('cta_click', CTA);
+    assert.equal(bus.getDeliveries(event.id).collector, 'sending');
+
+    bus.reportDelivery(event.id, 'collector', bus.DELIVERY.SENT);
+    unsubscribe();
+    bus.reportDelivery(event.id, 'collector', bus.DELIVERY.FAILED);
+    bus.reportDelivery('unknown', 'collector', bus.DELIVERY.SENT);
+
+    assert.deepEqual(reports, [[event.id, 'collector', 'sent']]);
+    assert.equal(bus.getDeliveries(event.id).collector, 'failed');
+    assert.equal(bus.getDeliveries('unknown'), null);
+  });
+
+  test('drops repeats of the same user action', () => {
+    const received = recordDestination('collector');
+
+    assert.ok(bus.publish('cta_click', CTA, { dedupeKey: 'hero' }));
+    assert.equal(bus.publish('cta_click', CTA, { dedupeKey: 'hero' }), null);
+    assert.ok(bus.publish('cta_click', CTA, { dedupeKey: 'footer' }));
+
+    assert.equal(received.length, 2);
+  });
+
+  test('adds enricher params without overwriting the publisher params', () => {
+    const received = recordDestination('collector');
+    bus.addEnricher(() => ({ cta_location: 'enriched', session_number: 2 }));
+
+    bus.publish('cta_click', CTA);
+
+    assert.equal(received[0].params.cta_location, 'hero');
+    assert.equal(received[0].params.session_number, 2);
+  });
+});